@@ -5,6 +5,9 @@ const app = express();
 const userRoute = require('./routes/userRoute');
 const feedbackRoute = require('./routes/feebackRoute');
 const analyticsRoute = require('./routes/analyticsRoute');
+const webhookRoute = require('./routes/webhookRoute');
+const issueRoute = require('./routes/issueRoute');
+const roleRoute = require('./routes/roleRoute');
 
 const allowedOrigins = [
   'http://localhost:5173',
@@ -16,11 +19,20 @@ app.use(cors({
   credentials: true
 }));
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address; rate limiting and fraud checks key on it
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(express.json());
 
 
 app.use('/api/v1/users', userRoute)
 app.use('/api/v1/feedbacks', feedbackRoute)
 app.use('/api/v1/analytics', analyticsRoute)
+app.use('/api/v1/webhooks', webhookRoute)
+app.use('/api/v1/issues', issueRoute)
+app.use('/api/v1/roles', roleRoute)
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { getQueueStats, retryDeadJob } = require('./../services/analysisQueueService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ANALYSIS QUEUE OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+exports.getAnalysisQueue = async (req, res, next) => {
+    try {
+        const stats = await getQueueStats({ limit: parseInt(req.query.limit) || 20 })
+
+        res.status(200).json({
+            status: 'success',
+            data: stats
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+exports.retryAnalysisJob = async (req, res, next) => {
+    try {
+        const job = await retryDeadJob(req.params.jobId)
+
+        if (!job) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No dead-lettered analysis job found with that ID'
+            })
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                job
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
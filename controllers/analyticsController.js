@@ -8,9 +8,69 @@
 // - Emotion patterns across customer base
 // - Performance metrics (CSAT, NPS, CES)
 // - Time-based trend analysis
+//
+// Classification fields (sentiment, urgency, categories, emotions) are read
+// from the top level of each feedback, which holds the latest human-confirmed
+// value where staff reviewed the AI output (see Feedback#applyCorrection).
+//
+// Sentiment, service, trend, category, emotion, urgency, pulse, insight and
+// branch metrics honour the shared trust filter (minTrustScore,
+// verificationStatus, excludeSuspicious - see utils/trustFilter.js).
+//
+// Sentiment overview, service, pulse and branch metrics can also be compared
+// with an earlier window (compareTo=previous|yoy|custom - see
+// utils/periodComparison.js).
+//
+// For users of scoped roles (e.g. branch-admin) every metric is limited to
+// their own branches and service types (utils/accessScope.js); admins see
+// everything.
 // ═══════════════════════════════════════════════════════════════════════════
 
 const Feedback = require('./../models/feedbackModel');
+const AnomalyEvent = require('./../models/anomalyEventModel');
+const { evaluate, evaluateBy } = require('./../services/aiEvaluationService');
+const { withTrustFilter, buildTrustFilter } = require('./../utils/trustFilter');
+const { comparisonRange, compareMetric } = require('./../utils/periodComparison');
+const { withScope, scopeMatch, inScope } = require('./../utils/accessScope');
+
+// Trust filter plus the user's access scope
+const dashboardFilter = (req, matchStage) => withScope(req, withTrustFilter(req, matchStage));
+
+// Comparison window as returned to the client
+const comparisonPeriod = (req, range) => ({
+  compareTo: req.comparison.mode,
+  startDate: range.$gte,
+  endDate: range.$lte || range.$lt,
+});
+
+/**
+ * Adds deltas against the comparison window to each row of a breakdown
+ * @param {Array} rows - Current rows
+ * @param {Array} previousRows - Rows of the comparison window
+ * @param {string} key - Field identifying a row (serviceType, branch)
+ * @param {Object} fields - { rates: percentage fields (tested as proportions),
+ *                            averages: fields compared without a test }
+ * @returns {Array} Rows with deltas, previousRank and rankChange
+ */
+const withRowDeltas = (rows, previousRows, key, { rates, averages }) => {
+  const previousByKey = new Map(previousRows.map((row, index) => [row[key], { ...row, rank: index + 1 }]));
+
+  return rows.map((row, index) => {
+    const previous = previousByKey.get(row[key]) || {};
+    const n = [row.totalFeedback, previous.totalFeedback];
+    const deltas = {
+      totalFeedback: compareMetric(row.totalFeedback, previous.totalFeedback || 0, { type: 'count' }),
+    };
+    rates.forEach((field) => {
+      deltas[field] = compareMetric(row[field], previous[field], { type: 'proportion', n });
+    });
+    averages.forEach((field) => {
+      deltas[field] = compareMetric(row[field], previous[field]);
+    });
+
+    return { ...row, previousRank: previous.rank || null, rankChange: previous.rank ? previous.rank - (index + 1) : null, deltas };
+  });
+};
 
 // ═══════════════════════════════════════════════════════════════════════════
 // 1. SENTIMENT OVERVIEW - Main Dashboard Widget
@@ -20,6 +80,46 @@ const Feedback = require('./../models/feedbackModel');
 // Dashboard: "75% positive, 15% neutral, 10% negative"
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Sentiment distribution and averages for one window
+const sentimentOverviewFor = async (req, matchStage) => {
+  const sentimentStats = await Feedback.aggregate([
+    { $match: dashboardFilter(req, matchStage) },
+    {
+      $group: {
+        _id: '$sentiment',
+        count: { $sum: 1 },
+        avgRating: { $avg: '$rating' },
+        avgSentimentScore: { $avg: '$sentimentScore' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  // Calculate totals and percentages
+  const totalFeedback = sentimentStats.reduce((sum, s) => sum + s.count, 0);
+
+  const data = sentimentStats.map((stat) => ({
+    sentiment: stat._id,
+    count: stat.count,
+    percentage: totalFeedback > 0 ? parseFloat(((stat.count / totalFeedback) * 100).toFixed(2)) : 0,
+    avgRating: parseFloat(stat.avgRating.toFixed(2)),
+    avgSentimentScore: parseFloat(stat.avgSentimentScore.toFixed(1)),
+  }));
+
+  // Calculate overall metrics
+  const overallAvgRating = sentimentStats.reduce((sum, s) => sum + (s.avgRating * s.count), 0) / totalFeedback;
+  const overallSentimentScore = sentimentStats.reduce((sum, s) => sum + (s.avgSentimentScore * s.count), 0) / totalFeedback;
+
+  return {
+    summary: {
+      totalFeedback,
+      overallAvgRating: parseFloat(overallAvgRating.toFixed(2)),
+      overallSentimentScore: parseFloat(overallSentimentScore.toFixed(1)),
+    },
+    data,
+  };
+};
+
 exports.getSentimentOverview = async (req, res) => {
   try {
     console.log('📊 Fetching sentiment overview...');
@@ -50,53 +150,47 @@ exports.getSentimentOverview = async (req, res) => {
     console.log('   Filters:', matchStage);
 
     // Aggregate sentiment statistics
-    const sentimentStats = await Feedback.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$sentiment',
-          count: { $sum: 1 },
-          avgRating: { $avg: '$rating' },
-          avgSentimentScore: { $avg: '$sentimentScore' },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
-
-    // Calculate totals and percentages
-    const totalFeedback = sentimentStats.reduce((sum, s) => sum + s.count, 0);
-
-    const result = sentimentStats.map((stat) => ({
-      sentiment: stat._id,
-      count: stat.count,
-      percentage: totalFeedback > 0 ? parseFloat(((stat.count / totalFeedback) * 100).toFixed(2)) : 0,
-      avgRating: parseFloat(stat.avgRating.toFixed(2)),
-      avgSentimentScore: parseFloat(stat.avgSentimentScore.toFixed(1)),
-    }));
+    const { summary, data: result } = await sentimentOverviewFor(req, matchStage);
 
-    // Calculate overall metrics
-    const overallAvgRating = sentimentStats.reduce((sum, s) => sum + (s.avgRating * s.count), 0) / totalFeedback;
-    const overallSentimentScore = sentimentStats.reduce((sum, s) => sum + (s.avgSentimentScore * s.count), 0) / totalFeedback;
-
-    console.log(`✅ Found ${totalFeedback} feedbacks`);
+    console.log(`✅ Found ${summary.totalFeedback} feedbacks`);
     console.log('   Distribution:', result.map(r => `${r.sentiment}: ${r.percentage}%`).join(', '));
 
-    res.json({
+    const response = {
       status: 'success',
       period: {
         startDate: matchStage.createdAt.$gte || 'all time',
         endDate: matchStage.createdAt.$lte || 'now',
       },
-      summary: {
-        totalFeedback,
-        overallAvgRating: parseFloat(overallAvgRating.toFixed(2)),
-        overallSentimentScore: parseFloat(overallSentimentScore.toFixed(1)),
-      },
+      summary,
       data: result,
-    });
+    };
+
+    const compareRange = comparisonRange(req, matchStage.createdAt);
+    if (compareRange) {
+      const previous = await sentimentOverviewFor(req, { ...matchStage, createdAt: compareRange });
+      const share = (rows, sentiment) => (rows.find((r) => r.sentiment === sentiment) || { percentage: 0 }).percentage;
+      const n = [summary.totalFeedback, previous.summary.totalFeedback];
+
+      response.comparison = {
+        period: comparisonPeriod(req, compareRange),
+        summary: previous.summary,
+        data: previous.data,
+        deltas: {
+          totalFeedback: compareMetric(summary.totalFeedback, previous.summary.totalFeedback, { type: 'count' }),
+          overallAvgRating: compareMetric(summary.overallAvgRating, previous.summary.overallAvgRating),
+          overallSentimentScore: compareMetric(summary.overallSentimentScore, previous.summary.overallSentimentScore),
+          percentage: ['positive', 'neutral', 'negative'].reduce((deltas, sentiment) => {
+            deltas[sentiment] = compareMetric(share(result, sentiment), share(previous.data, sentiment), { type: 'proportion', n });
+            return deltas;
+          }, {}),
+        },
+      };
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('❌ Error fetching sentiment overview:', error.message);
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.statusCode || 500).json({ status: error.statusCode ? 'fail' : 'error', message: error.message });
   }
 };
 
@@ -108,11 +202,89 @@ exports.getSentimentOverview = async (req, res) => {
 // Dashboard: "Mobile App: 65/100 (needs attention), ATM: 85/100 (good)"
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Per-service metrics for one window, best satisfaction first
+const serviceTypeMetricsFor = (req, matchStage) => {
+  return Feedback.aggregate([
+    { $match: dashboardFilter(req, matchStage) },
+    {
+      $group: {
+        _id: '$serviceType',
+        totalFeedback: { $sum: 1 },
+        avgRating: { $avg: '$rating' },
+        avgSentimentScore: { $avg: '$sentimentScore' },
+        positiveCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] },
+        },
+        negativeCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] },
+        },
+        neutralCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] },
+        },
+        highUrgencyCount: {
+          $sum: { $cond: [{ $in: ['$urgency', ['high', 'critical']] }, 1, 0] },
+        },
+      },
+    },
+    {
+      $project: {
+        serviceType: '$_id',
+        totalFeedback: 1,
+        avgRating: { $round: ['$avgRating', 2] },
+        avgSentimentScore: { $round: ['$avgSentimentScore', 1] },
+        positivePercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$positiveCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        negativePercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$negativeCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        neutralPercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$neutralCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        satisfactionScore: {
+          $round: [
+            {
+              $multiply: [
+                { $divide: ['$positiveCount', '$totalFeedback'] },
+                100,
+              ],
+            },
+            1,
+          ],
+        },
+        highUrgencyCount: 1,
+        // Performance rating based on sentiment score
+        performanceRating: {
+          $switch: {
+            branches: [
+              { case: { $gte: ['$avgSentimentScore', 80] }, then: 'Excellent' },
+              { case: { $gte: ['$avgSentimentScore', 70] }, then: 'Good' },
+              { case: { $gte: ['$avgSentimentScore', 60] }, then: 'Average' },
+              { case: { $gte: ['$avgSentimentScore', 50] }, then: 'Needs Attention' },
+            ],
+            default: 'Critical',
+          },
+        },
+      },
+    },
+    { $sort: { satisfactionScore: -1 } },
+  ]);
+};
+
 exports.getServiceTypeMetrics = async (req, res) => {
   try {
     console.log('📊 Fetching service type performance metrics...');
 
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, days } = req.query;
     const matchStage = {
       sentiment: { $exists: true, $ne: null },
     };
@@ -121,92 +293,36 @@ exports.getServiceTypeMetrics = async (req, res) => {
       matchStage.createdAt = {};
       if (startDate) matchStage.createdAt.$gte = new Date(startDate);
       if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    } else if (days) {
+      matchStage.createdAt = {
+        $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000),
+      };
     }
 
-    const metrics = await Feedback.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$serviceType',
-          totalFeedback: { $sum: 1 },
-          avgRating: { $avg: '$rating' },
-          avgSentimentScore: { $avg: '$sentimentScore' },
-          positiveCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] },
-          },
-          negativeCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] },
-          },
-          neutralCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] },
-          },
-          highUrgencyCount: {
-            $sum: { $cond: [{ $in: ['$urgency', ['high', 'critical']] }, 1, 0] },
-          },
-        },
-      },
-      {
-        $project: {
-          serviceType: '$_id',
-          totalFeedback: 1,
-          avgRating: { $round: ['$avgRating', 2] },
-          avgSentimentScore: { $round: ['$avgSentimentScore', 1] },
-          positivePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$positiveCount', '$totalFeedback'] }, 100] },
-              1,
-            ],
-          },
-          negativePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$negativeCount', '$totalFeedback'] }, 100] },
-              1,
-            ],
-          },
-          neutralPercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$neutralCount', '$totalFeedback'] }, 100] },
-              1,
-            ],
-          },
-          satisfactionScore: {
-            $round: [
-              {
-                $multiply: [
-                  { $divide: ['$positiveCount', '$totalFeedback'] },
-                  100,
-                ],
-              },
-              1,
-            ],
-          },
-          highUrgencyCount: 1,
-          // Performance rating based on sentiment score
-          performanceRating: {
-            $switch: {
-              branches: [
-                { case: { $gte: ['$avgSentimentScore', 80] }, then: 'Excellent' },
-                { case: { $gte: ['$avgSentimentScore', 70] }, then: 'Good' },
-                { case: { $gte: ['$avgSentimentScore', 60] }, then: 'Average' },
-                { case: { $gte: ['$avgSentimentScore', 50] }, then: 'Needs Attention' },
-              ],
-              default: 'Critical',
-            },
-          },
-        },
-      },
-      { $sort: { satisfactionScore: -1 } },
-    ]);
+    const metrics = await serviceTypeMetricsFor(req, matchStage);
 
     console.log(`✅ Analyzed ${metrics.length} service types`);
 
+    const compareRange = comparisonRange(req, matchStage.createdAt);
+    if (compareRange) {
+      const previous = await serviceTypeMetricsFor(req, { ...matchStage, createdAt: compareRange });
+      return res.json({
+        status: 'success',
+        data: withRowDeltas(metrics, previous, 'serviceType', {
+          rates: ['satisfactionScore', 'negativePercentage'],
+          averages: ['avgRating', 'avgSentimentScore'],
+        }),
+        comparison: { period: comparisonPeriod(req, compareRange), data: previous },
+      });
+    }
+
     res.json({
       status: 'success',
       data: metrics,
     });
   } catch (error) {
     console.error('❌ Error fetching service metrics:', error.message);
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.statusCode || 500).json({ status: error.statusCode ? 'fail' : 'error', message: error.message });
   }
 };
 
@@ -248,10 +364,10 @@ exports.getSentimentTrends = async (req, res) => {
 
     const trends = await Feedback.aggregate([
       {
-        $match: {
+        $match: dashboardFilter(req, {
           createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
           sentiment: { $exists: true, $ne: null },
-        },
+        }),
       },
       {
         $group: {
@@ -314,7 +430,7 @@ exports.getCategoryInsights = async (req, res) => {
     }
 
     const insights = await Feedback.aggregate([
-      { $match: matchStage },
+      { $match: dashboardFilter(req, matchStage) },
       { $unwind: '$categories' },
       {
         $group: {
@@ -425,7 +541,7 @@ exports.getEmotionAnalysis = async (req, res) => {
     if (serviceType) matchStage.serviceType = serviceType;
 
     const emotionData = await Feedback.aggregate([
-      { $match: matchStage },
+      { $match: dashboardFilter(req, matchStage) },
       { $unwind: '$emotions' },
       {
         $group: {
@@ -502,10 +618,10 @@ exports.getUrgencyDashboard = async (req, res) => {
 
     const urgencyData = await Feedback.aggregate([
       {
-        $match: {
+        $match: dashboardFilter(req, {
           urgency: { $exists: true, $ne: null },
           status: { $ne: 'closed' }, // Only open items
-        },
+        }),
       },
       {
         $group: {
@@ -564,21 +680,164 @@ exports.getUrgencyDashboard = async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════
 // Shows: Key performance indicators
 // Business Use: Executive dashboard summary metrics
-// Dashboard: "CSAT: 78.5%, NPS: +42, CES: 71.2"
+// Dashboard: "CSAT: 78.5%, NPS: +42, CES: 5.6/7"
+//
+// NPS and CES come from the optional survey questions (likelihoodToRecommend
+// 0-10, effortScore 1-7) when any feedback in the window answered them.
+// Otherwise they fall back to proxies (star rating, AI sentiment score) and
+// `measurement` says so - proxy values are not comparable to industry NPS/CES.
 // ═══════════════════════════════════════════════════════════════════════════
 
+// 1 when a condition holds, for $sum counters
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const answered = (field) => ({ $isNumber: field });
+
+// CSAT, NPS, CES and supporting metrics for one window (null without feedback).
+// One aggregation: $facet totals the score counters and the sentiment mix in a
+// single pass; only the final ratios are computed here.
+const pulseMetricsFor = async (req, matchStage) => {
+  const [facets] = await Feedback.aggregate([
+    { $match: dashboardFilter(req, matchStage) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalFeedback: { $sum: 1 },
+              ratingSum: { $sum: '$rating' },
+              sentimentScoreSum: { $sum: { $ifNull: ['$sentimentScore', 0] } },
+              satisfied: countIf({ $gte: ['$rating', 4] }),
+              // Star-rating proxy
+              starPromoters: countIf({ $eq: ['$rating', 5] }),
+              starDetractors: countIf({ $lte: ['$rating', 3] }),
+              // likelihoodToRecommend survey
+              npsRespondents: countIf(answered('$likelihoodToRecommend')),
+              surveyPromoters: countIf({
+                $and: [answered('$likelihoodToRecommend'), { $gte: ['$likelihoodToRecommend', 9] }],
+              }),
+              surveyDetractors: countIf({
+                $and: [answered('$likelihoodToRecommend'), { $lte: ['$likelihoodToRecommend', 6] }],
+              }),
+              // effortScore survey
+              cesRespondents: countIf(answered('$effortScore')),
+              effortSum: { $sum: { $cond: [answered('$effortScore'), '$effortScore', 0] } },
+              easyCount: countIf({ $and: [answered('$effortScore'), { $gte: ['$effortScore', 5] }] }),
+            },
+          },
+        ],
+        sentiments: [{ $group: { _id: '$sentiment', count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0];
+  if (!totals) return null;
+  const { totalFeedback } = totals;
+
+  // ───────────────────────────────────────────────────────────────────────
+  // CSAT (Customer Satisfaction Score)
+  // ───────────────────────────────────────────────────────────────────────
+  // Percentage of ratings that are 4 or 5 stars
+  // Industry standard: >80% is good, >90% is excellent
+  const csat = parseFloat(((totals.satisfied / totalFeedback) * 100).toFixed(1));
+
+  // ───────────────────────────────────────────────────────────────────────
+  // NPS (Net Promoter Score)
+  // ───────────────────────────────────────────────────────────────────────
+  // Survey: % promoters (9-10) - % detractors (0-6) among respondents
+  // Proxy:  promoters (5 stars) - detractors (1-3 stars) among all feedback
+  // Range: -100 to +100
+  // Industry standard: >0 is good, >50 is excellent
+  const npsSurvey = totals.npsRespondents > 0;
+  const npsBase = npsSurvey ? totals.npsRespondents : totalFeedback;
+  const promoters = npsSurvey ? totals.surveyPromoters : totals.starPromoters;
+  const detractors = npsSurvey ? totals.surveyDetractors : totals.starDetractors;
+  const nps = parseFloat((((promoters - detractors) / npsBase) * 100).toFixed(1));
+
+  // ───────────────────────────────────────────────────────────────────────
+  // CES (Customer Effort Score)
+  // ───────────────────────────────────────────────────────────────────────
+  // Survey: average effortScore on the 1-7 scale (higher = easier)
+  // Proxy:  average AI sentiment score (0-100) when nobody answered
+  const cesSurvey = totals.cesRespondents > 0;
+  const avgSentimentScore = parseFloat((totals.sentimentScoreSum / totalFeedback).toFixed(1));
+  const ces = cesSurvey ? parseFloat((totals.effortSum / totals.cesRespondents).toFixed(2)) : avgSentimentScore;
+
+  // ───────────────────────────────────────────────────────────────────────
+  // Additional Metrics
+  // ───────────────────────────────────────────────────────────────────────
+  const avgRating = parseFloat((totals.ratingSum / totalFeedback).toFixed(2));
+
+  const sentimentCount = (sentiment) => (facets.sentiments.find((row) => row._id === sentiment) || { count: 0 }).count;
+  const sentimentDistribution = {
+    positive: sentimentCount('positive'),
+    neutral: sentimentCount('neutral'),
+    negative: sentimentCount('negative'),
+  };
+
+  // Performance rating
+  let performanceRating = 'Needs Improvement';
+  if (csat >= 90 && nps >= 50) performanceRating = 'Excellent';
+  else if (csat >= 80 && nps >= 30) performanceRating = 'Good';
+  else if (csat >= 70 && nps >= 10) performanceRating = 'Average';
+
+  return {
+    csat,
+    nps,
+    ces,
+    avgRating,
+    totalFeedback,
+    breakdown: {
+      promoters,
+      detractors,
+      passives: npsBase - promoters - detractors,
+      satisfied: totals.satisfied,
+      unsatisfied: totalFeedback - totals.satisfied,
+    },
+    measurement: {
+      nps: npsSurvey
+        ? { method: 'survey', basis: 'likelihoodToRecommend (0-10)', respondents: totals.npsRespondents }
+        : { method: 'proxy', basis: 'star rating (5 = promoter, 1-3 = detractor)', respondents: totalFeedback },
+      ces: cesSurvey
+        ? {
+            method: 'survey',
+            basis: 'effortScore (1-7, higher = easier)',
+            respondents: totals.cesRespondents,
+            easyPercentage: parseFloat(((totals.easyCount / totals.cesRespondents) * 100).toFixed(1)),
+          }
+        : { method: 'proxy', basis: 'AI sentiment score (0-100)', respondents: totalFeedback },
+    },
+    sentimentDistribution,
+    performanceRating,
+  };
+};
+
 exports.getPulseMetrics = async (req, res) => {
   try {
     console.log('📊 Calculating pulse metrics (CSAT, NPS, CES)...');
 
-    const { days = 30 } = req.query;
+    const { days = 30, startDate, endDate, serviceType, branch } = req.query;
 
-    const feedback = await Feedback.find({
-      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    const matchStage = {
       rating: { $exists: true },
-    }).select('rating sentiment sentimentScore');
+    };
+
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    } else {
+      matchStage.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+
+    if (serviceType) matchStage.serviceType = serviceType;
+    if (branch) matchStage.branch = branch;
+
+    const period = startDate || endDate ? `${startDate || 'all time'} to ${endDate || 'now'}` : `${days} days`;
+    const pulse = await pulseMetricsFor(req, matchStage);
 
-    if (feedback.length === 0) {
+    if (!pulse) {
       return res.json({
         status: 'success',
         message: 'No feedback data available for the specified period',
@@ -587,88 +846,39 @@ exports.getPulseMetrics = async (req, res) => {
           nps: 0,
           ces: 0,
           totalFeedback: 0,
-          period: `${days} days`,
+          period,
         },
       });
     }
 
-    // ───────────────────────────────────────────────────────────────────────
-    // CSAT (Customer Satisfaction Score)
-    // ───────────────────────────────────────────────────────────────────────
-    // Percentage of ratings that are 4 or 5 stars
-    // Industry standard: >80% is good, >90% is excellent
-    const satisfiedCount = feedback.filter((f) => f.rating >= 4).length;
-    const csat = parseFloat(((satisfiedCount / feedback.length) * 100).toFixed(1));
-
-    // ───────────────────────────────────────────────────────────────────────
-    // NPS (Net Promoter Score)
-    // ───────────────────────────────────────────────────────────────────────
-    // Promoters (5 stars) - Detractors (1-3 stars)
-    // Range: -100 to +100
-    // Industry standard: >0 is good, >50 is excellent
-    const promoters = feedback.filter((f) => f.rating === 5).length;
-    const detractors = feedback.filter((f) => f.rating <= 3).length;
-    const nps = parseFloat((((promoters - detractors) / feedback.length) * 100).toFixed(1));
-
-    // ───────────────────────────────────────────────────────────────────────
-    // CES (Customer Effort Score)
-    // ───────────────────────────────────────────────────────────────────────
-    // Based on sentiment score (higher = easier experience)
-    // Using AI sentiment score as proxy for effort
-    const avgSentimentScore = parseFloat(
-      (feedback.reduce((sum, f) => sum + (f.sentimentScore || 0), 0) / feedback.length).toFixed(1)
-    );
-
-    // ───────────────────────────────────────────────────────────────────────
-    // Additional Metrics
-    // ───────────────────────────────────────────────────────────────────────
-    const avgRating = parseFloat(
-      (feedback.reduce((sum, f) => sum + f.rating, 0) / feedback.length).toFixed(2)
-    );
-
-    const sentimentDistribution = {
-      positive: feedback.filter((f) => f.sentiment === 'positive').length,
-      neutral: feedback.filter((f) => f.sentiment === 'neutral').length,
-      negative: feedback.filter((f) => f.sentiment === 'negative').length,
-    };
-
-    // Performance rating
-    let performanceRating = 'Needs Improvement';
-    if (csat >= 90 && nps >= 50) performanceRating = 'Excellent';
-    else if (csat >= 80 && nps >= 30) performanceRating = 'Good';
-    else if (csat >= 70 && nps >= 10) performanceRating = 'Average';
-
     console.log(`✅ Pulse Metrics Calculated:`);
-    console.log(`   CSAT: ${csat}% | NPS: ${nps} | CES: ${avgSentimentScore}`);
-    console.log(`   Performance: ${performanceRating}`);
+    console.log(`   CSAT: ${pulse.csat}% | NPS: ${pulse.nps} | CES: ${pulse.ces}`);
+    console.log(`   Performance: ${pulse.performanceRating}`);
 
-    res.json({
+    const response = {
       status: 'success',
       data: {
         // Core Metrics
-        csat,
-        nps,
-        ces: avgSentimentScore,
+        csat: pulse.csat,
+        nps: pulse.nps,
+        ces: pulse.ces,
 
         // Supporting Metrics
-        avgRating,
-        totalFeedback: feedback.length,
-        period: `${days} days`,
+        avgRating: pulse.avgRating,
+        totalFeedback: pulse.totalFeedback,
+        period,
 
         // Breakdown
-        breakdown: {
-          promoters,
-          detractors,
-          passives: feedback.length - promoters - detractors,
-          satisfied: satisfiedCount,
-          unsatisfied: feedback.length - satisfiedCount,
-        },
+        breakdown: pulse.breakdown,
+
+        // Survey-based or proxy NPS/CES
+        measurement: pulse.measurement,
 
         // Sentiment Distribution
-        sentimentDistribution,
+        sentimentDistribution: pulse.sentimentDistribution,
 
         // Performance Rating
-        performanceRating,
+        performanceRating: pulse.performanceRating,
 
         // Benchmarks for reference
         benchmarks: {
@@ -684,12 +894,54 @@ exports.getPulseMetrics = async (req, res) => {
             average: '0-30',
             poor: '<0',
           },
+          // Survey CES only; the proxy is on the 0-100 sentiment scale
+          ces: {
+            excellent: '>6',
+            good: '5-6',
+            average: '4-5',
+            poor: '<4',
+          },
         },
       },
-    });
+    };
+
+    const compareRange = comparisonRange(req, matchStage.createdAt);
+    if (compareRange) {
+      const previous = await pulseMetricsFor(req, { ...matchStage, createdAt: compareRange });
+      const n = [pulse.totalFeedback, previous ? previous.totalFeedback : 0];
+      // Promoter/detractor shares (%) for the NPS significance test
+      const respondents = (p) => (p ? p.measurement.nps.respondents : 0);
+      const shares = (p) =>
+        p ? [(p.breakdown.promoters / respondents(p)) * 100, (p.breakdown.detractors / respondents(p)) * 100] : [0, 0];
+      const value = (field) => (previous ? previous[field] : null);
+      // A survey value compared with a proxy value is not a real change
+      const sameMethod = (metric) => !previous || previous.measurement[metric].method === pulse.measurement[metric].method;
+
+      response.comparison = {
+        period: comparisonPeriod(req, compareRange),
+        data: previous,
+        deltas: {
+          csat: compareMetric(pulse.csat, value('csat'), { type: 'proportion', n }),
+          nps: sameMethod('nps')
+            ? compareMetric(pulse.nps, value('nps'), {
+                type: 'nps',
+                n: [respondents(pulse), respondents(previous)],
+                shares: [shares(pulse), shares(previous)],
+              })
+            : { ...compareMetric(pulse.nps, null), previous: value('nps'), methodChanged: true },
+          ces: sameMethod('ces')
+            ? compareMetric(pulse.ces, value('ces'))
+            : { ...compareMetric(pulse.ces, null), previous: value('ces'), methodChanged: true },
+          avgRating: compareMetric(pulse.avgRating, value('avgRating')),
+          totalFeedback: compareMetric(pulse.totalFeedback, n[1], { type: 'count' }),
+        },
+      };
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('❌ Error calculating pulse metrics:', error.message);
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.statusCode || 500).json({ status: error.statusCode ? 'fail' : 'error', message: error.message });
   }
 };
 
@@ -714,7 +966,7 @@ exports.getActionableInsights = async (req, res) => {
     if (urgency) matchStage.urgency = urgency;
     if (serviceType) matchStage.serviceType = serviceType;
 
-    const insights = await Feedback.find(matchStage)
+    const insights = await Feedback.find(dashboardFilter(req, matchStage))
       .sort({ urgency: 1, createdAt: -1 }) // Critical first, then newest
       .limit(parseInt(limit))
       .select(
@@ -742,6 +994,84 @@ exports.getActionableInsights = async (req, res) => {
 // Dashboard: Branch leaderboard with scores
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Per-branch metrics for one window, best performer first
+const branchMetricsFor = (req, matchStage) => {
+  return Feedback.aggregate([
+    { $match: dashboardFilter(req, matchStage) },
+    {
+      $group: {
+        _id: '$branch',
+        totalFeedback: { $sum: 1 },
+        avgRating: { $avg: '$rating' },
+        avgSentimentScore: { $avg: '$sentimentScore' },
+        positiveCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] },
+        },
+        negativeCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] },
+        },
+        neutralCount: {
+          $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] },
+        },
+        highUrgencyCount: {
+          $sum: { $cond: [{ $in: ['$urgency', ['high', 'critical']] }, 1, 0] },
+        },
+      },
+    },
+    {
+      $project: {
+        branch: '$_id',
+        totalFeedback: 1,
+        avgRating: { $round: ['$avgRating', 2] },
+        avgSentimentScore: { $round: ['$avgSentimentScore', 1] },
+        positivePercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$positiveCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        negativePercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$negativeCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        neutralPercentage: {
+          $round: [
+            { $multiply: [{ $divide: ['$neutralCount', '$totalFeedback'] }, 100] },
+            1,
+          ],
+        },
+        highUrgencyCount: 1,
+        performanceScore: {
+          $round: [
+            {
+              $add: [
+                { $multiply: ['$avgSentimentScore', 0.7] }, // 70% weight on sentiment
+                { $multiply: ['$avgRating', 6] }, // 30% weight on rating (scaled to 30)
+              ],
+            },
+            1,
+          ],
+        },
+        // Performance rating
+        performanceRating: {
+          $switch: {
+            branches: [
+              { case: { $gte: ['$avgSentimentScore', 80] }, then: 'Excellent' },
+              { case: { $gte: ['$avgSentimentScore', 70] }, then: 'Good' },
+              { case: { $gte: ['$avgSentimentScore', 60] }, then: 'Average' },
+              { case: { $gte: ['$avgSentimentScore', 50] }, then: 'Needs Attention' },
+            ],
+            default: 'Critical',
+          },
+        },
+      },
+    },
+    { $sort: { performanceScore: -1 } },
+  ]);
+};
+
 exports.getBranchComparison = async (req, res) => {
   try {
     console.log('📊 Fetching branch comparison...');
@@ -768,108 +1098,698 @@ exports.getBranchComparison = async (req, res) => {
 
     console.log(`   Analyzing branches for the last ${days} days...`);
 
-    const branchData = await Feedback.aggregate([
-      { $match: matchStage },
+    const branchData = await branchMetricsFor(req, matchStage);
+
+    console.log(`✅ Compared ${branchData.length} branches`);
+    if (branchData.length > 0) {
+      console.log(`   🥇 Top performer: ${branchData[0].branch} (Score: ${branchData[0].performanceScore})`);
+      if (branchData.length > 1) {
+        console.log(`   🥈 Runner-up: ${branchData[1].branch} (Score: ${branchData[1].performanceScore})`);
+      }
+    }
+
+    const response = {
+      status: 'success',
+      period: {
+        days: parseInt(days),
+        startDate: matchStage.createdAt.$gte || startDate || 'all time',
+        endDate: matchStage.createdAt.$lte || endDate || 'now',
+      },
+      summary: {
+        totalBranches: branchData.length,
+        topPerformer: branchData[0] || null,
+        lowestPerformer: branchData[branchData.length - 1] || null,
+      },
+      data: branchData,
+    };
+
+    const compareRange = comparisonRange(req, matchStage.createdAt);
+    if (compareRange) {
+      const previous = await branchMetricsFor(req, { ...matchStage, createdAt: compareRange });
+      response.data = withRowDeltas(branchData, previous, 'branch', {
+        rates: ['positivePercentage', 'negativePercentage'],
+        averages: ['performanceScore', 'avgRating', 'avgSentimentScore'],
+      });
+      response.comparison = { period: comparisonPeriod(req, compareRange), data: previous };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('❌ Error fetching branch comparison:', error.message);
+    res.status(error.statusCode || 500).json({ status: error.statusCode ? 'fail' : 'error', message: error.message });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 10. AI ACCURACY - Model Output vs Human Corrections
+// ═══════════════════════════════════════════════════════════════════════════
+// Shows: Agreement, confusion matrices, per-category precision/recall and
+//        confidence calibration, by aiModel and serviceType
+// Business Use: Know whether the AI classification can be trusted
+// Dashboard: "gpt-4o agrees with staff on urgency 82% of the time"
+// ═══════════════════════════════════════════════════════════════════════════
+
+exports.getAIAccuracy = async (req, res) => {
+  try {
+    console.log('📊 Evaluating AI accuracy against human corrections...');
+
+    const { startDate, endDate, serviceType, aiModel } = req.query;
+
+    // Only feedback a staff member reviewed carries a human label
+    const matchStage = {
+      humanConfirmedFields: { $exists: true, $ne: [] },
+    };
+
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    }
+
+    if (serviceType) matchStage.serviceType = serviceType;
+
+    const reviewed = await Feedback.aggregate([
+      { $match: withScope(req, matchStage) },
       {
-        $group: {
-          _id: '$branch',
-          totalFeedback: { $sum: 1 },
-          avgRating: { $avg: '$rating' },
-          avgSentimentScore: { $avg: '$sentimentScore' },
-          positiveCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] },
-          },
-          negativeCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] },
-          },
-          neutralCount: {
-            $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] },
-          },
-          highUrgencyCount: {
-            $sum: { $cond: [{ $in: ['$urgency', ['high', 'critical']] }, 1, 0] },
+        $project: {
+          serviceType: 1,
+          sentiment: 1,
+          urgency: 1,
+          categories: 1,
+          humanConfirmedFields: 1,
+          // The prediction being judged is the last AI run before the first
+          // human review: that is what the reviewer saw. Re-analyses after
+          // the review are ignored.
+          lastAI: {
+            $let: {
+              vars: {
+                history: { $ifNull: ['$analysisHistory', []] },
+              },
+              in: {
+                $let: {
+                  vars: {
+                    reviewedAt: {
+                      $min: {
+                        $map: {
+                          input: {
+                            $filter: { input: '$$history', cond: { $eq: ['$$this.source', 'human'] } },
+                          },
+                          in: '$$this.createdAt',
+                        },
+                      },
+                    },
+                  },
+                  in: {
+                    $arrayElemAt: [
+                      {
+                        $filter: {
+                          input: '$$history',
+                          cond: {
+                            $and: [
+                              { $eq: ['$$this.source', 'ai'] },
+                              {
+                                $or: [
+                                  { $eq: ['$$reviewedAt', null] },
+                                  { $lt: ['$$this.createdAt', '$$reviewedAt'] },
+                                ],
+                              },
+                            ],
+                          },
+                        },
+                      },
+                      -1,
+                    ],
+                  },
+                },
+              },
+            },
           },
         },
       },
-      {
-        $project: {
-          branch: '$_id',
-          totalFeedback: 1,
-          avgRating: { $round: ['$avgRating', 2] },
-          avgSentimentScore: { $round: ['$avgSentimentScore', 1] },
-          positivePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$positiveCount', '$totalFeedback'] }, 100] },
-              1,
+      { $match: { lastAI: { $ne: null } } },
+      ...(aiModel ? [{ $match: { 'lastAI.aiModel': aiModel } }] : []),
+    ]);
+
+    const records = reviewed.map((f) => ({
+      aiModel: f.lastAI.aiModel,
+      serviceType: f.serviceType,
+      confidence: f.lastAI.aiConfidenceScore,
+      predicted: {
+        sentiment: f.lastAI.sentiment,
+        urgency: f.lastAI.urgency,
+        categories: f.lastAI.categories,
+      },
+      actual: {
+        sentiment: f.sentiment,
+        urgency: f.urgency,
+        categories: f.categories,
+      },
+      confirmedFields: f.humanConfirmedFields,
+    }));
+
+    const overall = evaluate(records);
+
+    console.log(`✅ Evaluated ${records.length} human-reviewed feedbacks`);
+
+    res.json({
+      status: 'success',
+      summary: {
+        reviewedFeedback: records.length,
+        sentimentAgreement: overall.fields.sentiment.agreementRate,
+        urgencyAgreement: overall.fields.urgency.agreementRate,
+        categoryAgreement: overall.fields.categories.agreementRate,
+        expectedCalibrationError: overall.calibration.expectedCalibrationError,
+      },
+      data: {
+        overall,
+        byModel: evaluateBy(records, 'aiModel'),
+        byServiceType: evaluateBy(records, 'serviceType'),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error evaluating AI accuracy:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 11. SLA COMPLIANCE - Response & Resolution Times
+// ═══════════════════════════════════════════════════════════════════════════
+// Shows: SLA compliance, time-to-first-response and time-to-resolution per
+//        branch and service type
+// Business Use: Hold teams accountable for response commitments
+// Dashboard: "Ikeja: 91% within SLA, first response 3.2h, resolved in 28h"
+// ═══════════════════════════════════════════════════════════════════════════
+
+exports.getSlaCompliance = async (req, res) => {
+  try {
+    console.log('📊 Fetching SLA compliance report...');
+
+    const { startDate, endDate, days = 30 } = req.query;
+
+    // Closed cases are included (see the aggregate middleware)
+    const matchStage = {
+      slaDueAt: { $exists: true },
+    };
+
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    } else {
+      matchStage.createdAt = {
+        $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000),
+      };
+    }
+
+    const HOUR = 1000 * 60 * 60;
+    const now = new Date();
+
+    const groupStats = {
+      totalCases: { $sum: 1 },
+      resolvedCases: { $sum: { $cond: [{ $ifNull: ['$finishedAt', false] }, 1, 0] } },
+      breachedCases: { $sum: { $cond: ['$breached', 1, 0] } },
+      openOverdue: {
+        $sum: {
+          $cond: [{ $and: [{ $not: [{ $ifNull: ['$finishedAt', false] }] }, '$breached'] }, 1, 0],
+        },
+      },
+      escalatedCases: { $sum: { $cond: [{ $gt: ['$escalationLevel', 0] }, 1, 0] } },
+      avgFirstResponseHours: { $avg: '$firstResponseHours' },
+      avgResolutionHours: { $avg: '$resolutionHours' },
+    };
+
+    const projectStats = {
+      _id: 0,
+      totalCases: 1,
+      resolvedCases: 1,
+      breachedCases: 1,
+      openOverdue: 1,
+      escalatedCases: 1,
+      complianceRate: {
+        $round: [
+          {
+            $multiply: [
+              { $divide: [{ $subtract: ['$totalCases', '$breachedCases'] }, '$totalCases'] },
+              100,
             ],
           },
-          negativePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$negativeCount', '$totalFeedback'] }, 100] },
-              1,
+          1,
+        ],
+      },
+      avgFirstResponseHours: { $round: ['$avgFirstResponseHours', 1] },
+      avgResolutionHours: { $round: ['$avgResolutionHours', 1] },
+    };
+
+    const [report] = await Feedback.aggregate([
+      { $match: withScope(req, matchStage) },
+      {
+        $addFields: {
+          finishedAt: { $ifNull: ['$resolvedAt', '$closedAt'] },
+        },
+      },
+      {
+        $addFields: {
+          firstResponseHours: {
+            $cond: [
+              { $ifNull: ['$firstResponseAt', false] },
+              { $divide: [{ $subtract: ['$firstResponseAt', '$createdAt'] }, HOUR] },
+              null,
             ],
           },
-          neutralPercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$neutralCount', '$totalFeedback'] }, 100] },
-              1,
+          resolutionHours: {
+            $cond: [
+              { $ifNull: ['$finishedAt', false] },
+              { $divide: [{ $subtract: ['$finishedAt', '$createdAt'] }, HOUR] },
+              null,
             ],
           },
-          highUrgencyCount: 1,
-          performanceScore: {
-            $round: [
-              {
-                $add: [
-                  { $multiply: ['$avgSentimentScore', 0.7] }, // 70% weight on sentiment
-                  { $multiply: ['$avgRating', 6] }, // 30% weight on rating (scaled to 30)
-                ],
-              },
-              1,
+          // Breached: escalated, finished late, or still open past due
+          breached: {
+            $or: [
+              { $ifNull: ['$slaBreachedAt', false] },
+              { $gt: [{ $ifNull: ['$finishedAt', now] }, '$slaDueAt'] },
             ],
           },
-          // Performance rating
-          performanceRating: {
-            $switch: {
-              branches: [
-                { case: { $gte: ['$avgSentimentScore', 80] }, then: 'Excellent' },
-                { case: { $gte: ['$avgSentimentScore', 70] }, then: 'Good' },
-                { case: { $gte: ['$avgSentimentScore', 60] }, then: 'Average' },
-                { case: { $gte: ['$avgSentimentScore', 50] }, then: 'Needs Attention' },
-              ],
-              default: 'Critical',
-            },
-          },
         },
       },
-      { $sort: { performanceScore: -1 } },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...groupStats } }, { $project: projectStats }],
+          byBranch: [
+            { $match: { branch: { $exists: true, $nin: [null, ''] } } },
+            { $group: { _id: '$branch', ...groupStats } },
+            { $project: { branch: '$_id', ...projectStats } },
+            { $sort: { complianceRate: 1 } },
+          ],
+          byServiceType: [
+            { $group: { _id: '$serviceType', ...groupStats } },
+            { $project: { serviceType: '$_id', ...projectStats } },
+            { $sort: { complianceRate: 1 } },
+          ],
+        },
+      },
+    ]).option({ includeClosed: true });
+
+    const overall = report.overall[0] || { totalCases: 0 };
+
+    console.log(`✅ SLA compliance: ${overall.complianceRate || 0}% of ${overall.totalCases} cases`);
+
+    res.json({
+      status: 'success',
+      period: {
+        startDate: matchStage.createdAt.$gte || 'all time',
+        endDate: matchStage.createdAt.$lte || 'now',
+      },
+      slaWindowsDays: Feedback.SLA_WINDOWS_DAYS,
+      summary: overall,
+      data: {
+        byBranch: report.byBranch,
+        byServiceType: report.byServiceType,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching SLA compliance:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 12. TRUST IMPACT - What untrusted feedback does to the numbers
+// ═══════════════════════════════════════════════════════════════════════════
+// Shows: Each headline metric with all feedback vs trusted feedback only,
+//        the fraud flags behind the exclusions and branch ranking shifts
+// Business Use: Decide which trust threshold the dashboards should use
+// Dashboard: "Excluding 42 suspicious submissions moves CSAT 81% -> 76%"
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Headline metrics from rating/sentiment counts (same definitions as pulse)
+const summarizeTrustGroup = (group) => {
+  if (!group || group.total === 0) {
+    return { totalFeedback: 0, avgRating: null, csat: null, nps: null, avgSentimentScore: null, positivePercentage: null, negativePercentage: null };
+  }
+  const pct = (n) => parseFloat(((n / group.total) * 100).toFixed(1));
+  return {
+    totalFeedback: group.total,
+    avgRating: parseFloat(group.avgRating.toFixed(2)),
+    csat: pct(group.satisfied),
+    nps: parseFloat((((group.promoters - group.detractors) / group.total) * 100).toFixed(1)),
+    avgSentimentScore: group.avgSentimentScore === null ? null : parseFloat(group.avgSentimentScore.toFixed(1)),
+    positivePercentage: pct(group.positive),
+    negativePercentage: pct(group.negative),
+  };
+};
+
+exports.getTrustImpact = async (req, res) => {
+  try {
+    console.log('📊 Measuring the impact of untrusted feedback...');
+
+    const { startDate, endDate, days = 30 } = req.query;
+
+    // Without explicit trust params, compare against "everything not suspicious"
+    const trust = Object.keys(req.trustFilter.match).length > 0
+      ? req.trustFilter
+      : buildTrustFilter({ excludeSuspicious: 'true' });
+
+    const matchStage = {
+      rating: { $exists: true },
+    };
+
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    } else {
+      matchStage.createdAt = {
+        $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000),
+      };
+    }
+
+    const groupStats = {
+      total: { $sum: 1 },
+      avgRating: { $avg: '$rating' },
+      avgSentimentScore: { $avg: '$sentimentScore' },
+      satisfied: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } },
+      promoters: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } },
+      detractors: { $sum: { $cond: [{ $lte: ['$rating', 3] }, 1, 0] } },
+      positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+      negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } },
+    };
+    const hasBranch = { branch: { $exists: true, $nin: [null, ''] } };
+
+    const [report] = await Feedback.aggregate([
+      { $match: withScope(req, matchStage) },
+      {
+        $facet: {
+          all: [{ $group: { _id: null, ...groupStats } }],
+          trusted: [{ $match: trust.match }, { $group: { _id: null, ...groupStats } }],
+          excludedFlags: [
+            { $match: { $nor: [trust.match] } },
+            { $unwind: { path: '$fraudFlags', preserveNullAndEmptyArrays: true } },
+            { $group: { _id: { $ifNull: ['$fraudFlags', 'none'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          branchesAll: [{ $match: hasBranch }, { $group: { _id: '$branch', ...groupStats } }],
+          branchesTrusted: [{ $match: { ...hasBranch, ...trust.match } }, { $group: { _id: '$branch', ...groupStats } }],
+        },
+      },
     ]);
 
-    console.log(`✅ Compared ${branchData.length} branches`);
-    if (branchData.length > 0) {
-      console.log(`   🥇 Top performer: ${branchData[0].branch} (Score: ${branchData[0].performanceScore})`);
-      if (branchData.length > 1) {
-        console.log(`   🥈 Runner-up: ${branchData[1].branch} (Score: ${branchData[1].performanceScore})`);
-      }
+    const all = summarizeTrustGroup(report.all[0]);
+    const trusted = summarizeTrustGroup(report.trusted[0]);
+
+    const metrics = ['avgRating', 'csat', 'nps', 'avgSentimentScore', 'positivePercentage', 'negativePercentage'].map((metric) => ({
+      metric,
+      all: all[metric],
+      trusted: trusted[metric],
+      change: all[metric] === null || trusted[metric] === null
+        ? null
+        : parseFloat((trusted[metric] - all[metric]).toFixed(2)),
+    }));
+
+    // Branch leaderboard by CSAT, with and without untrusted feedback
+    const rank = (groups) => groups
+      .map((g) => ({ branch: g._id, ...summarizeTrustGroup(g) }))
+      .sort((a, b) => b.csat - a.csat || b.totalFeedback - a.totalFeedback)
+      .map((b, i) => ({ ...b, rank: i + 1 }));
+
+    const trustedByBranch = new Map(rank(report.branchesTrusted).map((b) => [b.branch, b]));
+    const branches = rank(report.branchesAll).map((b) => {
+      const t = trustedByBranch.get(b.branch);
+      return {
+        branch: b.branch,
+        all: { totalFeedback: b.totalFeedback, csat: b.csat, rank: b.rank },
+        trusted: t ? { totalFeedback: t.totalFeedback, csat: t.csat, rank: t.rank } : null,
+        // Positive = moves up the leaderboard once untrusted feedback is excluded
+        rankChange: t ? b.rank - t.rank : null,
+      };
+    });
+
+    const excluded = all.totalFeedback - trusted.totalFeedback;
+
+    console.log(`✅ Trust filter excludes ${excluded} of ${all.totalFeedback} feedbacks`);
+
+    res.json({
+      status: 'success',
+      period: {
+        startDate: matchStage.createdAt.$gte || 'all time',
+        endDate: matchStage.createdAt.$lte || 'now',
+      },
+      trustFilter: trust.filter,
+      summary: {
+        totalFeedback: all.totalFeedback,
+        trustedFeedback: trusted.totalFeedback,
+        excludedFeedback: excluded,
+        excludedPercentage: all.totalFeedback > 0 ? parseFloat(((excluded / all.totalFeedback) * 100).toFixed(1)) : 0,
+      },
+      data: {
+        metrics,
+        excludedByFlag: report.excludedFlags.map((f) => ({ flag: f._id, count: f.count })),
+        branches,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error measuring trust impact:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 13. DUPLICATE CLUSTERS - Pasted complaints and coordinated campaigns
+// ═══════════════════════════════════════════════════════════════════════════
+// Shows: Groups of near-identical feedback (linked by duplicateOf), their
+//        branches and how tightly they were bunched in time
+// Business Use: Spot review-bombing of a branch before it skews the metrics
+// Dashboard: "14 copies of one ATM complaint against Ikeja within 3 hours"
+// ═══════════════════════════════════════════════════════════════════════════
+
+exports.getDuplicateClusters = async (req, res) => {
+  try {
+    console.log('📊 Fetching duplicate clusters...');
+
+    const { startDate, endDate, days = 30, branch, minSize = 2, windowHours = 24, suspiciousOnly } = req.query;
+
+    // Closed feedback is counted too
+    const matchStage = {
+      duplicateOf: { $exists: true, $ne: null },
+    };
+
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    } else {
+      matchStage.createdAt = {
+        $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000),
+      };
     }
 
+    if (branch) matchStage.branch = branch;
+
+    const clusters = await Feedback.aggregate([
+      { $match: withScope(req, matchStage) },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { canonical: '$duplicateOf', branch: '$branch' },
+          count: { $sum: 1 },
+          firstSeen: { $min: '$createdAt' },
+          lastSeen: { $max: '$createdAt' },
+          campaignFlagged: { $max: { $in: ['coordinated_campaign', { $ifNull: ['$fraudFlags', []] }] } },
+          avgSimilarity: { $avg: '$duplicateSimilarity' },
+          members: { $push: '$referenceNumber' },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.canonical',
+          duplicates: { $sum: '$count' },
+          firstSeen: { $min: '$firstSeen' },
+          lastSeen: { $max: '$lastSeen' },
+          campaignFlagged: { $max: '$campaignFlagged' },
+          avgSimilarity: { $avg: '$avgSimilarity' },
+          branches: { $push: { branch: '$_id.branch', count: '$count' } },
+          members: { $push: '$members' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'feedbacks',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'canonical',
+        },
+      },
+      { $unwind: { path: '$canonical', preserveNullAndEmptyArrays: true } },
+    ]).option({ includeClosed: true });
+
+    const windowMs = parseFloat(windowHours) * 60 * 60 * 1000;
+
+    const result = clusters
+      .map((c) => {
+        const start = c.canonical && c.canonical.createdAt < c.firstSeen ? c.canonical.createdAt : c.firstSeen;
+        const spanMs = c.lastSeen - start;
+        const size = c.duplicates + 1;
+        return {
+          // The original may belong to a branch outside the user's scope
+          canonical: c.canonical && inScope(req.user, c.canonical)
+            ? {
+                id: c.canonical._id,
+                referenceNumber: c.canonical.referenceNumber,
+                branch: c.canonical.branch,
+                serviceType: c.canonical.serviceType,
+                comment: (c.canonical.comment || '').substring(0, 300),
+                createdAt: c.canonical.createdAt,
+              }
+            : { id: c._id },
+          size,
+          branches: c.branches
+            .map((b) => ({ branch: b.branch || 'Unspecified', count: b.count }))
+            .sort((a, b) => b.count - a.count),
+          firstSeen: start,
+          lastSeen: c.lastSeen,
+          spanHours: parseFloat((spanMs / (60 * 60 * 1000)).toFixed(1)),
+          avgSimilarity: c.avgSimilarity === null ? null : parseFloat((c.avgSimilarity * 100).toFixed(1)),
+          // Flagged by the offline scan, or large and tightly bunched in this window
+          suspicious: c.campaignFlagged || (size >= 3 && spanMs <= windowMs),
+          duplicates: [].concat(...c.members).slice(0, 50),
+        };
+      })
+      .filter((c) => c.size >= parseInt(minSize))
+      .filter((c) => suspiciousOnly !== 'true' || c.suspicious)
+      .sort((a, b) => b.suspicious - a.suspicious || b.size - a.size);
+
+    // How much duplicate volume each branch received
+    const byBranch = {};
+    result.forEach((c) => {
+      c.branches.forEach((b) => {
+        if (!byBranch[b.branch]) byBranch[b.branch] = { branch: b.branch, clusters: 0, suspiciousClusters: 0, duplicates: 0 };
+        byBranch[b.branch].clusters++;
+        if (c.suspicious) byBranch[b.branch].suspiciousClusters++;
+        byBranch[b.branch].duplicates += b.count;
+      });
+    });
+
+    console.log(`✅ Found ${result.length} duplicate clusters (${result.filter((c) => c.suspicious).length} suspicious)`);
+
     res.json({
       status: 'success',
       period: {
-        days: parseInt(days),
-        startDate: matchStage.createdAt.$gte || startDate || 'all time',
-        endDate: matchStage.createdAt.$lte || endDate || 'now',
+        startDate: matchStage.createdAt.$gte || 'all time',
+        endDate: matchStage.createdAt.$lte || 'now',
       },
       summary: {
-        totalBranches: branchData.length,
-        topPerformer: branchData[0] || null,
-        lowestPerformer: branchData[branchData.length - 1] || null,
+        clusters: result.length,
+        suspiciousClusters: result.filter((c) => c.suspicious).length,
+        duplicateFeedback: result.reduce((sum, c) => sum + c.size - 1, 0),
+      },
+      data: {
+        clusters: result,
+        byBranch: Object.values(byBranch).sort((a, b) => b.duplicates - a.duplicates),
       },
-      data: branchData,
     });
   } catch (error) {
-    console.error('❌ Error fetching branch comparison:', error.message);
+    console.error('❌ Error fetching duplicate clusters:', error.message);
     res.status(500).json({ status: 'error', message: error.message });
   }
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// 14. ANOMALIES - Spikes in negative feedback
+// ═══════════════════════════════════════════════════════════════════════════
+// Shows: Windows where a service, branch or category received far more
+//        negative feedback than its rolling baseline (recorded by
+//        services/anomalyDetectionService.js), with severity and z-score
+// Business Use: Catch an outage or a failing branch the morning it happens
+// Dashboard: "ATM Service: 42 negative in 24h vs 13 usual (critical)"
+// ═══════════════════════════════════════════════════════════════════════════
 
+// A spike covers one branch or service type across everything else, so a
+// scoped user only sees the slices their scope fully covers: the spikes of
+// their branches when scoped to branches alone, of their service types when
+// scoped to service types alone, and none when scoped to both. Category
+// spikes span every branch, so they are left to admins. Returned under $and
+// so it never replaces the caller's dimension/value filters.
+const anomalyScope = (req) => {
+  const scope = scopeMatch(req.user);
+  if (!scope) return {};
+  if (scope.branch && scope.serviceType) return { $and: [{ _id: { $in: [] } }] };
+  if (scope.branch) return { $and: [{ dimension: 'branch', value: scope.branch }] };
+  return { $and: [{ dimension: 'serviceType', value: scope.serviceType }] };
+};
+
+exports.getAnomalies = async (req, res) => {
+  try {
+    console.log('📊 Fetching anomalies...');
 
+    const { days = 7, status, severity, dimension, value, limit = 50 } = req.query;
+
+    const matchStage = {
+      windowEnd: { $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) },
+    };
+    if (status) matchStage.status = { $in: status.split(',') };
+    if (severity) matchStage.severity = { $in: severity.split(',') };
+    if (dimension) matchStage.dimension = dimension;
+    if (value) matchStage.value = value;
+    Object.assign(matchStage, anomalyScope(req));
+
+    const [events, bySeverity] = await Promise.all([
+      AnomalyEvent.find(matchStage)
+        .sort({ windowEnd: -1, zScore: -1 })
+        .limit(Math.min(parseInt(limit) || 50, 200))
+        .populate('acknowledgedBy', 'name email'),
+      AnomalyEvent.aggregate([
+        { $match: matchStage },
+        { $group: { _id: { severity: '$severity', status: '$status' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const summary = { total: 0, open: 0, acknowledged: 0, resolved: 0, low: 0, medium: 0, high: 0, critical: 0 };
+    bySeverity.forEach((row) => {
+      summary.total += row.count;
+      summary[row._id.status] += row.count;
+      summary[row._id.severity] += row.count;
+    });
+
+    console.log(`✅ Found ${summary.total} anomalies (${summary.open} open)`);
+
+    res.json({
+      status: 'success',
+      summary,
+      data: { anomalies: events },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching anomalies:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// Acknowledge or resolve an anomaly
+exports.updateAnomaly = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['open', 'acknowledged', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'status must be open, acknowledged or resolved',
+      });
+    }
+
+    const event = await AnomalyEvent.findOne({ _id: req.params.id, ...anomalyScope(req) });
+    if (!event) {
+      return res.status(404).json({ status: 'fail', message: 'Anomaly not found' });
+    }
+
+    event.status = status;
+    if (status === 'acknowledged') {
+      event.acknowledgedBy = req.user._id;
+      event.acknowledgedAt = new Date();
+    }
+    await event.save();
+
+    res.json({ status: 'success', data: { anomaly: event } });
+  } catch (error) {
+    console.error('❌ Error updating anomaly:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
@@ -1,32 +1,109 @@
 const User = require("./../models/userModel");
+const Counter = require("./../models/counterModel");
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { promisify } = require('util');
+const { getRolePermissions } = require('./../services/permissionService');
+const { acceptInvitation } = require('./../services/invitationService');
+const {
+  verifyLogin,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} = require('./../services/passwordService');
+const {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_HEADER,
+  verifyCsrfToken,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSessionByToken,
+  revokeUserSessions,
+  listSessions,
+  cookieOptions,
+} = require('./../services/sessionService');
+const readCookie = require('./../utils/cookies');
 
-const signToken = id => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN,
-    });
-}
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  const accessOptions = cookieOptions(ACCESS_COOKIE);
+  if (!accessOptions) return;
+  res.cookie(ACCESS_COOKIE, accessToken, accessOptions);
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_COOKIE));
+};
+
+const clearAuthCookies = (res) => {
+  [ACCESS_COOKIE, REFRESH_COOKIE].forEach((name) => {
+    const options = cookieOptions(name);
+    if (!options) return;
+    const { maxAge, ...clearOptions } = options;
+    res.clearCookie(name, clearOptions);
+  });
+};
+
+// Opens a session for the user and answers with its tokens (in the body, and
+// as httpOnly cookies unless AUTH_COOKIES=false). Clients using the cookies
+// send csrfToken back in the X-CSRF-Token header.
+const sendSession = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken, csrfToken } = await createSession(user, req);
+  setAuthCookies(res, accessToken, refreshToken);
 
+  res.status(statusCode).json({
+    status: "success",
+    token: accessToken,
+    refreshToken,
+    csrfToken,
+    data: {
+      user,
+    },
+  });
+};
+
+const sendError = (res, err) => {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.statusCode || 400).json({
+    status: err.statusCode >= 500 ? "error" : "fail",
+    message: err.message,
+  });
+};
+
+// Claimed once by the sign-up that creates the first account
+const BOOTSTRAP_COUNTER = 'bootstrap:super-admin';
+
+const signUpClosed = (res) => res.status(403).json({
+  status: "fail",
+  message: "Sign-up is closed. Ask an administrator for an invitation.",
+});
+
+// Only creates the very first account (as super-admin) on a fresh install;
+// everyone else joins through an invitation
 exports.signUp = async (req, res, next) => {
   try {
-    const newUser = await User.create({
+    if (await User.exists({})) return signUpClosed(res);
+
+    const newUser = new User({
       name: req.body.name,
       email: req.body.email,
       password: req.body.password,
       passwordConfirm: req.body.passwordConfirm,
+      role: 'super-admin',
     });
+    await newUser.validate();
 
-    const token = signToken(newUser._id); 
+    // The atomic counter lets exactly one of several racing sign-ups through.
+    // It is released again if that account can't be saved after all.
+    if ((await Counter.next(BOOTSTRAP_COUNTER)) !== 1) return signUpClosed(res);
+    try {
+      await newUser.save();
+    } catch (err) {
+      await Counter.deleteOne({ _id: BOOTSTRAP_COUNTER });
+      throw err;
+    }
 
-    res.status(201).json({
-      status: "success",
-      token,
-      data: {
-        user: newUser,
-      },
-    });
+    await sendSession(newUser, 201, req, res);
   } catch (err) {
     res.status(400).json({
       status: "fail",
@@ -36,50 +113,167 @@ exports.signUp = async (req, res, next) => {
 };
 
 
+// POST /api/v1/users/accept-invitation
+// Body: { token, name, password, passwordConfirm, phone }
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, ...details } = req.body;
+    const newUser = await acceptInvitation(token, details);
+
+    await sendSession(newUser, 201, req, res);
+  } catch (err) {
+    res.status(err.statusCode || 400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
 exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-  // 1) Check if email and password exist
-  if (!email || !password) {
-    return res.status(400).json({
-      status: "fail",
-      message: "Please provide email and password!",
+    // 1) Check if email and password exist
+    if (!email || !password) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Please provide email and password!",
+      });
+    }
+
+    // 2) Check the password; repeated failures lock the account for a while
+    const user = await verifyLogin(email, password);
+
+    // 3) If everything ok, open a session and send its tokens to client
+    await sendSession(user, 200, req, res);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// POST /api/v1/users/forgot-password
+// Body: { email } - always answers the same, registered or not
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+
+    res.status(200).json({
+      status: "success",
+      message: "If an account exists for that email, a reset link has been sent to it.",
     });
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  // 2) Check if user exists && password is correct
-  const user = await User.findOne({ email }).select('+password');
+// POST /api/v1/users/reset-password
+// Body: { token, password, passwordConfirm }
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password, passwordConfirm } = req.body;
+    const user = await resetPassword(token, { password, passwordConfirm });
 
-  // if (!user || !(await bcrypt.compare(password, user.password))) {
-  //   return res.status(401).json({
-  //     status: "fail",
-  //     message: "Incorrect email or password",
-  //   });
-  // }
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password_change');
+    await sendSession(user, 200, req, res);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
 
-    if (!user || !(await user.correctPassword(password, user.password))) {
-    return res.status(401).json({
-      status: "fail",
-      message: "Incorrect email or password",
-    });  
+// PATCH /api/v1/users/me/password
+// Body: { passwordCurrent, password, passwordConfirm }
+// Every session is closed, this device gets a new one
+exports.updatePassword = async (req, res, next) => {
+  try {
+    const user = await changePassword(req.user._id, req.body);
+
+    await revokeUserSessions(user._id, 'password_change');
+    await sendSession(user, 200, req, res);
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  // 3) If everything ok, send token to client
-  const token = signToken(user._id);
+// POST /api/v1/users/refresh-token
+// Body: { refreshToken } or the refresh cookie. The token can be used once;
+// the answer carries its replacement. No CSRF token is needed: this is how a
+// reloaded page gets it back, and another site cannot read the answer.
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { accessToken, refreshToken, csrfToken } = await refreshSession(
+      req.body.refreshToken || readCookie(req, REFRESH_COOKIE),
+      req
+    );
+    setAuthCookies(res, accessToken, refreshToken);
 
-  res.status(200).json({
-    status: "success",
-    token,
-    data: {
-        user
+    res.status(200).json({
+      status: "success",
+      token: accessToken,
+      refreshToken,
+      csrfToken,
+    });
+  } catch (err) {
+    clearAuthCookies(res);
+    sendError(res, err);
+  }
+};
+
+// POST /api/v1/users/logout
+// Body: { refreshToken } or the refresh cookie plus the X-CSRF-Token header.
+// Works with an expired access token, and answers the same for an unknown one.
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeSessionByToken(req.body.refreshToken);
+    } else {
+      await revokeSessionByToken(readCookie(req, REFRESH_COOKIE), { csrfToken: req.get(CSRF_HEADER) || '' });
+    }
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      status: "success",
+      data: null,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// POST /api/v1/users/logout-all
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        revoked,
       },
-  });
+    });
   } catch (err) {
-    res.status(400).json({
-      status: "fail",
-      message: err.message,
+    sendError(res, err);
+  }
+};
+
+// GET /api/v1/users/me/sessions
+exports.getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      results: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toObject(),
+          current: String(session._id) === String(req.sessionId),
+        })),
+      },
     });
+  } catch (err) {
+    sendError(res, err);
   }
 };
 
@@ -87,51 +281,80 @@ exports.protect = async (req, res, next) => {
   try{
   // 1) Getting token and check of it's there
  let token;
+ let fromCookie = false;
   if(req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
+  } else {
+    token = readCookie(req, ACCESS_COOKIE);
+    fromCookie = true;
   }
 
   if (!token) throw new Error('You are not logged in! Please log in to get access.');  
 
    // 2) Verification token
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+
+  // 3) Check the session was not logged out or revoked
+  if (!(await isSessionActive(decoded.sid, decoded.id))) {
+    throw new Error('Your session has ended. Please log in again.');
+  }
   
-  // 3) Check if user still exists
+  // A browser attaches cookies to cross-site requests too, so changes made
+  // with the cookie must prove they come from our own frontend
+  if (fromCookie && !SAFE_METHODS.includes(req.method) && !verifyCsrfToken(decoded.sid, req.get(CSRF_HEADER))) {
+    throw Object.assign(new Error('Missing or invalid CSRF token.'), { statusCode: 403 });
+  }
+
+  // 4) Check if user still exists
   const currentUser = await User.findById(decoded.id);
   if(!currentUser) {
     throw new Error('The user belonging to this token does no longer exist.')
   }
+  if (currentUser.active === false) {
+    throw new Error('This account has been deactivated.');
+  }
 
-  // 4) Check if user changed password after the token was issued
+  // 5) Check if user changed password after the token was issued
   if (currentUser.changedPasswordAfter(decoded.iat)) {
     throw new Error('User recently changed password! Please log in again.');
   }
 
   // GRANT ACCESS TO PROTECTED ROUTE
   req.user = currentUser;
+  req.sessionId = decoded.sid;
   next()
 
 }  catch (err) {
-    res.status(400).json({
+    // 401 tells the client to refresh its token or log in again
+    res.status(err.statusCode || 401).json({
       status: "fail",
       message: err.message,
     });
   }
   }
 
-  exports.restrictTo = (...roles) => {
-  return async(req, res, next) => {
+// Lets the request through only if the user's role grants every listed
+// permission (e.g. requirePermission('feedback:read')). Role definitions are
+// stored in the database, see services/permissionService.js.
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     try {
-    // roles is an array ['admin', 'branch-admin']. role='user'
-    if (!roles.includes(req.user.role)) {
-      throw new Error('You do not have permission to perform this action');
-    }
+      const granted = await getRolePermissions(req.user.role);
 
-    next();
-  } catch (err) {
-    res.status(403).json({
-      status: "fail",
-      message: err.message,
-    });
-  }
-}};
\ No newline at end of file
+      if (!permissions.every((permission) => granted.has(permission))) {
+        return res.status(403).json({
+          status: "fail",
+          message: "You do not have permission to perform this action",
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (err) {
+      res.status(500).json({
+        status: "error",
+        message: err.message,
+      });
+    }
+  };
+};
@@ -0,0 +1,185 @@
+const Feedback = require('./../models/feedbackModel')
+const User = require('./../models/userModel')
+const { dispatchEvent } = require('./../services/webhookService')
+const { withScope, inScope } = require('./../utils/accessScope')
+const { rolesWith } = require('./../services/permissionService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CASE MANAGEMENT - Assignment, status lifecycle, responses and notes
+// ═══════════════════════════════════════════════════════════════════════════
+
+const notFound = res => res.status(404).json({
+    status: 'fail',
+    message: 'No feedback found with that ID'
+})
+
+// PATCH /api/v1/feedbacks/:id/assign
+// Body: { assignee: <userId> }
+exports.assignFeedback = async (req, res, next) => {
+    try {
+        const assignee = await User.findById(req.body.assignee)
+        // Staff = anyone whose role can work a case
+        const staffRoles = await rolesWith('feedback:respond')
+
+        if (!assignee || assignee.active === false || !staffRoles.includes(assignee.role)) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Feedback can only be assigned to an active staff user'
+            })
+        }
+
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+        if (!feedback) return notFound(res)
+
+        if (!inScope(assignee, feedback)) {
+            return res.status(400).json({
+                status: 'fail',
+                message: `${assignee.name} does not manage this feedback's branch or service type`
+            })
+        }
+
+        feedback.assignedTo = assignee._id
+        feedback.assignedAt = new Date()
+        feedback.addInternalNote(`Assigned to ${assignee.name}`, req.user)
+        await feedback.save()
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                feedback
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// PATCH /api/v1/feedbacks/:id/status
+// Body: { status, note }
+exports.updateStatus = async (req, res, next) => {
+    try {
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+        if (!feedback) return notFound(res)
+
+        const previousStatus = feedback.status
+        feedback.transitionTo(req.body.status, req.user, req.body.note)
+        await feedback.save()
+
+        if (feedback.status !== previousStatus) {
+            dispatchEvent('feedback.status_changed', feedback, { from: previousStatus, to: feedback.status })
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                feedback
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// POST /api/v1/feedbacks/:id/responses
+// Body: { message }
+exports.addResponse = async (req, res, next) => {
+    try {
+        if (!req.body.message || !req.body.message.trim()) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'A response must include a message'
+            })
+        }
+
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+        if (!feedback) return notFound(res)
+
+        const previousStatus = feedback.status
+        feedback.addResponse(req.body.message.trim(), req.user)
+        await feedback.save()
+
+        if (feedback.status !== previousStatus) {
+            dispatchEvent('feedback.status_changed', feedback, { from: previousStatus, to: feedback.status })
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                response: feedback.responses[feedback.responses.length - 1],
+                status: feedback.status
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// POST /api/v1/feedbacks/:id/notes
+// Body: { note }
+exports.addInternalNote = async (req, res, next) => {
+    try {
+        if (!req.body.note || !req.body.note.trim()) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'A note cannot be empty'
+            })
+        }
+
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+        if (!feedback) return notFound(res)
+
+        feedback.addInternalNote(req.body.note.trim(), req.user)
+        await feedback.save()
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                note: feedback.internalNotes[feedback.internalNotes.length - 1]
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/feedbacks/my-queue
+// Open cases assigned to the logged-in agent, most urgent SLA first
+exports.getMyQueue = async (req, res, next) => {
+    try {
+        const feedbacks = await Feedback.find({
+            assignedTo: req.user._id,
+            status: { $in: Feedback.OPEN_STATUSES }
+        })
+            .sort({ slaDueAt: 1 })
+            .select('-analysisHistory -__v')
+
+        res.status(200).json({
+            status: 'success',
+            requestedAt: req.requestTime,
+            results: feedbacks.length,
+            summary: {
+                overdue: feedbacks.filter(f => f.isOverdue).length
+            },
+            data: {
+                feedbacks
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
@@ -1,7 +1,44 @@
 const fs = require('fs')
 const Feedback = require('./../models/feedbackModel')
 const APIFeatures = require('./../utils/apiFeatures')
-const { analyzeFeedbackSentiment } = require('./../services/sentimentAnalysisService')
+const { enqueueAnalysis } = require('./../services/analysisQueueService')
+const { dispatchEvent } = require('./../services/webhookService')
+const { screenSubmission } = require('./../services/fraudDetectionService')
+const { assignToCluster } = require('./../services/issueClusteringService')
+const { withScope, scopeMatch, inScope } = require('./../utils/accessScope')
+
+// The submission details updateFeedback may change, e.g. to fix a typo or
+// move feedback to the right branch. Classification and status go through
+// their own audited paths; screening, AI results, case handling and
+// reference numbers are the server's.
+const EDITABLE_FIELDS = [
+    'customerName', 'email', 'phone', 'accountNumber', 'serviceType', 'branch',
+    'rating', 'likelihoodToRecommend', 'effortScore', 'comment'
+]
+
+// Re-files feedback whose primary category changed. Runs after the edit is
+// saved, so a clustering failure is only logged rather than failing the request
+const recluster = async feedback => {
+    try {
+        await assignToCluster(feedback)
+    } catch (err) {
+        console.error(`⚠️  Could not cluster ${feedback.referenceNumber}:`, err.message)
+    }
+}
+
+const feedbackError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+const sendError = (res, err) => res.status(err.statusCode || 400).json({
+    status: 'fail',
+    message: err.message
+})
+
+// The only fields a public submission may set. Everything else (AI results,
+// screening scores, case handling, reference numbers) is the server's.
+const SUBMITTER_FIELDS = [
+    'customerName', 'email', 'phone', 'accountNumber', 'serviceType', 'branch',
+    'rating', 'likelihoodToRecommend', 'effortScore', 'comment', 'deviceFingerprint'
+]
 
 
 
@@ -12,6 +49,9 @@ exports.getAllFeedback = async (req, res, next) => {
        
         // EXECUTE QUERY
         const features = new APIFeatures(Feedback.find(), req.query).filter().sort().limitFields().paginate()
+        // Added after filter() so no query parameter can replace it
+        const scope = scopeMatch(req.user)
+        if (scope) features.query.and([scope])
         const feedbacks = await features.query
 
         res.status(200).json({
@@ -32,11 +72,14 @@ exports.getAllFeedback = async (req, res, next) => {
 
 exports.getFeedback = async (req, res, next) => {
     try {
-        const feedback = await Feedback.findById(req.params.id)
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
 
 
         if(!feedback) {
-            return next(new AppError('No feedback found with that ID', 404))
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No feedback found with that ID'
+            })
         }
 
         res.status(200).json({
@@ -56,7 +99,7 @@ exports.getFeedback = async (req, res, next) => {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// CREATE FEEDBACK WITH AI SENTIMENT ANALYSIS
+// CREATE FEEDBACK (AI SENTIMENT ANALYSIS RUNS IN THE BACKGROUND)
 // ═══════════════════════════════════════════════════════════════════════════
 exports.createFeedback = async (req, res, next) => {
     try {
@@ -64,69 +107,46 @@ exports.createFeedback = async (req, res, next) => {
         console.log('📝 NEW FEEDBACK SUBMISSION');
         console.log('═'.repeat(70));
 
-        const feedbackData = req.body;
+        const feedbackData = {};
+        SUBMITTER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) feedbackData[field] = req.body[field];
+        });
         
-        // Step 1: Create initial feedback document (without AI analysis)
-        console.log('Step 1: Creating initial feedback document...');
+        // Step 1: Create feedback document (AI fields are filled in later)
+        console.log('Step 1: Creating feedback document...');
         const feedback = new Feedback({
             ...feedbackData,
             ipAddress: req.ip,
             userAgent: req.headers['user-agent'],
+            deviceFingerprint: req.headers['x-device-fingerprint'] || feedbackData.deviceFingerprint,
             status: 'pending',
+            analysisStatus: 'queued',
         });
 
-        // Step 2: Run AI sentiment analysis
-        console.log('Step 2: Running AI sentiment analysis...');
-        console.log(`   Comment: "${feedback.comment.substring(0, 60)}..."`);
-        console.log(`   Rating: ${feedback.rating}/5`);
-        
-        try {
-            const aiAnalysis = await analyzeFeedbackSentiment(
-                feedback.comment,
-                feedback.rating,
-                feedback.serviceType
-            );
-
-            // Step 3: Attach AI insights to feedback
-            console.log('Step 3: Attaching AI insights to feedback...');
-            feedback.sentiment = aiAnalysis.sentiment;
-            feedback.sentimentScore = aiAnalysis.sentimentScore;
-            feedback.categories = aiAnalysis.categories;
-            feedback.emotions = aiAnalysis.emotions || [];
-            feedback.urgency = aiAnalysis.urgency;
-            feedback.actionableInsights = aiAnalysis.actionableInsights;
-            feedback.aiAnalysisTimestamp = new Date();
-            feedback.aiModel = process.env.AI_MODEL || 'gpt-4o';
-            feedback.aiConfidenceScore = aiAnalysis.confidenceScore;
-
-            console.log('✅ AI Analysis Results:');
-            console.log(`   ├─ Sentiment: ${aiAnalysis.sentiment} (${aiAnalysis.sentimentScore}/100)`);
-            console.log(`   ├─ Categories: ${aiAnalysis.categories.join(', ')}`);
-            console.log(`   ├─ Emotions: ${aiAnalysis.emotions.join(', ')}`);
-            console.log(`   ├─ Urgency: ${aiAnalysis.urgency}`);
-            console.log(`   └─ Confidence: ${aiAnalysis.confidenceScore}%`);
-
-        } catch (aiError) {
-            console.error('⚠️  AI Analysis failed, saving feedback without AI insights:', aiError.message);
-            // Feedback will be saved without AI analysis if it fails
-        }
+        // Step 1b: Fraud and spam screening (velocity, duplicate text, disposable email)
+        await screenSubmission(feedback);
 
-        // Step 4: Save to database
-        console.log('Step 4: Saving feedback to database...');
+        // Step 2: Save to database straight away so the customer isn't kept waiting on the LLM
+        console.log('Step 2: Saving feedback to database...');
         await feedback.save();
 
-        // Step 5: Check if urgent action needed
-        if (feedback.isUrgent || feedback.needsImmediateAction) {
-            console.log('🚨 ALERT: High-priority feedback detected!');
-            console.log(`   Reference: ${feedback.referenceNumber}`);
-            console.log(`   Urgency: ${feedback.urgency}`);
+        // Step 3: Queue AI sentiment analysis (see services/analysisQueueService.js)
+        console.log('Step 3: Queueing AI sentiment analysis...');
+        try {
+            await enqueueAnalysis(feedback._id);
+        } catch (queueError) {
+            console.error('⚠️  Could not queue AI analysis, feedback saved without AI insights:', queueError.message);
+            feedback.analysisStatus = 'failed';
+            await Feedback.updateOne({ _id: feedback._id }, { analysisStatus: 'failed' });
         }
 
+        dispatchEvent('feedback.created', feedback);
+
         console.log('✅ Feedback saved successfully!');
         console.log(`   Reference Number: ${feedback.referenceNumber}`);
         console.log('═'.repeat(70) + '\n');
 
-        // Step 6: Return response
+        // Step 4: Return response
         res.status(201).json({
             status: 'success',
             message: 'Feedback submitted successfully',
@@ -136,22 +156,13 @@ exports.createFeedback = async (req, res, next) => {
                     referenceNumber: feedback.referenceNumber,
                     customerName: feedback.customerName,
                     rating: feedback.rating,
+                    likelihoodToRecommend: feedback.likelihoodToRecommend,
+                    effortScore: feedback.effortScore,
                     serviceType: feedback.serviceType,
                     comment: feedback.comment,
-                    
-                    // AI Analysis Results
-                    sentiment: feedback.sentiment,
-                    sentimentScore: feedback.sentimentScore,
-                    categories: feedback.categories,
-                    emotions: feedback.emotions,
-                    urgency: feedback.urgency,
-                    actionableInsights: feedback.actionableInsights,
-                    
-                    // Virtual properties
-                    isNegative: feedback.isNegative,
-                    isUrgent: feedback.isUrgent,
-                    needsImmediateAction: feedback.needsImmediateAction,
-                    sentimentCategory: feedback.sentimentCategory,
+
+                    // AI analysis progress (queued -> processing -> done | failed)
+                    analysisStatus: feedback.analysisStatus,
                     
                     // Metadata
                     createdAt: feedback.createdAt,
@@ -170,14 +181,46 @@ exports.createFeedback = async (req, res, next) => {
 }
 
 exports.updateFeedback = async (req, res, next) => {
-try{
-        const feedback = await Feedback.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,
-            runValidators: true
+    try {
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+        if (!feedback) throw feedbackError('No feedback found with that ID', 404)
+
+        // Classification changes go through the same audit trail as the
+        // dedicated correction endpoint instead of silently overwriting the AI
+        const corrections = {}
+        Feedback.CORRECTABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) corrections[field] = req.body[field]
         })
+        const reason = req.body.correctionReason || 'Updated via feedback edit'
+        const { status } = req.body
 
-         if(!feedback) {
-            throw new Error('No feedback found with that ID', 404)
+        const updates = {}
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field]
+        })
+
+        // A branch-admin cannot move feedback out of their own scope
+        const target = {
+            branch: updates.branch !== undefined ? updates.branch : feedback.branch,
+            serviceType: updates.serviceType !== undefined ? updates.serviceType : feedback.serviceType
+        }
+        if (!inScope(req.user, target)) {
+            throw feedbackError('You can only assign feedback to your own branches and service types', 403)
+        }
+
+        // Everything is applied to the loaded document and saved once, so a
+        // validation error leaves the feedback untouched
+        const { changed } = feedback.applyCorrection(corrections, req.user, reason)
+        // Status changes follow the same transition rules as PATCH /:id/status
+        const previousStatus = feedback.status
+        if (status) feedback.transitionTo(status, req.user)
+        feedback.set(updates)
+        await feedback.save()
+
+        if (changed.includes('categories')) await recluster(feedback)
+
+        if (feedback.status !== previousStatus) {
+            dispatchEvent('feedback.status_changed', feedback, { from: previousStatus, to: feedback.status })
         }
 
         res.status(200).json({
@@ -186,9 +229,99 @@ try{
                 feedback
             }
         })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HUMAN REVIEW OF AI CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// PATCH /api/v1/feedbacks/:id/classification
+// Body: { sentiment, urgency, categories, emotions, reason }
+exports.correctClassification = async (req, res, next) => {
+    try {
+        const { reason } = req.body
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Please explain why the classification is being corrected'
+            })
+        }
+
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+
+        if (!feedback) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No feedback found with that ID'
+            })
+        }
+
+        const { confirmed, changed } = feedback.applyCorrection(req.body, req.user, reason.trim())
+
+        if (confirmed.length === 0) {
+            return res.status(400).json({
+                status: 'fail',
+                message: `Provide at least one of: ${Feedback.CORRECTABLE_FIELDS.join(', ')}`
+            })
+        }
+
+        await feedback.save()
+
+        // The primary category may have changed
+        if (changed.includes('categories')) await recluster(feedback)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                confirmedFields: confirmed,
+                correctedFields: changed,
+                feedback
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/feedbacks/:id/analyses
+exports.getAnalysisHistory = async (req, res, next) => {
+    try {
+        const feedback = await Feedback.findOne(withScope(req, { _id: req.params.id }))
+            .select('referenceNumber sentiment urgency categories emotions humanConfirmedFields analysisHistory')
+            .populate({ path: 'analysisHistory.correctedBy', select: 'name email role' })
+
+        if (!feedback) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No feedback found with that ID'
+            })
+        }
+
+        res.status(200).json({
+            status: 'success',
+            results: feedback.analysisHistory.length,
+            data: {
+                referenceNumber: feedback.referenceNumber,
+                current: {
+                    sentiment: feedback.sentiment,
+                    urgency: feedback.urgency,
+                    categories: feedback.categories,
+                    emotions: feedback.emotions,
+                    humanConfirmedFields: feedback.humanConfirmedFields
+                },
+                analyses: feedback.analysisHistory
+            }
+        })
     } catch (err) {
         res.status(404).json({
-            status: "fail",
+            status: 'fail',
             message: err.message
         })
     }
@@ -196,10 +329,13 @@ try{
 
 exports.deleteFeedback = async (req, res, next) => {
 try{
-        const feedback = await Feedback.findByIdAndDelete(req.params.id)
+        const feedback = await Feedback.findOneAndDelete(withScope(req, { _id: req.params.id }))
 
          if(!feedback) {
-            return next(new AppError('No feedback found with that ID', 404))
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No feedback found with that ID'
+            })
         }
 
         res.status(204).json({
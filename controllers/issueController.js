@@ -0,0 +1,271 @@
+const mongoose = require('mongoose')
+const Feedback = require('./../models/feedbackModel')
+const IssueCluster = require('./../models/issueClusterModel')
+const {
+    mergeClusters, splitCluster, recomputeCluster, getEmergingIssues, getClusterVolume,
+    countClusterMembers, hasMembersOutside
+} = require('./../services/issueClusteringService')
+const { withScope, isScoped, scopeMatch } = require('./../utils/accessScope')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ISSUE CLUSTERS - Trending problems within each category
+// ═══════════════════════════════════════════════════════════════════════════
+
+const notFound = res => res.status(404).json({
+    status: 'fail',
+    message: 'No issue cluster found with that ID'
+})
+
+const sendError = (res, err) => res.status(err.statusCode || 400).json({
+    status: 'fail',
+    message: err.message
+})
+
+const issueError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+// In-memory version of a ?sort=-feedbackCount,name string
+const compareBy = sort => (a, b) => {
+    for (const field of sort.split(',')) {
+        const key = field.replace(/^-/, '')
+        const direction = field.startsWith('-') ? -1 : 1
+        if (a[key] < b[key]) return -direction
+        if (a[key] > b[key]) return direction
+    }
+    return 0
+}
+
+// Users of scoped roles may only change clusters made up entirely of their
+// own feedback; clusters with none of it are not found at all
+const checkClusterAccess = async (req, clusterIds) => {
+    const scope = scopeMatch(req.user)
+    if (!scope) return
+
+    const own = await Feedback.countDocuments(withScope(req, { issueCluster: { $in: clusterIds } }))
+    if (own === 0) throw issueError('No issue cluster found with that ID', 404)
+    if (await hasMembersOutside(clusterIds, scope)) {
+        throw issueError('This issue includes feedback outside your branches and service types', 403)
+    }
+}
+
+// GET /api/v1/issues
+// Query params: ?category=technical_issues&status=active&sort=-feedbackCount&page=1&limit=20
+exports.getAllIssues = async (req, res, next) => {
+    try {
+        const { category, status = 'active', sort = '-lastSeenAt' } = req.query
+        const page = parseInt(req.query.page) || 1
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+        const filter = { status, feedbackCount: { $gt: 0 } }
+        if (category) filter.category = category
+        if (status === 'merged') delete filter.feedbackCount
+
+        const scope = scopeMatch(req.user)
+        let issues
+        if (scope) {
+            // Only clusters holding the user's feedback, counted over that feedback alone
+            const counts = await countClusterMembers(scope)
+            delete filter.feedbackCount
+            filter._id = { $in: [...counts.keys()] }
+
+            issues = (await IssueCluster.find(filter).select('-centroid').lean())
+                .map(issue => ({ ...issue, feedbackCount: counts.get(String(issue._id)) }))
+                .sort(compareBy(sort))
+                .slice((page - 1) * limit, page * limit)
+        } else {
+            issues = await IssueCluster.find(filter)
+                .sort(sort.split(',').join(' '))
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-centroid')
+        }
+
+        res.status(200).json({
+            status: 'success',
+            results: issues.length,
+            data: {
+                issues
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/issues/emerging
+// Query params: ?days=7&baselineDays=28&category=technical_issues&minCount=3&limit=20
+exports.getEmergingIssues = async (req, res, next) => {
+    try {
+        const days = parseInt(req.query.days) || 7
+        const baselineDays = parseInt(req.query.baselineDays) || 28
+
+        const issues = await getEmergingIssues({
+            days,
+            baselineDays,
+            category: req.query.category,
+            minCount: parseInt(req.query.minCount) || 3,
+            limit: parseInt(req.query.limit) || 20,
+            scope: scopeMatch(req.user)
+        })
+
+        res.status(200).json({
+            status: 'success',
+            window: { days, baselineDays },
+            results: issues.length,
+            data: {
+                issues
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/issues/:id
+// Query params: ?days=30 (volume history)
+exports.getIssue = async (req, res, next) => {
+    try {
+        const issue = await IssueCluster.findById(req.params.id).select('-centroid')
+        if (!issue) return notFound(res)
+
+        const scope = scopeMatch(req.user)
+        if (scope) {
+            const own = await Feedback.countDocuments(withScope(req, { issueCluster: issue._id }))
+            if (own === 0) return notFound(res)
+            issue.feedbackCount = own
+        }
+
+        const volume = await getClusterVolume(issue._id, parseInt(req.query.days) || 30, scope)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                issue,
+                volume
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// PATCH /api/v1/issues/:id
+// Body: { name } (an empty name goes back to the automatic one)
+exports.updateIssue = async (req, res, next) => {
+    try {
+        const issue = await IssueCluster.findById(req.params.id)
+        if (!issue) return notFound(res)
+        await checkClusterAccess(req, [issue._id])
+
+        const name = (req.body.name || '').trim()
+        issue.nameSource = name ? 'manual' : 'auto'
+        if (name) issue.name = name
+        await issue.save()
+
+        // Regenerates the automatic name when it was reset
+        const updated = name ? issue : await recomputeCluster(issue._id)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                issue: updated
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// GET /api/v1/issues/:id/feedback
+// Query params: ?page=1&limit=20
+exports.getIssueFeedback = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res)
+
+        const page = parseInt(req.query.page) || 1
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+        const filter = withScope(req, { issueCluster: req.params.id })
+
+        // Closed feedback stays visible in its issue
+        const [feedbacks, total] = await Promise.all([
+            Feedback.find(filter)
+                .setOptions({ includeClosed: true })
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('referenceNumber comment rating sentiment urgency categories branch serviceType status issueClusterManual createdAt'),
+            Feedback.countDocuments(filter)
+        ])
+
+        res.status(200).json({
+            status: 'success',
+            results: feedbacks.length,
+            total,
+            data: {
+                feedbacks
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// POST /api/v1/issues/:id/merge
+// Body: { sourceIds: [<clusterId>, ...] } merged into :id
+exports.mergeIssues = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return notFound(res)
+        const sourceIds = (Array.isArray(req.body.sourceIds) ? req.body.sourceIds : [])
+            .filter(id => mongoose.Types.ObjectId.isValid(id))
+        await checkClusterAccess(req, [req.params.id, ...sourceIds])
+
+        const issue = await mergeClusters(req.params.id, req.body.sourceIds)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                issue
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// POST /api/v1/issues/:id/split
+// Body: { feedbackIds: [<feedbackId>, ...], name }
+exports.splitIssue = async (req, res, next) => {
+    try {
+        // A branch-admin can only move their own feedback
+        let { feedbackIds } = req.body
+        if (Array.isArray(feedbackIds) && isScoped(req.user)) {
+            feedbackIds = await Feedback.find(withScope(req, { _id: { $in: feedbackIds } }))
+                .setOptions({ includeClosed: true })
+                .distinct('_id')
+        }
+
+        const { source, cluster } = await splitCluster(req.params.id, feedbackIds, req.body.name)
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                issue: cluster,
+                original: source
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
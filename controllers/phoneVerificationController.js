@@ -0,0 +1,81 @@
+const Feedback = require('./../models/feedbackModel')
+const { requestCode, confirmCode } = require('./../services/phoneVerificationService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PHONE VERIFICATION - Submitters confirm the phone on their feedback
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Finds the feedback only if the phone matches, like tracking does
+const findFeedback = async body => {
+    const referenceNumber = (body.referenceNumber || '').trim().toUpperCase()
+    const phone = (body.phone || '').replace(/\s+/g, '')
+    if (!referenceNumber || !phone) return null
+
+    // Closed feedback is found too
+    const feedback = await Feedback.findOne({
+        $or: [{ referenceNumber }, { legacyReferenceNumber: referenceNumber }]
+    }).setOptions({ includeClosed: true })
+
+    return feedback && feedback.phone === phone ? feedback : null
+}
+
+const notFound = res => res.status(404).json({
+    status: 'fail',
+    message: 'No feedback matches that reference number and phone number'
+})
+
+const sendError = (res, err) => {
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter))
+    res.status(err.statusCode || 400).json({
+        status: err.statusCode >= 500 ? 'error' : 'fail',
+        message: err.message
+    })
+}
+
+// POST /api/v1/feedbacks/verify-phone
+// Body: { referenceNumber, phone }
+exports.requestPhoneVerification = async (req, res, next) => {
+    try {
+        const feedback = await findFeedback(req.body)
+        if (!feedback) return notFound(res)
+
+        const result = await requestCode(feedback)
+
+        res.status(200).json({
+            status: 'success',
+            message: `A verification code has been sent to ${result.phone}`,
+            data: result
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// POST /api/v1/feedbacks/verify-phone/confirm
+// Body: { referenceNumber, phone, code }
+exports.confirmPhoneVerification = async (req, res, next) => {
+    try {
+        if (!req.body.code) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Please provide the verification code'
+            })
+        }
+
+        const feedback = await findFeedback(req.body)
+        if (!feedback) return notFound(res)
+
+        await confirmCode(feedback, req.body.code)
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Your phone number has been verified',
+            data: {
+                referenceNumber: feedback.referenceNumber,
+                verificationStatus: feedback.verificationStatus
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
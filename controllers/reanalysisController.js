@@ -0,0 +1,75 @@
+const ReanalysisJob = require('./../models/reanalysisJobModel')
+const { parseCriteria, startReanalysis } = require('./../services/reanalysisService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RE-ANALYSIS / BACKFILL JOBS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// POST /api/v1/feedbacks/reanalyze
+// Body: { missingAnalysis, maxConfidence, aiModel, serviceType, startDate, endDate, limit }
+exports.createReanalysisJob = async (req, res, next) => {
+    try {
+        const criteria = parseCriteria(req.body)
+        const job = await startReanalysis(criteria, req.user)
+
+        res.status(202).json({
+            status: 'success',
+            message: `Re-analysis started for ${job.total} feedbacks`,
+            data: {
+                job
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+exports.getReanalysisJobs = async (req, res, next) => {
+    try {
+        const jobs = await ReanalysisJob.find()
+            .sort('-createdAt')
+            .limit(parseInt(req.query.limit) || 20)
+            .select('-failures')
+
+        res.status(200).json({
+            status: 'success',
+            results: jobs.length,
+            data: {
+                jobs
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+exports.getReanalysisJob = async (req, res, next) => {
+    try {
+        const job = await ReanalysisJob.findById(req.params.jobId).populate({ path: 'startedBy', select: 'name email' })
+
+        if (!job) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No re-analysis job found with that ID'
+            })
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                job
+            }
+        })
+    } catch (err) {
+        res.status(404).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
@@ -0,0 +1,172 @@
+const Role = require('./../models/roleModel')
+const User = require('./../models/userModel')
+const { invalidatePermissions } = require('./../services/permissionService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROLES & PERMISSIONS - Which role may do what
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Role that must always be able to manage roles, so nobody is locked out
+const OWNER_ROLE = 'super-admin'
+
+const notFound = res => res.status(404).json({
+    status: 'fail',
+    message: 'No role found with that name'
+})
+
+const sendError = (res, err) => res.status(err.statusCode || 400).json({
+    status: 'fail',
+    message: err.message
+})
+
+// GET /api/v1/roles
+exports.getAllRoles = async (req, res, next) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            Role.find().sort('name'),
+            User.aggregate([{ $group: { _id: '$role', users: { $sum: 1 } } }])
+        ])
+        const usersByRole = new Map(counts.map(c => [c._id, c.users]))
+
+        res.status(200).json({
+            status: 'success',
+            results: roles.length,
+            data: {
+                roles: roles.map(role => ({ ...role.toObject(), users: usersByRole.get(role.name) || 0 })),
+                availablePermissions: Role.PERMISSIONS
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/roles/:name
+exports.getRole = async (req, res, next) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name })
+        if (!role) return notFound(res)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                role,
+                users: await User.countDocuments({ role: role.name })
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// POST /api/v1/roles
+// Body: { name, description, permissions, scoped }
+// scoped roles only reach their users' branches and service types
+exports.createRole = async (req, res, next) => {
+    try {
+        const role = await Role.create({
+            name: req.body.name,
+            description: req.body.description,
+            permissions: req.body.permissions,
+            scoped: req.body.scoped,
+            updatedBy: req.user._id
+        })
+        invalidatePermissions()
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                role
+            }
+        })
+    } catch (err) {
+        if (err.code === 11000) err.message = 'A role with that name already exists'
+        sendError(res, err)
+    }
+}
+
+// PATCH /api/v1/roles/:name
+// Body: { description, permissions, scoped } - permissions replaces the whole list
+exports.updateRole = async (req, res, next) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name })
+        if (!role) return notFound(res)
+
+        const { description, permissions, scoped } = req.body
+
+        if (permissions !== undefined) {
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({
+                    status: 'fail',
+                    message: 'permissions must be a list'
+                })
+            }
+            if (role.name === OWNER_ROLE && !permissions.includes('roles:manage')) {
+                return res.status(400).json({
+                    status: 'fail',
+                    message: `${OWNER_ROLE} must keep roles:manage`
+                })
+            }
+            role.permissions = permissions
+        }
+        if (description !== undefined) role.description = description
+        if (scoped !== undefined) {
+            if (role.name === OWNER_ROLE && scoped) {
+                return res.status(400).json({
+                    status: 'fail',
+                    message: `${OWNER_ROLE} cannot be scoped`
+                })
+            }
+            role.scoped = scoped
+        }
+        role.updatedBy = req.user._id
+
+        await role.save()
+        invalidatePermissions()
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                role
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// DELETE /api/v1/roles/:name
+exports.deleteRole = async (req, res, next) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name })
+        if (!role) return notFound(res)
+
+        if (role.system) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Built-in roles cannot be deleted'
+            })
+        }
+
+        const users = await User.countDocuments({ role: role.name })
+        if (users > 0) {
+            return res.status(400).json({
+                status: 'fail',
+                message: `${users} user(s) still have this role. Move them to another role first`
+            })
+        }
+
+        await role.deleteOne()
+        invalidatePermissions()
+
+        res.status(204).json({
+            status: 'success',
+            data: null
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
@@ -0,0 +1,91 @@
+const Feedback = require('./../models/feedbackModel')
+const { isValidReferenceNumber, isLegacyReferenceNumber } = require('./../utils/referenceNumber')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CUSTOMER FEEDBACK TRACKING - Public lookup by reference number
+// ═══════════════════════════════════════════════════════════════════════════
+
+const STATUS_LABELS = {
+    pending: 'Received',
+    in_progress: 'Being reviewed',
+    resolved: 'Resolved',
+    closed: 'Closed'
+}
+
+// The only fields a customer ever sees. Never add fraud signals, IP/device
+// data, AI analysis, assignment or internal notes here.
+const toPublicView = feedback => ({
+    referenceNumber: feedback.referenceNumber,
+    serviceType: feedback.serviceType,
+    status: feedback.status,
+    statusLabel: STATUS_LABELS[feedback.status],
+    submittedAt: feedback.createdAt,
+    lastUpdatedAt: feedback.updatedAt,
+    resolvedAt: feedback.resolvedAt,
+    closedAt: feedback.closedAt,
+    responses: (feedback.responses || []).map(r => ({
+        message: r.message,
+        respondedAt: r.respondedAt
+    }))
+})
+
+// POST /api/v1/feedbacks/track
+// Body: { referenceNumber, email } or { referenceNumber, phone }
+exports.trackFeedback = async (req, res, next) => {
+    try {
+        const referenceNumber = (req.body.referenceNumber || '').trim().toUpperCase()
+        const email = (req.body.email || '').trim().toLowerCase()
+        const phone = (req.body.phone || '').replace(/\s+/g, '')
+
+        if (!referenceNumber || (!email && !phone)) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Please provide your reference number and the email or phone number used when submitting'
+            })
+        }
+
+        const invalidReference = () => res.status(400).json({
+            status: 'fail',
+            message: 'That reference number is not valid. Please check it for typos'
+        })
+
+        // Check digit catches most typos before touching the database
+        const legacy = isLegacyReferenceNumber(referenceNumber)
+        if (!legacy && !isValidReferenceNumber(referenceNumber)) return invalidReference()
+
+        // Closed cases can still be tracked; numbers reissued by the
+        // migration are still found by their old value
+        const feedback = await Feedback.findOne(legacy
+            ? { $or: [{ referenceNumber }, { legacyReferenceNumber: referenceNumber }] }
+            : { referenceNumber }
+        ).setOptions({ includeClosed: true }).select('referenceNumber serviceType status createdAt updatedAt resolvedAt closedAt responses email phone')
+
+        // A legacy-looking number that was never issued is most likely a
+        // current one with a digit missing
+        if (legacy && !feedback) return invalidReference()
+
+        const contactMatches = feedback && (
+            (email && feedback.email === email) || (phone && feedback.phone === phone)
+        )
+
+        // Same answer for unknown references and wrong contact details
+        if (!contactMatches) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No feedback matches that reference number and contact detail'
+            })
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                feedback: toPublicView(feedback)
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
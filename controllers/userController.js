@@ -1,31 +1,376 @@
 const User = require('../models/userModel')
+const Feedback = require('../models/feedbackModel')
+const Invitation = require('../models/invitationModel')
+const APIFeatures = require('../utils/apiFeatures')
+const { roleExists, canGrantRole } = require('../services/permissionService')
+const { createInvitation, revokeInvitation } = require('../services/invitationService')
+const sessionService = require('../services/sessionService')
+const { scopeMatch } = require('../utils/accessScope')
 
-exports.getAllUsers = async (req,res) => {
-   try{
-     const users = await User.find();
+const userError = (message, statusCode) => Object.assign(new Error(message), { statusCode })
+
+const sendError = (res, err) => res.status(err.statusCode || 400).json({
+    status: 'fail',
+    message: err.message
+})
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Loads the user behind :id, refusing accounts with more permissions than the
+// caller's own (an admin cannot touch a super-admin) and, when an action is
+// given, the caller's own account
+const findManagedUser = async (req, action) => {
+    const user = await User.findById(req.params.id)
+    if (!user) throw userError('No user found with that ID', 404)
+
+    if (action && String(user._id) === String(req.user._id)) {
+        throw userError(`You cannot ${action} your own account`, 400)
+    }
+    if (!(await canGrantRole(req.user.role, user.role))) {
+        throw userError('You cannot manage a user with more permissions than your own', 403)
+    }
+    return user
+}
+
+// Checks { branches, serviceTypes } and returns them de-duplicated
+const parseScope = ({ branches, serviceTypes }) => {
+    const isList = value => value === undefined || (Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim()))
+
+    if (!isList(branches) || !isList(serviceTypes)) {
+        throw userError('branches and serviceTypes must be lists of names', 400)
+    }
+
+    const validServiceTypes = Feedback.schema.path('serviceType').enumValues
+    const unknown = (serviceTypes || []).filter(type => !validServiceTypes.includes(type))
+    if (unknown.length > 0) {
+        throw userError(`Unknown service type: ${unknown.join(', ')}`, 400)
+    }
+
+    return {
+        branches: branches && [...new Set(branches.map(b => b.trim()))],
+        serviceTypes: serviceTypes && [...new Set(serviceTypes)]
+    }
+}
+
+// A caller of a scoped role can only hand out branches and service types of
+// their own scope, and cannot leave a dimension they are limited on empty
+// (that would open it up). Only the lists given are checked.
+const checkScopeWithin = (caller, { branches, serviceTypes }) => {
+    const own = scopeMatch(caller)
+    if (!own) return
+
+    const within = (list, allowed) => list === undefined || !allowed ||
+        (list.length > 0 && list.every(value => allowed.$in.includes(value)))
+
+    if (!within(branches, own.branch) || !within(serviceTypes, own.serviceType)) {
+        throw userError('You can only give users branches and service types within your own scope', 403)
+    }
+}
+
+// GET /api/v1/users
+// Query: role, branch, active (true|false), search (name or email), sort, page, limit
+exports.getAllUsers = async (req, res) => {
+    try {
+        const { role, branch, active, search, sort, page, limit } = req.query
+        const conditions = {}
+
+        if (role) conditions.role = role
+        if (branch) conditions.branches = branch
+        if (active === 'true') conditions.active = { $ne: false }
+        if (active === 'false') conditions.active = false
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i')
+            conditions.$or = [{ name: pattern }, { email: pattern }]
+        }
+
+        const features = new APIFeatures(User.find(conditions), { sort, page, limit }).sort().paginate()
+        const [users, total] = await Promise.all([
+            features.query,
+            User.countDocuments(conditions)
+        ])
 
         res.status(200).json({
             status: 'success',
             requestedAt: req.requestTime,
             results: users.length,
+            total,
             data: {
                 users
             }
         })
-        
-   } catch(err) {
-    res.status(500).json({
-        status: 'error',
-        message: err.message
-    });
-   }
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
 }
 
-exports.createUser = (req, res) => {
-    res.status(201).json({
-        status: 'success',
-        data: {
-            user: {}
+// GET /api/v1/users/:id
+exports.getUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).populate('invitedBy deactivatedBy', 'name email')
+        if (!user) throw userError('No user found with that ID', 404)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                user
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// POST /api/v1/users
+// Body: { email, name, role, branches, serviceTypes }
+// Accounts are created by invitation: the invitee sets their own password
+exports.createUser = async (req, res) => {
+    try {
+        const scope = parseScope(req.body)
+        checkScopeWithin(req.user, { branches: scope.branches || [], serviceTypes: scope.serviceTypes || [] })
+        const invitation = await createInvitation({ ...req.body, ...scope }, req.user)
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                invitation
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// GET /api/v1/users/invitations
+// Query: status (pending|accepted|revoked)
+exports.getInvitations = async (req, res) => {
+    try {
+        const conditions = req.query.status ? { status: req.query.status } : {}
+        const invitations = await Invitation.find(conditions)
+            .sort('-createdAt')
+            .populate('invitedBy', 'name email')
+
+        res.status(200).json({
+            status: 'success',
+            results: invitations.length,
+            data: {
+                invitations
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+// DELETE /api/v1/users/invitations/:id
+exports.revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await revokeInvitation(req.params.id)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                invitation
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// PATCH /api/v1/users/:id
+// Body: { name, phone, role, branches, serviceTypes }
+// branches/serviceTypes are what a user of a scoped role may see and change
+exports.updateUser = async (req, res) => {
+    try {
+        if (req.body.password || req.body.passwordConfirm) {
+            throw userError('Passwords cannot be changed here', 400)
         }
-    });
-};
\ No newline at end of file
+
+        const { name, phone, role } = req.body
+        const scope = parseScope(req.body)
+        checkScopeWithin(req.user, scope)
+        const user = await findManagedUser(req)
+
+        if (role !== undefined && role !== user.role) {
+            if (String(user._id) === String(req.user._id)) {
+                throw userError('You cannot change your own role', 400)
+            }
+            if (!(await roleExists(role))) throw userError(`Unknown role: ${role}`, 400)
+            if (!(await canGrantRole(req.user.role, role))) {
+                throw userError(`You cannot give users the ${role} role`, 403)
+            }
+            user.role = role
+        }
+
+        if (name !== undefined) user.name = name
+        if (phone !== undefined) user.phone = phone
+        if (scope.branches !== undefined) user.branches = scope.branches
+        if (scope.serviceTypes !== undefined) user.serviceTypes = scope.serviceTypes
+
+        // passwordConfirm is not stored, so skip full-document validation of it
+        await user.save({ validateModifiedOnly: true })
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                user
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// PATCH /api/v1/users/:id/deactivate
+// Blocks login and every token already issued; the account and its history stay
+exports.deactivateUser = async (req, res) => {
+    try {
+        const user = await findManagedUser(req, 'deactivate')
+
+        user.active = false
+        user.deactivatedAt = Date.now()
+        user.deactivatedBy = req.user._id
+        await user.save({ validateModifiedOnly: true })
+        await sessionService.revokeUserSessions(user._id, 'deactivated')
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                user
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// PATCH /api/v1/users/:id/reactivate
+// Also lifts a lockout from failed logins
+exports.reactivateUser = async (req, res) => {
+    try {
+        const user = await findManagedUser(req, 'reactivate')
+
+        user.active = true
+        user.deactivatedAt = undefined
+        user.deactivatedBy = undefined
+        user.failedLoginAttempts = 0
+        user.lockUntil = undefined
+        await user.save({ validateModifiedOnly: true })
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                user
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// GET /api/v1/users/:id/sessions
+// Devices the user is signed in on
+exports.getUserSessions = async (req, res) => {
+    try {
+        const user = await findManagedUser(req)
+        const sessions = await sessionService.listSessions(user._id)
+
+        res.status(200).json({
+            status: 'success',
+            results: sessions.length,
+            data: {
+                sessions
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// DELETE /api/v1/users/:id/sessions
+// Signs the user out everywhere, e.g. after a lost device; the account stays active
+exports.revokeUserSessions = async (req, res) => {
+    try {
+        const user = await findManagedUser(req)
+        const revoked = await sessionService.revokeUserSessions(user._id, 'admin')
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                revoked
+            }
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// DELETE /api/v1/users/:id
+// Only for accounts with no open cases; deactivate staff who have handled feedback
+exports.deleteUser = async (req, res) => {
+    try {
+        const user = await findManagedUser(req, 'delete')
+
+        const openCases = await Feedback.countDocuments({
+            assignedTo: user._id,
+            status: { $in: Feedback.OPEN_STATUSES }
+        })
+        if (openCases > 0) {
+            throw userError(`${user.name} still has ${openCases} open case(s). Reassign them first`, 400)
+        }
+
+        await user.deleteOne()
+        await sessionService.revokeUserSessions(user._id, 'admin')
+
+        res.status(204).json({
+            status: 'success',
+            data: null
+        })
+    } catch (err) {
+        sendError(res, err)
+    }
+}
+
+// PATCH /api/v1/users/me/notification-preferences
+// Body: { email, sms, phone, branches, serviceTypes }
+exports.updateMyNotificationPreferences = async (req, res) => {
+    try {
+        const { email, sms, phone, branches, serviceTypes } = req.body
+        const user = await User.findById(req.user._id)
+
+        if (email !== undefined) user.notificationPreferences.email = email
+        if (sms !== undefined) user.notificationPreferences.sms = sms
+        if (branches !== undefined) user.notificationPreferences.branches = branches
+        if (serviceTypes !== undefined) user.notificationPreferences.serviceTypes = serviceTypes
+        if (phone !== undefined) user.phone = phone
+
+        if (user.notificationPreferences.sms && !user.phone) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'Add a phone number to receive SMS alerts'
+            })
+        }
+
+        // passwordConfirm is not stored, so skip full-document validation of it
+        await user.save({ validateModifiedOnly: true })
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                notificationPreferences: user.notificationPreferences,
+                phone: user.phone
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
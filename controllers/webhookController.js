@@ -0,0 +1,174 @@
+const Webhook = require('./../models/webhookModel')
+const WebhookDelivery = require('./../models/webhookDeliveryModel')
+const { redeliver } = require('./../services/webhookService')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WEBHOOK SUBSCRIPTIONS & DELIVERY LOGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const notFound = res => res.status(404).json({
+    status: 'fail',
+    message: 'No webhook found with that ID'
+})
+
+exports.getAllWebhooks = async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find().sort('-createdAt')
+
+        res.status(200).json({
+            status: 'success',
+            results: webhooks.length,
+            data: {
+                webhooks,
+                availableEvents: Webhook.WEBHOOK_EVENTS
+            }
+        })
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        })
+    }
+}
+
+// The secret is only ever returned here, when the subscription is created
+exports.createWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.create({
+            name: req.body.name,
+            url: req.body.url,
+            events: req.body.events,
+            secret: req.body.secret,
+            active: req.body.active,
+            createdBy: req.user._id
+        })
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                webhook: { ...webhook.toObject(), secret: webhook.secret }
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+exports.getWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findById(req.params.id)
+        if (!webhook) return notFound(res)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                webhook
+            }
+        })
+    } catch (err) {
+        res.status(404).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+exports.updateWebhook = async (req, res, next) => {
+    try {
+        const updates = {}
+        const editable = ['name', 'url', 'events', 'active', 'secret']
+        editable.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field]
+        })
+
+        const webhook = await Webhook.findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true
+        })
+        if (!webhook) return notFound(res)
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                webhook
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+exports.deleteWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findByIdAndDelete(req.params.id)
+        if (!webhook) return notFound(res)
+
+        res.status(204).json({
+            status: 'success',
+            data: null
+        })
+    } catch (err) {
+        res.status(404).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// GET /api/v1/webhooks/:id/deliveries?status=failed&limit=50
+exports.getDeliveries = async (req, res, next) => {
+    try {
+        const filter = { webhook: req.params.id }
+        if (req.query.status) filter.status = req.query.status
+        if (req.query.event) filter.event = req.query.event
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort('-createdAt')
+            .limit(parseInt(req.query.limit) || 50)
+
+        res.status(200).json({
+            status: 'success',
+            results: deliveries.length,
+            data: {
+                deliveries
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
+
+// POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+exports.redeliverDelivery = async (req, res, next) => {
+    try {
+        const delivery = await redeliver(req.params.deliveryId)
+
+        if (!delivery) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'No delivery found with that ID'
+            })
+        }
+
+        res.status(202).json({
+            status: 'success',
+            data: {
+                delivery
+            }
+        })
+    } catch (err) {
+        res.status(400).json({
+            status: 'fail',
+            message: err.message
+        })
+    }
+}
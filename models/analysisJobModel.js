@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// One job per requested analysis of a feedback. Jobs are claimed atomically by
+// the worker in services/analysisQueueService.js, retried with exponential
+// backoff and dead-lettered once maxAttempts is exhausted.
+const analysisJobSchema = new mongoose.Schema(
+  {
+    feedback: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Feedback',
+      required: [true, 'An analysis job must belong to a feedback'],
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'dead'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: [1, 'A job must allow at least one attempt'],
+    },
+    // Earliest time the job may be picked up (pushed back on every retry)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    failures: [
+      {
+        attempt: Number,
+        error: String,
+        failedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    completedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+//
+// ─── DATABASE INDEXES ───────────────────────────────────────────────────────────
+//
+analysisJobSchema.index({ status: 1, runAt: 1 }); // Worker polling
+analysisJobSchema.index({ status: 1, lockedAt: 1 }); // Stale lock recovery
+analysisJobSchema.index({ feedback: 1 });
+
+//
+// ─── MODEL EXPORT ───────────────────────────────────────────────────────────────
+//
+const AnalysisJob = mongoose.model('AnalysisJob', analysisJobSchema);
+module.exports = AnalysisJob;
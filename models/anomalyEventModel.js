@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// A window in which a slice of feedback (one serviceType, branch or
+// category) deviated sharply from its rolling baseline
+const anomalyEventSchema = new mongoose.Schema(
+  {
+    dimension: {
+      type: String,
+      enum: ['serviceType', 'branch', 'category'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    metric: {
+      type: String,
+      enum: ['negative_count', 'negative_rate'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      required: true,
+    },
+    windowStart: Date,
+    windowEnd: Date,
+    observed: Number,
+    // Per-window baseline over the previous ANOMALY_BASELINE_DAYS
+    baselineMean: Number,
+    baselineStdDev: Number,
+    zScore: Number,
+    // observed / baseline mean
+    ratio: Number,
+    feedbackCount: Number,
+    status: {
+      type: String,
+      enum: ['open', 'acknowledged', 'resolved'],
+      default: 'open',
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    acknowledgedAt: Date,
+    notifiedSeverity: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: Date,
+  }
+);
+
+anomalyEventSchema.index({ dimension: 1, value: 1, metric: 1, windowEnd: -1 });
+anomalyEventSchema.index({ status: 1, severity: 1, createdAt: -1 });
+
+anomalyEventSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const AnomalyEvent = mongoose.model('AnomalyEvent', anomalyEventSchema);
+module.exports = AnomalyEvent;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// Named monotonically increasing sequences (e.g. reference numbers per year)
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Atomically increments and returns the next value of a sequence
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next value (1 for a new sequence)
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+module.exports = Counter;
@@ -1,6 +1,26 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 const validator = require('validator');
+const { generateReferenceNumber } = require('./../utils/referenceNumber');
+const { bandKeys } = require('./../utils/minHash');
+
+// SLA windows in days by urgency (time allowed to resolve a case)
+const SLA_WINDOWS_DAYS = {
+  critical: 1,
+  high: 2,
+  medium: 5,
+  low: 14,
+};
+
+// Allowed case status transitions (closed is terminal)
+const STATUS_TRANSITIONS = {
+  pending: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['pending', 'resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: [],
+};
+
+const OPEN_STATUSES = ['pending', 'in_progress'];
 
 // SCHEMA
 const feedbackSchema = new mongoose.Schema(
@@ -56,6 +76,27 @@ const feedbackSchema = new mongoose.Schema(
       min: [1, 'Rating must be at least 1'],
       max: [5, 'Rating cannot exceed 5'],
     },
+    // Optional survey questions behind true NPS and CES (see getPulseMetrics)
+    // "How likely are you to recommend us to a friend?" 0 = not at all, 10 = extremely
+    likelihoodToRecommend: {
+      type: Number,
+      min: [0, 'Likelihood to recommend must be between 0 and 10'],
+      max: [10, 'Likelihood to recommend must be between 0 and 10'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Likelihood to recommend must be a whole number',
+      },
+    },
+    // "How easy was it to get what you needed?" 1 = very difficult, 7 = very easy
+    effortScore: {
+      type: Number,
+      min: [1, 'Effort score must be between 1 and 7'],
+      max: [7, 'Effort score must be between 1 and 7'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Effort score must be a whole number',
+      },
+    },
     comment: {
       type: String,
       required: [true, 'Please include a comment in your feedback'],
@@ -153,16 +194,67 @@ const feedbackSchema = new mongoose.Schema(
     },
     aiModel: {
       type: String,
-      default: 'gpt-4o',
-      // Tracks which AI model was used for analysis
+      // Tracks which AI model was used for analysis (reported by the provider)
       // Useful for comparing model performance over time
     },
+    aiProvider: {
+      type: String,
+      // Which provider produced the analysis (local = keyword rules fallback)
+    },
     aiConfidenceScore: {
       type: Number,
       min: 0,
       max: 100,
       // AI's confidence in its analysis (higher = more certain)
     },
+    // Versioned log of every classification, oldest first: each AI run
+    // (source 'ai', the model's raw output) and each staff correction
+    // (source 'human', the effective values after the correction)
+    analysisHistory: [
+      {
+        version: Number,
+        source: {
+          type: String,
+          enum: ['ai', 'human'],
+        },
+        sentiment: String,
+        sentimentScore: Number,
+        categories: [String],
+        emotions: [String],
+        urgency: String,
+        actionableInsights: String,
+        aiModel: String,
+        aiProvider: String,
+        aiConfidenceScore: Number,
+        // Human reviews only: every field the reviewer set, and the subset
+        // whose value differed from what was there before
+        confirmedFields: [String],
+        correctedFields: [String],
+        correctedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        reason: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Fields a human has confirmed or corrected. AI re-analysis never
+    // overwrites these, so the top-level values (and every analytics
+    // aggregation) reflect the latest human-confirmed classification
+    humanConfirmedFields: {
+      type: [String],
+      default: [],
+    },
+    analysisStatus: {
+      type: String,
+      enum: ['queued', 'processing', 'done', 'failed'],
+      index: true,
+      // Progress of the background analysis job (see analysisQueueService)
+      // Unset on feedback that was analyzed inline before the queue existed
+    },
 
     // FRAUD DETECTION FIELDS
     trustScore: {
@@ -177,6 +269,27 @@ const feedbackSchema = new mongoose.Schema(
       max: 100,
     },
     fraudFlags: [String],
+    // Near-duplicate detection (see utils/minHash and duplicateDetectionService)
+    similarityBands: {
+      type: [String],
+      select: false,
+    },
+    duplicateOf: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Feedback',
+    },
+    duplicateSimilarity: Number,
+
+    // ISSUE CLUSTERING (see issueClusteringService)
+    issueCluster: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'IssueCluster',
+    },
+    // Placed by staff (merge/split); automatic clustering leaves it alone
+    issueClusterManual: {
+      type: Boolean,
+      default: false,
+    },
     verificationStatus: {
       type: String,
       enum: ['verified', 'phone_verified', 'unverified', 'suspicious'],
@@ -195,20 +308,45 @@ const feedbackSchema = new mongoose.Schema(
       enum: ['pending', 'in_progress', 'resolved', 'closed'],
       default: 'pending',
     },
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        changedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        note: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Public replies to the customer
     responses: [
       {
         message: String,
-        respondedBy: String,
+        respondedBy: String, // Display name at the time of the response
+        responder: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
         respondedAt: {
           type: Date,
           default: Date.now,
         },
       },
     ],
+    // Staff-only notes, never shown to the customer
     internalNotes: [
       {
         note: String,
-        addedBy: String,
+        addedBy: String, // Display name at the time of the note
+        author: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
         addedAt: {
           type: Date,
           default: Date.now,
@@ -216,6 +354,46 @@ const feedbackSchema = new mongoose.Schema(
       },
     ],
 
+    // CASE MANAGEMENT
+    assignedTo: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    assignedAt: Date,
+    slaDueAt: {
+      type: Date,
+      // Computed from urgency on save (see SLA_WINDOWS_DAYS)
+    },
+    firstResponseAt: Date,
+    resolvedAt: Date,
+    closedAt: Date,
+
+    // SLA ESCALATION (see services/slaEscalationService.js)
+    slaBreachedAt: Date,
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      // 0: none, 1: escalated to a branch-admin, 2: escalated to a super-admin
+    },
+    escalations: [
+      {
+        level: Number,
+        reason: String,
+        escalatedTo: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        previousAssignee: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        escalatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     // SYSTEM FIELDS
     createdAt: {
       type: Date,
@@ -226,6 +404,8 @@ const feedbackSchema = new mongoose.Schema(
       type: String,
       unique: true,
     },
+    // Number issued before the counter-based format, still accepted for tracking
+    legacyReferenceNumber: String,
     slug: String,
   },
   {
@@ -279,6 +459,11 @@ feedbackSchema.virtual('daysSinceSubmission').get(function () {
 
 // Check if feedback is overdue for response
 feedbackSchema.virtual('isOverdue').get(function () {
+  if (this.slaDueAt) {
+    return OPEN_STATUSES.includes(this.status) && Date.now() > this.slaDueAt.getTime();
+  }
+
+  // Feedback saved before slaDueAt existed
   const days = this.daysSinceSubmission;
   if (this.urgency === 'critical') return days > 1;
   if (this.urgency === 'high') return days > 2;
@@ -286,20 +471,175 @@ feedbackSchema.virtual('isOverdue').get(function () {
   return days > 14; // Low priority
 });
 
+//
+// ─── INSTANCE METHODS ──────────────────────────────────────────────────────────
+//
+
+// Classification fields staff may correct by hand
+const CORRECTABLE_FIELDS = ['sentiment', 'urgency', 'categories', 'emotions'];
+
+// Feedback analyzed before analysisHistory existed gets its current analysis
+// recorded as version 1, so the first AI output is never lost
+feedbackSchema.methods.seedAnalysisHistory = function () {
+  if (this.analysisHistory.length > 0) return;
+  if (!this.aiAnalysisTimestamp && !this.sentiment) return;
+
+  this.analysisHistory.push({
+    version: 1,
+    source: 'ai',
+    sentiment: this.sentiment,
+    sentimentScore: this.sentimentScore,
+    categories: this.categories,
+    emotions: this.emotions,
+    urgency: this.urgency,
+    actionableInsights: this.actionableInsights,
+    aiModel: this.aiModel,
+    aiProvider: this.aiProvider,
+    aiConfidenceScore: this.aiConfidenceScore,
+    createdAt: this.aiAnalysisTimestamp || this.createdAt,
+  });
+};
+
+// Copy a validated AI analysis (from sentimentAnalysisService) onto the feedback
+// and record it as a new version. Human-corrected fields are left untouched.
+feedbackSchema.methods.applyAnalysis = function (analysis) {
+  this.seedAnalysisHistory();
+
+  const locked = this.humanConfirmedFields || [];
+  const values = {
+    sentiment: analysis.sentiment,
+    sentimentScore: analysis.sentimentScore,
+    categories: analysis.categories,
+    emotions: analysis.emotions || [],
+    urgency: analysis.urgency,
+    actionableInsights: analysis.actionableInsights,
+  };
+
+  Object.keys(values).forEach((field) => {
+    if (!locked.includes(field)) this[field] = values[field];
+  });
+
+  this.aiAnalysisTimestamp = new Date();
+  this.aiModel = analysis.aiModel;
+  this.aiProvider = analysis.aiProvider;
+  this.aiConfidenceScore = analysis.confidenceScore;
+
+  this.analysisHistory.push({
+    ...values,
+    version: this.analysisHistory.length + 1,
+    source: 'ai',
+    aiModel: analysis.aiModel,
+    aiProvider: analysis.aiProvider,
+    aiConfidenceScore: analysis.confidenceScore,
+    createdAt: this.aiAnalysisTimestamp,
+  });
+
+  return this;
+};
+
+// Move the case to a new status, enforcing STATUS_TRANSITIONS
+feedbackSchema.methods.transitionTo = function (status, user, note) {
+  const from = this.status;
+  if (from === status) return this;
+
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot move feedback from "${from}" to "${status}". Allowed: ${allowed.join(', ') || 'none'}`
+    );
+  }
+
+  this.status = status;
+  if (status === 'resolved') this.resolvedAt = new Date();
+  if (status === 'closed') this.closedAt = new Date();
+  if (OPEN_STATUSES.includes(status)) this.resolvedAt = undefined; // Reopened
+
+  this.statusHistory.push({ from, to: status, changedBy: user && user._id, note });
+  return this;
+};
+
+// Add a customer-facing response from a staff user
+feedbackSchema.methods.addResponse = function (message, user) {
+  this.responses.push({ message, respondedBy: user.name, responder: user._id });
+  if (!this.firstResponseAt) this.firstResponseAt = new Date();
+
+  // Replying to a new case means someone is working on it
+  if (this.status === 'pending') this.transitionTo('in_progress', user, 'Response sent');
+  return this;
+};
+
+// Add a staff-only note
+feedbackSchema.methods.addInternalNote = function (note, user) {
+  this.internalNotes.push({ note, addedBy: user.name, author: user._id });
+  return this;
+};
+
+// Apply a staff review of the classification and record who/when/why.
+// Fields sent with an unchanged value count as confirmed, not corrected.
+// Returns { confirmed, changed } field lists
+feedbackSchema.methods.applyCorrection = function (corrections, user, reason) {
+  const current = this.toObject();
+  const confirmed = CORRECTABLE_FIELDS.filter((field) => corrections[field] !== undefined);
+  const changed = confirmed.filter(
+    (field) => JSON.stringify(corrections[field]) !== JSON.stringify(current[field])
+  );
+
+  if (confirmed.length === 0) return { confirmed, changed };
+
+  this.seedAnalysisHistory();
+
+  changed.forEach((field) => {
+    this[field] = corrections[field];
+  });
+  this.humanConfirmedFields = [...new Set([...(this.humanConfirmedFields || []), ...confirmed])];
+
+  this.analysisHistory.push({
+    version: this.analysisHistory.length + 1,
+    source: 'human',
+    sentiment: this.sentiment,
+    sentimentScore: this.sentimentScore,
+    categories: this.categories,
+    emotions: this.emotions,
+    urgency: this.urgency,
+    actionableInsights: this.actionableInsights,
+    confirmedFields: confirmed,
+    correctedFields: changed,
+    correctedBy: user && user._id,
+    reason,
+  });
+
+  return { confirmed, changed };
+};
+
 //
 // ─── DOCUMENT MIDDLEWARE ───────────────────────────────────────────────────────
 //
 
+// Issue a collision-free reference number e.g., FB20250000421 (see utils/referenceNumber).
+// New feedback always gets a generated one: a number passed in could skip
+// the check digit or take one the counter has yet to issue.
+feedbackSchema.pre('save', async function () {
+  if (this.isNew) this.legacyReferenceNumber = undefined;
+  if (this.isNew || !this.referenceNumber) {
+    this.referenceNumber = await generateReferenceNumber({ branch: this.branch, date: this.createdAt });
+  }
+});
+
 // Auto-slugify for easy URL usage
 feedbackSchema.pre('save', function (next) {
   if (this.customerName) {
     this.slug = slugify(this.customerName + '-' + Date.now(), { lower: true });
   }
 
-  // Auto-generate a unique reference number e.g., FB202511110001
-  if (!this.referenceNumber) {
-    const timestamp = Date.now().toString().slice(-6);
-    this.referenceNumber = `FB${new Date().getFullYear()}${timestamp}`;
+  // LSH band keys for near-duplicate lookups
+  if (this.isNew || this.isModified('comment')) {
+    this.similarityBands = bandKeys(this.comment);
+  }
+
+  // SLA due date follows urgency, which changes once AI analysis completes
+  if (this.isNew || this.isModified('urgency') || !this.slaDueAt) {
+    const days = SLA_WINDOWS_DAYS[this.urgency] || SLA_WINDOWS_DAYS.low;
+    this.slaDueAt = new Date(new Date(this.createdAt).getTime() + days * 24 * 60 * 60 * 1000);
   }
 
   this.updatedAt = Date.now();
@@ -310,23 +650,31 @@ feedbackSchema.pre('save', function (next) {
 // ─── QUERY MIDDLEWARE ──────────────────────────────────────────────────────────
 //
 
-// Hide fraudulent or closed feedback from public queries
+// Hide closed feedback unless the query opts in with
+// .setOptions({ includeClosed: true }) (e.g. SLA reports). A status filter in
+// the query is combined with this, never a way around it.
 feedbackSchema.pre(/^find/, function (next) {
-  this.find({ status: { $ne: 'closed' } });
+  if (!this.getOptions().includeClosed) {
+    this.and([{ status: { $ne: 'closed' } }]);
+  }
   this.start = Date.now();
   next();
 });
 
 feedbackSchema.post(/^find/, function (docs, next) {
-  console.log(`Query took ${Date.now() - this.start}ms and returned ${docs.length} docs`);
+  const count = Array.isArray(docs) ? docs.length : docs ? 1 : 0;
+  console.log(`Query took ${Date.now() - this.start}ms and returned ${count} docs`);
   next();
 });
 
 //
 // ─── AGGREGATION MIDDLEWARE ─────────────────────────────────────────────────────
 //
+// Same rule for pipelines; opt in with .option({ includeClosed: true })
 feedbackSchema.pre('aggregate', function (next) {
-  this.pipeline().unshift({ $match: { status: { $ne: 'closed' } } });
+  if (!this.options.includeClosed) {
+    this.pipeline().unshift({ $match: { status: { $ne: 'closed' } } });
+  }
   next();
 });
 
@@ -348,7 +696,13 @@ feedbackSchema.index({ urgency: 1, status: 1, createdAt: -1 }); // Priority queu
 feedbackSchema.index({ branch: 1, sentiment: 1, createdAt: -1 }); // Branch performance
 feedbackSchema.index({ rating: 1, sentiment: 1 }); // Rating vs sentiment correlation
 feedbackSchema.index({ status: 1, createdAt: -1 }); // Status tracking
+feedbackSchema.index({ assignedTo: 1, status: 1, slaDueAt: 1 }); // Agent queues
+feedbackSchema.index({ status: 1, slaDueAt: 1, escalationLevel: 1 }); // SLA monitoring
 feedbackSchema.index({ referenceNumber: 1 }, { unique: true }); // Ensure unique reference
+feedbackSchema.index({ legacyReferenceNumber: 1 }, { sparse: true }); // Tracking by pre-migration numbers
+feedbackSchema.index({ similarityBands: 1, createdAt: -1 }); // Near-duplicate candidates
+feedbackSchema.index({ duplicateOf: 1, createdAt: -1 }, { sparse: true }); // Duplicate clusters
+feedbackSchema.index({ issueCluster: 1, createdAt: -1 }); // Issue volume over time
 
 // Text index for search functionality (optional but useful)
 feedbackSchema.index({ 
@@ -369,3 +723,7 @@ feedbackSchema.index({
 //
 const Feedback = mongoose.model('Feedback', feedbackSchema);
 module.exports = Feedback;
+module.exports.CORRECTABLE_FIELDS = CORRECTABLE_FIELDS;
+module.exports.SLA_WINDOWS_DAYS = SLA_WINDOWS_DAYS;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// SCHEMA
+// An emailed invitation to create a staff account. Only a hash of the
+// one-time token is stored (see invitationService).
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'An invitation needs an email address'],
+      lowercase: true,
+      trim: true,
+      validate: [validator.isEmail, 'Please provide a valid email'],
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Account settings applied when the invitation is accepted
+    role: {
+      type: String,
+      required: [true, 'An invitation needs a role'],
+    },
+    branches: [String],
+    serviceTypes: [String],
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+module.exports = Invitation;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// A topic within one category (e.g. "android app login loop" under
+// technical_issues). Feedback points at its cluster via feedback.issueCluster;
+// volume over time is always counted from the feedback itself.
+const issueClusterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Cluster name must be at most 120 characters'],
+    },
+    // auto: regenerated from keywords as the cluster grows; manual: set by staff
+    nameSource: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto',
+    },
+    category: {
+      type: String,
+      required: [true, 'A cluster belongs to a category'],
+    },
+    keywords: [String],
+    // Average term weights of the members ({ term: weight })
+    centroid: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['active', 'merged'],
+      default: 'active',
+    },
+    mergedInto: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'IssueCluster',
+    },
+    feedbackCount: {
+      type: Number,
+      default: 0,
+    },
+    firstSeenAt: Date,
+    lastSeenAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: Date,
+  },
+  {
+    minimize: false,
+  }
+);
+
+issueClusterSchema.index({ category: 1, status: 1, lastSeenAt: -1 });
+
+issueClusterSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const IssueCluster = mongoose.model('IssueCluster', issueClusterSchema);
+module.exports = IssueCluster;
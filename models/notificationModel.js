@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// Log of every notification sent (or attempted) to a staff user. Also used
+// to avoid notifying the same person twice about the same event.
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms'],
+      required: true,
+    },
+    transport: String,
+    to: String,
+    template: String,
+    subject: String,
+    body: String,
+    // What the notification is about
+    feedback: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Feedback',
+    },
+    dedupeKey: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+    },
+    providerMessageId: String,
+    error: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+notificationSchema.index({ dedupeKey: 1, recipient: 1, channel: 1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
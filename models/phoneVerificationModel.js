@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// One-time code sent to the phone on a feedback. Only a keyed hash of the
+// code is stored (see phoneVerificationService).
+const phoneVerificationSchema = new mongoose.Schema(
+  {
+    feedback: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Feedback',
+      required: [true, 'A verification must belong to a feedback'],
+    },
+    phone: {
+      type: String,
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'locked'],
+      default: 'pending',
+    },
+    expiresAt: Date,
+    // Wrong guesses against the current code
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Codes sent so far (resends included)
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    verifiedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+phoneVerificationSchema.index({ feedback: 1, createdAt: -1 });
+// Records are only useful while a code can be used; drop them after a week
+phoneVerificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const PhoneVerification = mongoose.model('PhoneVerification', phoneVerificationSchema);
+module.exports = PhoneVerification;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// A tracked re-analysis/backfill run started by an admin. The selection
+// criteria are stored as submitted so a run can be audited or repeated.
+const reanalysisJobSchema = new mongoose.Schema(
+  {
+    criteria: {
+      missingAnalysis: Boolean,
+      maxConfidence: Number,
+      aiModel: String,
+      serviceType: String,
+      startDate: Date,
+      endDate: Date,
+      limit: Number,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    succeeded: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // First failures only, to keep the document small on large runs
+    failures: [
+      {
+        feedback: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Feedback',
+        },
+        error: String,
+      },
+    ],
+    lastError: String,
+    startedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+//
+// ─── VIRTUALS ───────────────────────────────────────────────────────────────────
+//
+reanalysisJobSchema.virtual('progress').get(function () {
+  if (!this.total) return this.status === 'completed' ? 100 : 0;
+  return Math.round((this.processed / this.total) * 100);
+});
+
+//
+// ─── MODEL EXPORT ───────────────────────────────────────────────────────────────
+//
+const ReanalysisJob = mongoose.model('ReanalysisJob', reanalysisJobSchema);
+module.exports = ReanalysisJob;
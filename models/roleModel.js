@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Everything a role can be allowed to do. Routes check these with
+// requirePermission (authController); never the role name itself.
+const PERMISSIONS = {
+  'feedback:read': 'View feedback, its analysis history and the personal case queue',
+  'feedback:update': 'Edit feedback and correct its AI classification',
+  'feedback:assign': 'Assign feedback to staff',
+  'feedback:respond': 'Change case status, reply to customers and add internal notes',
+  'feedback:delete': 'Delete feedback',
+  'analysis:manage': 'Monitor the analysis queue and run re-analysis jobs',
+  'analytics:view': 'View dashboard analytics',
+  'analytics:manage': 'Acknowledge and resolve anomalies',
+  'issues:view': 'View issue clusters and their feedback',
+  'issues:manage': 'Rename, merge and split issue clusters',
+  'webhooks:manage': 'Manage webhook subscriptions and deliveries',
+  'users:manage': 'Manage staff accounts and their branch scope',
+  'roles:manage': 'View and edit roles and their permissions',
+};
+
+// Built-in roles, created on startup if missing. Edits made through the API
+// are kept; these only describe a fresh install.
+const DEFAULT_ROLES = {
+  'super-admin': {
+    description: 'Full access, including role management',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  admin: {
+    description: 'Full access to feedback, analytics and integrations',
+    permissions: Object.keys(PERMISSIONS).filter((p) => p !== 'roles:manage'),
+  },
+  'branch-admin': {
+    description: 'Handles the feedback of their own branches and service types',
+    scoped: true,
+    permissions: [
+      'feedback:read',
+      'feedback:update',
+      'feedback:assign',
+      'feedback:respond',
+      'feedback:delete',
+      'analytics:view',
+      'analytics:manage',
+      'issues:view',
+      'issues:manage',
+    ],
+  },
+  user: {
+    description: 'Signed-in account without staff access',
+    permissions: [],
+  },
+};
+
+// SCHEMA
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A role must have a name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role names use lowercase letters, digits and dashes'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  permissions: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: Object.keys(PERMISSIONS),
+          message: 'Unknown permission: {VALUE}',
+        },
+      },
+    ],
+    default: [],
+  },
+  // Limited to the branches and service types on each user (utils/accessScope)
+  scoped: {
+    type: Boolean,
+    default: false,
+  },
+  // Built-in roles cannot be deleted
+  system: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: Date,
+});
+
+roleSchema.pre('save', function (next) {
+  this.permissions = [...new Set(this.permissions)];
+  this.updatedAt = Date.now();
+  next();
+});
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.DEFAULT_ROLES = DEFAULT_ROLES;
+
+const Role = mongoose.model('Role', roleSchema);
+module.exports = Role;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// One signed-in device. Holds a hash of its current refresh token, which is
+// replaced on every refresh (see sessionService).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A session must belong to a user'],
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    // Token the current one replaced; seeing it again means it was stolen
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    userAgent: String,
+    ip: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'admin', 'password_change', 'deactivated', 'token_reuse'],
+    },
+  }
+);
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Nothing can be done with a session once its refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose')
 const validator = require('validator')
 const bcrypt = require('bcryptjs')
+const Role = require('./roleModel')
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -20,10 +21,16 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: 'default.jpg'
     },
+    // Name of a Role (built in or created through /api/v1/roles)
     role: {
         type: String,
-        enum: ['user', 'admin', 'branch-admin', 'super-admin'],
-        default: 'branch-admin'
+        default: 'user',
+        validate: {
+            validator: async function(name) {
+                return Boolean(Role.DEFAULT_ROLES[name]) || Boolean(await Role.exists({ name }))
+            },
+            message: 'Unknown role: {VALUE}'
+        }
     },
     password: {
         type: String,
@@ -42,6 +49,67 @@ const userSchema = new mongoose.Schema({
         }
     },
     passwordChangedAt: Date,
+    // SHA-256 of the emailed reset token (see services/passwordService.js)
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    // Wrong passwords in a row; too many set lockUntil
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lockUntil: Date,
+    // Deactivated users can neither log in nor use existing tokens
+    active: {
+        type: Boolean,
+        default: true
+    },
+    deactivatedAt: Date,
+    deactivatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    invitedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    phone: {
+        type: String,
+        validate: {
+            validator: function(v) {
+                return /^0[789][01]\d{8}$/.test(v) // Nigerian format: 080xxxxxxxx
+            },
+            message: 'Invalid Nigerian phone number format'
+        }
+    },
+    // Data a user of a scoped role may see and change (see utils/accessScope.js).
+    // Ignored for unscoped roles such as admin and super-admin.
+    branches: [String],
+    serviceTypes: [String],
+    // Which urgent-feedback alerts this user receives, and how.
+    // Empty branches/serviceTypes lists mean "all".
+    notificationPreferences: {
+        email: {
+            type: Boolean,
+            default: true
+        },
+        sms: {
+            type: Boolean,
+            default: false
+        },
+        branches: [String],
+        serviceTypes: [String]
+    },
 })
 
 userSchema.pre('save', async function(next){
@@ -56,6 +124,14 @@ userSchema.pre('save', async function(next){
     next();
 })
 
+userSchema.pre('save', function(next){
+    if(!this.isModified('password') || this.isNew) return next();
+
+    // A second early, so a token issued right after the change stays valid
+    this.passwordChangedAt = Date.now() - 1000;
+    next();
+})
+
 userSchema.methods.correctPassword = async function(candidatePassword, userPassword){
     return await bcrypt.compare(candidatePassword, userPassword);
 }
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// SCHEMA
+// One attempt-tracked delivery of an event to a webhook. Kept as the
+// delivery log and used by the worker in services/webhookService.js.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Webhook',
+      required: [true, 'A delivery must belong to a webhook'],
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    attemptLog: [
+      {
+        attemptedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        statusCode: Number,
+        durationMs: Number,
+        error: String,
+        responseBody: String, // Truncated
+      },
+    ],
+    deliveredAt: Date,
+    // Set on deliveries created through the redeliver endpoint
+    redeliveryOf: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Worker polling
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 }); // Delivery log
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports = WebhookDelivery;
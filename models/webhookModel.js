@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { isPrivateAddress } = require('./../utils/httpClient');
+
+const WEBHOOK_EVENTS = [
+  'feedback.created',
+  'feedback.urgent',
+  'feedback.status_changed',
+  'feedback.sla_breached',
+];
+
+// Receivers on localhost or the internal network are only allowed in
+// development; elsewhere the delivery worker must not be usable to reach them
+const allowPrivateHosts = () => process.env.NODE_ENV === 'development';
+
+// SCHEMA
+// An outbound webhook subscription. Payloads are signed with the secret
+// (HMAC-SHA256) so receivers can verify they came from FeedbackForge.
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'A webhook must have a name'],
+      trim: true,
+      maxlength: [100, 'Webhook name must have less than 100 characters'],
+    },
+    url: {
+      type: String,
+      required: [true, 'A webhook must have a URL'],
+      validate: {
+        validator: function (v) {
+          const valid = validator.isURL(v, {
+            protocols: ['http', 'https'],
+            require_protocol: true,
+            require_tld: allowPrivateHosts() === false,
+          });
+          if (!valid || allowPrivateHosts()) return valid;
+          return !isPrivateAddress(new URL(v).hostname.replace(/^\[|\]$/g, ''));
+        },
+        message: 'Please provide a valid public http(s) URL',
+      },
+    },
+    secret: {
+      type: String,
+      select: false,
+      default: () => crypto.randomBytes(32).toString('hex'),
+    },
+    events: {
+      type: [{ type: String, enum: { values: WEBHOOK_EVENTS, message: 'Unknown webhook event' } }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.allowPrivateHosts = allowPrivateHosts;
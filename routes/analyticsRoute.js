@@ -4,18 +4,29 @@
 
 const express = require('express');
 const analyticsController = require('../controllers/analyticsController');
-const { protect, restrictTo } = require('../controllers/authController');
+const { protect, requirePermission } = require('../controllers/authController');
+const { parseTrustFilter } = require('../utils/trustFilter');
+const { parseComparison } = require('../utils/periodComparison');
 
 const router = express.Router();
 
 // ═══════════════════════════════════════════════════════════════════════════
 // All analytics routes require authentication
-// Only admin, super-admin, and branch-admin can access analytics
+// and the analytics:view permission
 // ═══════════════════════════════════════════════════════════════════════════
 
 // Apply authentication to all routes in this router
 router.use(protect);
-router.use(restrictTo('admin', 'super-admin', 'branch-admin'));
+router.use(requirePermission('analytics:view'));
+
+// Trust filter shared by the dashboard endpoints (req.trustFilter)
+// Query params: ?minTrustScore=60&verificationStatus=verified,phone_verified&excludeSuspicious=true
+router.use(parseTrustFilter);
+
+// Period-over-period comparison (req.comparison), honoured by sentiment-overview,
+// service-metrics, pulse and branches
+// Query params: ?compareTo=previous | yoy | custom&compareStartDate=2025-01-01&compareEndDate=2025-01-31
+router.use(parseComparison);
 
 // ═══════════════════════════════════════════════════════════════════════════
 // ANALYTICS ENDPOINTS
@@ -23,12 +34,12 @@ router.use(restrictTo('admin', 'super-admin', 'branch-admin'));
 
 // 1. Sentiment Overview
 // GET /api/v1/analytics/sentiment-overview
-// Query params: ?startDate=2025-01-01&endDate=2025-12-31&serviceType=Mobile App&branch=Victoria Island
+// Query params: ?startDate=2025-01-01&endDate=2025-12-31&serviceType=Mobile App&branch=Victoria Island&compareTo=previous
 router.get('/sentiment-overview', analyticsController.getSentimentOverview);
 
 // 2. Service Type Performance
 // GET /api/v1/analytics/service-metrics
-// Query params: ?startDate=2025-01-01&endDate=2025-12-31
+// Query params: ?startDate=2025-01-01&endDate=2025-12-31 or ?days=30, &compareTo=yoy
 router.get('/service-metrics', analyticsController.getServiceTypeMetrics);
 
 // 3. Sentiment Trends Over Time
@@ -53,7 +64,7 @@ router.get('/urgency', analyticsController.getUrgencyDashboard);
 
 // 7. Pulse Metrics (CSAT, NPS, CES)
 // GET /api/v1/analytics/pulse
-// Query params: ?days=30
+// Query params: ?days=30 or ?startDate=2025-01-01&endDate=2025-12-31, &serviceType=Mobile App&branch=Ikeja&compareTo=previous
 router.get('/pulse', analyticsController.getPulseMetrics);
 
 // 8. Actionable Insights
@@ -63,8 +74,36 @@ router.get('/insights', analyticsController.getActionableInsights);
 
 // 9. Branch Comparison
 // GET /api/v1/analytics/branches
+// Query params: ?days=30 or ?startDate=2025-01-01&endDate=2025-12-31, &compareTo=previous
 router.get('/branches', analyticsController.getBranchComparison);
 
+// 10. AI Accuracy (model output vs human corrections)
+// GET /api/v1/analytics/ai-accuracy
+// Query params: ?startDate=2025-01-01&endDate=2025-12-31&serviceType=Mobile App&aiModel=gpt-4o
+router.get('/ai-accuracy', analyticsController.getAIAccuracy);
+
+// 11. SLA Compliance
+// GET /api/v1/analytics/sla-compliance
+// Query params: ?days=30 or ?startDate=2025-01-01&endDate=2025-12-31
+router.get('/sla-compliance', analyticsController.getSlaCompliance);
+
+// 12. Trust Impact (metrics with vs without untrusted feedback)
+// GET /api/v1/analytics/trust-impact
+// Query params: ?days=30&minTrustScore=60 (defaults to excluding suspicious feedback)
+router.get('/trust-impact', analyticsController.getTrustImpact);
+
+// 13. Duplicate Clusters (near-identical comments, coordinated campaigns)
+// GET /api/v1/analytics/duplicate-clusters
+// Query params: ?days=30&branch=Ikeja&minSize=3&windowHours=24&suspiciousOnly=true
+router.get('/duplicate-clusters', analyticsController.getDuplicateClusters);
+
+// 14. Anomalies (negative feedback spikes against the rolling baseline)
+// GET /api/v1/analytics/anomalies
+// Query params: ?days=7&status=open,acknowledged&severity=high,critical&dimension=branch&value=Ikeja
+// PATCH /api/v1/analytics/anomalies/:id  { "status": "acknowledged" | "resolved" | "open" }
+router.get('/anomalies', analyticsController.getAnomalies);
+router.patch('/anomalies/:id', requirePermission('analytics:manage'), analyticsController.updateAnomaly);
+
 module.exports = router;
 
 
@@ -1,10 +1,48 @@
 const express = require('express')
-const { getAllFeedback, getFeedback, createFeedback, updateFeedback, deleteFeedback } = require('../controllers/feedbackController')
-const {protect, restrictTo} = require('../controllers/authController')
+const { getAllFeedback, getFeedback, createFeedback, updateFeedback, deleteFeedback, correctClassification, getAnalysisHistory } = require('../controllers/feedbackController')
+const { getAnalysisQueue, retryAnalysisJob } = require('../controllers/analysisQueueController')
+const { createReanalysisJob, getReanalysisJobs, getReanalysisJob } = require('../controllers/reanalysisController')
+const { assignFeedback, updateStatus, addResponse, addInternalNote, getMyQueue } = require('../controllers/caseController')
+const { trackFeedback } = require('../controllers/trackingController')
+const { requestPhoneVerification, confirmPhoneVerification } = require('../controllers/phoneVerificationController')
+const {protect, requirePermission} = require('../controllers/authController')
+const rateLimit = require('../utils/rateLimiter')
 const router = express.Router() 
 
 
-router.route('/').get(protect, getAllFeedback).post(createFeedback)
-router.route('/:id').get(getFeedback).patch(protect, restrictTo('admin', 'super-admin', 'branch-admin'), updateFeedback).delete(protect, restrictTo('admin', 'super-admin', 'branch-admin'), deleteFeedback)
+// Public status lookup for customers, rate limited per IP
+router.post('/track', rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many tracking attempts. Please try again in a few minutes.'
+}), trackFeedback)
 
-module.exports = router
\ No newline at end of file
+// Public phone verification (one-time code by SMS), rate limited per IP
+const verifyPhoneLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many verification attempts. Please try again in a few minutes.'
+})
+router.post('/verify-phone', verifyPhoneLimiter, requestPhoneVerification)
+router.post('/verify-phone/confirm', verifyPhoneLimiter, confirmPhoneVerification)
+
+router.get('/analysis-queue', protect, requirePermission('analysis:manage'), getAnalysisQueue)
+router.post('/analysis-queue/:jobId/retry', protect, requirePermission('analysis:manage'), retryAnalysisJob)
+
+router.route('/reanalyze').get(protect, requirePermission('analysis:manage'), getReanalysisJobs).post(protect, requirePermission('analysis:manage'), createReanalysisJob)
+router.get('/reanalyze/:jobId', protect, requirePermission('analysis:manage'), getReanalysisJob)
+
+router.get('/my-queue', protect, requirePermission('feedback:read'), getMyQueue)
+
+router.route('/').get(protect, requirePermission('feedback:read'), getAllFeedback).post(createFeedback)
+router.route('/:id').get(protect, requirePermission('feedback:read'), getFeedback).patch(protect, requirePermission('feedback:update'), updateFeedback).delete(protect, requirePermission('feedback:delete'), deleteFeedback)
+router.patch('/:id/classification', protect, requirePermission('feedback:update'), correctClassification)
+router.get('/:id/analyses', protect, requirePermission('feedback:read'), getAnalysisHistory)
+
+// Case management
+router.patch('/:id/assign', protect, requirePermission('feedback:assign'), assignFeedback)
+router.patch('/:id/status', protect, requirePermission('feedback:respond'), updateStatus)
+router.post('/:id/responses', protect, requirePermission('feedback:respond'), addResponse)
+router.post('/:id/notes', protect, requirePermission('feedback:respond'), addInternalNote)
+
+module.exports = router
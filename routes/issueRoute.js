@@ -0,0 +1,19 @@
+const express = require('express')
+const {
+    getAllIssues, getEmergingIssues, getIssue, updateIssue, getIssueFeedback, mergeIssues, splitIssue
+} = require('../controllers/issueController')
+const { protect, requirePermission } = require('../controllers/authController')
+const router = express.Router()
+
+// Issue clusters are staff-only
+router.use(protect, requirePermission('issues:view'))
+
+router.get('/emerging', getEmergingIssues)
+
+router.get('/', getAllIssues)
+router.route('/:id').get(getIssue).patch(requirePermission('issues:manage'), updateIssue)
+router.get('/:id/feedback', getIssueFeedback)
+router.post('/:id/merge', requirePermission('issues:manage'), mergeIssues)
+router.post('/:id/split', requirePermission('issues:manage'), splitIssue)
+
+module.exports = router
@@ -0,0 +1,12 @@
+const express = require('express')
+const { getAllRoles, getRole, createRole, updateRole, deleteRole } = require('../controllers/roleController')
+const { protect, requirePermission } = require('../controllers/authController')
+const router = express.Router()
+
+// Role definitions decide every other permission check
+router.use(protect, requirePermission('roles:manage'))
+
+router.route('/').get(getAllRoles).post(createRole)
+router.route('/:name').get(getRole).patch(updateRole).delete(deleteRole)
+
+module.exports = router
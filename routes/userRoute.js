@@ -2,14 +2,75 @@ const express = require('express');
 
 const router = express.Router();
 
-const {getAllUsers, createUser} = require('../controllers/userController');
-const {signUp, login} = require('../controllers/authController');
+const {
+    getAllUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    deactivateUser,
+    reactivateUser,
+    getUserSessions,
+    revokeUserSessions,
+    getInvitations,
+    revokeInvitation,
+    updateMyNotificationPreferences
+} = require('../controllers/userController');
+const {
+    signUp,
+    acceptInvitation,
+    login,
+    forgotPassword,
+    resetPassword,
+    updatePassword,
+    refreshToken,
+    logout,
+    logoutAll,
+    getMySessions,
+    protect,
+    requirePermission
+} = require('../controllers/authController');
+const rateLimit = require('../utils/rateLimiter')
 
+// Sign-up only creates the first account; everyone else is invited
 router.post('/signup', signUp)
-router.post('/login', login)
+router.post('/accept-invitation', acceptInvitation)
+// Per IP, on top of the per-account lockout: slows credential stuffing across
+// many accounts and caps the reset emails one client can trigger
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many login attempts. Please try again in a few minutes.'
+})
+const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many password reset attempts. Please try again later.'
+})
 
+router.post('/login', loginLimiter, login)
+router.post('/forgot-password', passwordResetLimiter, forgotPassword)
+router.post('/reset-password', passwordResetLimiter, resetPassword)
+router.post('/refresh-token', refreshToken)
+router.post('/logout', logout)
 
+router.post('/logout-all', protect, logoutAll)
+router.get('/me/sessions', protect, getMySessions)
+router.patch('/me/password', protect, updatePassword)
+
+router.patch('/me/notification-preferences', protect, updateMyNotificationPreferences)
+
+// Everything below is user administration
+router.use(protect, requirePermission('users:manage'))
+
+router.get('/invitations', getInvitations)
+router.delete('/invitations/:id', revokeInvitation)
+
+router.patch('/:id/deactivate', deactivateUser)
+router.patch('/:id/reactivate', reactivateUser)
+router.route('/:id/sessions').get(getUserSessions).delete(revokeUserSessions)
 
 router.route('/').get(getAllUsers).post(createUser)
+router.route('/:id').get(getUser).patch(updateUser).delete(deleteUser)
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
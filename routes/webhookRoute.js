@@ -0,0 +1,17 @@
+const express = require('express')
+const {
+    getAllWebhooks, createWebhook, getWebhook, updateWebhook, deleteWebhook, getDeliveries, redeliverDelivery
+} = require('../controllers/webhookController')
+const { protect, requirePermission } = require('../controllers/authController')
+const router = express.Router()
+
+// Webhooks are managed by admins only
+router.use(protect, requirePermission('webhooks:manage'))
+
+router.post('/deliveries/:deliveryId/redeliver', redeliverDelivery)
+
+router.route('/').get(getAllWebhooks).post(createWebhook)
+router.route('/:id').get(getWebhook).patch(updateWebhook).delete(deleteWebhook)
+router.get('/:id/deliveries', getDeliveries)
+
+module.exports = router
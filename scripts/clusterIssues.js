@@ -0,0 +1,48 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// BACKFILL - Put analyzed feedback into issue clusters
+// ═══════════════════════════════════════════════════════════════════════════
+// New feedback is clustered by the analysis worker. This assigns feedback
+// analyzed before issue clustering existed, oldest first.
+//
+// Usage: node scripts/clusterIssues.js [--days=90]
+// ═══════════════════════════════════════════════════════════════════════════
+
+const dotenv = require('dotenv');
+dotenv.config({ path: './config.env' });
+const mongoose = require('mongoose');
+const Feedback = require('./../models/feedbackModel');
+const { assignToCluster } = require('./../services/issueClusteringService');
+
+const daysArg = process.argv.find((a) => a.startsWith('--days='));
+const days = daysArg ? parseInt(daysArg.split('=')[1]) || 90 : 90;
+
+const DB = process.env.DATABASE.replace('<PASSWORD>', process.env.DATABASE_PASSWORD);
+
+async function backfill() {
+  // Closed feedback is clustered too
+  const cursor = Feedback.find({
+    issueCluster: { $exists: false },
+    categories: { $exists: true, $ne: [] },
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+  })
+    .setOptions({ includeClosed: true })
+    .sort({ createdAt: 1 })
+    .select('referenceNumber comment categories createdAt issueCluster issueClusterManual')
+    .cursor();
+
+  let assigned = 0;
+  for (let feedback = await cursor.next(); feedback; feedback = await cursor.next()) {
+    if (await assignToCluster(feedback)) assigned++;
+  }
+
+  console.log(`✅ Clustered ${assigned} feedbacks from the last ${days} days`);
+}
+
+mongoose
+  .connect(DB, { useNewUrlParser: true, useUnifiedTopology: true })
+  .then(backfill)
+  .catch((err) => {
+    console.error('❌ Issue clustering backfill failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
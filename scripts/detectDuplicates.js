@@ -0,0 +1,40 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OFFLINE SCAN - Near-duplicate clusters and coordinated campaigns
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs duplicateDetectionService over recent feedback without the API.
+//
+// Usage: node scripts/detectDuplicates.js [--days=30] [--rebuild] [--dry-run]
+//   --rebuild  recompute every similarityBands (after changing utils/minHash)
+//   --dry-run  report what would change without saving
+// ═══════════════════════════════════════════════════════════════════════════
+
+const dotenv = require('dotenv');
+dotenv.config({ path: './config.env' });
+const mongoose = require('mongoose');
+const { runDuplicateScan } = require('./../services/duplicateDetectionService');
+
+const arg = (name) => {
+  const match = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return match ? match.split('=')[1] : undefined;
+};
+
+const options = {
+  days: parseInt(arg('days')) || 30,
+  rebuild: process.argv.includes('--rebuild'),
+  dryRun: process.argv.includes('--dry-run'),
+};
+
+const DB = process.env.DATABASE.replace('<PASSWORD>', process.env.DATABASE_PASSWORD);
+
+mongoose
+  .connect(DB, { useNewUrlParser: true, useUnifiedTopology: true })
+  .then(async () => {
+    console.log(`🔍 Scanning the last ${options.days} days for near-duplicates${options.dryRun ? ' (dry run)' : ''}...`);
+    const summary = await runDuplicateScan(options);
+    console.log('✅ Duplicate scan finished:', summary);
+  })
+  .catch((err) => {
+    console.error('❌ Duplicate scan failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
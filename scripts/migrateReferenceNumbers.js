@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MIGRATION - Reissue legacy feedback reference numbers
+// ═══════════════════════════════════════════════════════════════════════════
+// Legacy numbers (FB + year + last 6 digits of Date.now()) could collide.
+// This gives every feedback that still has one a counter-based number with a
+// check digit, oldest first, and keeps the old value in legacyReferenceNumber
+// so customers can keep tracking with it. Safe to run more than once.
+//
+// Usage: node scripts/migrateReferenceNumbers.js [--dry-run]
+// ═══════════════════════════════════════════════════════════════════════════
+
+const dotenv = require('dotenv');
+dotenv.config({ path: './config.env' });
+const mongoose = require('mongoose');
+const Feedback = require('./../models/feedbackModel');
+const { generateReferenceNumber, isLegacyReferenceNumber } = require('./../utils/referenceNumber');
+
+const dryRun = process.argv.includes('--dry-run');
+const DB = process.env.DATABASE.replace('<PASSWORD>', process.env.DATABASE_PASSWORD);
+
+async function migrate() {
+  // Closed feedback is migrated too
+  const feedbacks = await Feedback.find({
+    referenceNumber: /^FB\d{10}$/,
+  })
+    .setOptions({ includeClosed: true })
+    .sort({ createdAt: 1 })
+    .select('referenceNumber branch createdAt');
+
+  let migrated = 0;
+  for (const feedback of feedbacks) {
+    if (!isLegacyReferenceNumber(feedback.referenceNumber)) continue;
+
+    if (dryRun) {
+      console.log(`Would reissue ${feedback.referenceNumber}`);
+      migrated++;
+      continue;
+    }
+
+    const referenceNumber = await generateReferenceNumber({ branch: feedback.branch, date: feedback.createdAt });
+
+    // updateOne skips the save hooks (slug, SLA, updatedAt) on purpose
+    await Feedback.updateOne(
+      { _id: feedback._id },
+      { $set: { referenceNumber, legacyReferenceNumber: feedback.referenceNumber } }
+    );
+    console.log(`${feedback.referenceNumber} -> ${referenceNumber}`);
+    migrated++;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would reissue' : 'Reissued'} ${migrated} of ${feedbacks.length} legacy reference numbers`);
+}
+
+mongoose
+  .connect(DB, { useNewUrlParser: true, useUnifiedTopology: true })
+  .then(migrate)
+  .catch((err) => {
+    console.error('❌ Reference number migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
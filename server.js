@@ -2,6 +2,12 @@ const dotenv = require('dotenv');
 dotenv.config({ path: './config.env' });
 const mongoose = require('mongoose');
 const app = require('./app');
+const { startWorker } = require('./services/analysisQueueService');
+const { failInterruptedJobs } = require('./services/reanalysisService');
+const { startSlaMonitor } = require('./services/slaEscalationService');
+const { startWebhookWorker } = require('./services/webhookService');
+const { startAnomalyMonitor } = require('./services/anomalyDetectionService');
+const { seedDefaultRoles } = require('./services/permissionService');
 
 
 const PORT = process.env.PORT || 3000;
@@ -14,7 +20,27 @@ mongoose.connect(DB, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-  .then(() => console.log('✅ FeedbackForge DB connection successful!'))
+  .then(() => {
+    console.log('✅ FeedbackForge DB connection successful!');
+
+    // Built-in roles for permission checks (existing edits are kept)
+    seedDefaultRoles().catch((err) => console.error('❌ Could not create built-in roles:', err.message));
+
+    // Background AI analysis of submitted feedback
+    if (process.env.ANALYSIS_WORKER_ENABLED !== 'false') startWorker();
+
+    // Re-analysis runs live in this process, so any left running were cut short
+    failInterruptedJobs().catch((err) => console.error('❌ Could not clean up re-analysis jobs:', err.message));
+
+    // Scheduled SLA breach escalation
+    if (process.env.SLA_MONITOR_ENABLED !== 'false') startSlaMonitor();
+
+    // Outbound webhook deliveries
+    if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') startWebhookWorker();
+
+    // Spikes in negative feedback against the rolling baseline
+    if (process.env.ANOMALY_MONITOR_ENABLED !== 'false') startAnomalyMonitor();
+  })
   .catch((err) => console.error('❌ DB connection error:', err));
 
 // Start the server
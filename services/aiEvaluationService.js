@@ -0,0 +1,252 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// AI EVALUATION SERVICE - Model output vs human-confirmed labels
+// ═══════════════════════════════════════════════════════════════════════════
+// Input records come from feedback that staff reviewed (humanConfirmedFields).
+// Each record pairs the AI prediction the reviewer saw (the last AI run before
+// the first human review, not any later re-analysis) with the human label:
+//   {
+//     aiModel, serviceType, confidence,
+//     predicted: { sentiment, urgency, categories },
+//     actual: { sentiment, urgency, categories },
+//     confirmedFields: ['sentiment', ...]
+//   }
+// Only fields the reviewer confirmed are scored; everything else is unknown.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SINGLE_LABEL_FIELDS = {
+  sentiment: ['positive', 'neutral', 'negative'],
+  urgency: ['low', 'medium', 'high', 'critical'],
+};
+
+const MULTI_LABEL_FIELD = 'categories';
+
+const round = (value, places = 1) => parseFloat(value.toFixed(places));
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+/**
+ * Agreement, confusion matrix and per-class precision/recall for a
+ * single-label field
+ * @param {Array} records - Evaluation records
+ * @param {string} field - sentiment | urgency
+ * @returns {Object} Metrics
+ */
+function evaluateSingleLabel(records, field) {
+  const labels = SINGLE_LABEL_FIELDS[field];
+  const scored = records.filter(
+    (r) => r.confirmedFields.includes(field) && r.predicted[field] && r.actual[field]
+  );
+
+  // confusionMatrix[actual][predicted] = count
+  const confusionMatrix = {};
+  labels.forEach((actual) => {
+    confusionMatrix[actual] = {};
+    labels.forEach((predicted) => {
+      confusionMatrix[actual][predicted] = 0;
+    });
+  });
+
+  let agreed = 0;
+  scored.forEach((r) => {
+    const actual = r.actual[field];
+    const predicted = r.predicted[field];
+    if (!confusionMatrix[actual]) confusionMatrix[actual] = {};
+    confusionMatrix[actual][predicted] = (confusionMatrix[actual][predicted] || 0) + 1;
+    if (actual === predicted) agreed++;
+  });
+
+  const perClass = labels.map((label) => {
+    const tp = confusionMatrix[label][label] || 0;
+    const predictedAs = labels.reduce((sum, actual) => sum + (confusionMatrix[actual][label] || 0), 0);
+    const actuallyIs = labels.reduce((sum, predicted) => sum + (confusionMatrix[label][predicted] || 0), 0);
+    return {
+      label,
+      support: actuallyIs,
+      precision: percent(tp, predictedAs),
+      recall: percent(tp, actuallyIs),
+    };
+  });
+
+  return {
+    evaluated: scored.length,
+    agreed,
+    agreementRate: percent(agreed, scored.length),
+    confusionMatrix,
+    perClass,
+  };
+}
+
+/**
+ * Exact-set agreement, mean Jaccard overlap and per-category
+ * precision/recall/F1 for the multi-label categories field
+ * @param {Array} records - Evaluation records
+ * @returns {Object} Metrics
+ */
+function evaluateCategories(records) {
+  const scored = records.filter((r) => r.confirmedFields.includes(MULTI_LABEL_FIELD));
+  const counts = {}; // category -> { tp, fp, fn }
+  let exactMatches = 0;
+  let jaccardSum = 0;
+
+  scored.forEach((r) => {
+    const predicted = new Set(r.predicted.categories || []);
+    const actual = new Set(r.actual.categories || []);
+    const union = new Set([...predicted, ...actual]);
+    let intersection = 0;
+
+    union.forEach((category) => {
+      if (!counts[category]) counts[category] = { tp: 0, fp: 0, fn: 0 };
+      if (predicted.has(category) && actual.has(category)) {
+        counts[category].tp++;
+        intersection++;
+      } else if (predicted.has(category)) {
+        counts[category].fp++;
+      } else {
+        counts[category].fn++;
+      }
+    });
+
+    if (intersection === union.size) exactMatches++;
+    jaccardSum += union.size > 0 ? intersection / union.size : 1;
+  });
+
+  const perCategory = Object.keys(counts)
+    .map((category) => {
+      const { tp, fp, fn } = counts[category];
+      const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+      const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+      let f1 = null;
+      if (precision !== null && recall !== null) {
+        f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+      }
+      return {
+        category,
+        support: tp + fn,
+        truePositives: tp,
+        falsePositives: fp,
+        falseNegatives: fn,
+        precision: precision === null ? null : round(precision * 100),
+        recall: recall === null ? null : round(recall * 100),
+        f1: f1 === null ? null : round(f1 * 100),
+      };
+    })
+    .sort((a, b) => b.support - a.support);
+
+  return {
+    evaluated: scored.length,
+    exactMatches,
+    agreementRate: percent(exactMatches, scored.length),
+    avgJaccard: scored.length > 0 ? round((jaccardSum / scored.length) * 100) : null,
+    perCategory,
+  };
+}
+
+/**
+ * A record counts as correct when every confirmed, scorable field agreed
+ * @param {Object} record - Evaluation record
+ * @returns {boolean|null} null if nothing scorable was confirmed
+ */
+function isRecordCorrect(record) {
+  const fields = record.confirmedFields.filter(
+    (f) => SINGLE_LABEL_FIELDS[f] || f === MULTI_LABEL_FIELD
+  );
+  if (fields.length === 0) return null;
+
+  return fields.every((field) => {
+    if (field === MULTI_LABEL_FIELD) {
+      const predicted = [...(record.predicted.categories || [])].sort();
+      const actual = [...(record.actual.categories || [])].sort();
+      return JSON.stringify(predicted) === JSON.stringify(actual);
+    }
+    return record.predicted[field] === record.actual[field];
+  });
+}
+
+/**
+ * Calibration of aiConfidenceScore: accuracy per 10-point confidence bucket
+ * and the expected calibration error (ECE, in percentage points)
+ * @param {Array} records - Evaluation records
+ * @returns {Object} Calibration table
+ */
+function evaluateCalibration(records) {
+  const buckets = Array.from({ length: 10 }, (_, i) => ({
+    range: `${i * 10}-${i * 10 + 10}`,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0,
+  }));
+
+  let total = 0;
+  records.forEach((r) => {
+    const correct = isRecordCorrect(r);
+    if (correct === null || typeof r.confidence !== 'number') return;
+
+    const bucket = buckets[Math.min(9, Math.floor(r.confidence / 10))];
+    bucket.count++;
+    bucket.confidenceSum += r.confidence;
+    if (correct) bucket.correct++;
+    total++;
+  });
+
+  let eceSum = 0;
+  const table = buckets
+    .filter((b) => b.count > 0)
+    .map((b) => {
+      const avgConfidence = b.confidenceSum / b.count;
+      const accuracy = (b.correct / b.count) * 100;
+      eceSum += (b.count / total) * Math.abs(avgConfidence - accuracy);
+      return {
+        range: b.range,
+        count: b.count,
+        avgConfidence: round(avgConfidence),
+        accuracy: round(accuracy),
+        gap: round(avgConfidence - accuracy),
+      };
+    });
+
+  return {
+    evaluated: total,
+    expectedCalibrationError: total > 0 ? round(eceSum) : null,
+    buckets: table,
+  };
+}
+
+/**
+ * Full evaluation of a set of records
+ * @param {Array} records - Evaluation records
+ * @returns {Object} { evaluated, fields, calibration }
+ */
+function evaluate(records) {
+  return {
+    evaluated: records.length,
+    fields: {
+      sentiment: evaluateSingleLabel(records, 'sentiment'),
+      urgency: evaluateSingleLabel(records, 'urgency'),
+      categories: evaluateCategories(records),
+    },
+    calibration: evaluateCalibration(records),
+  };
+}
+
+/**
+ * Evaluates each group of records separately
+ * @param {Array} records - Evaluation records
+ * @param {string} key - Record property to group by (aiModel, serviceType)
+ * @returns {Array} [{ [key], ...evaluation }] largest group first
+ */
+function evaluateBy(records, key) {
+  const groups = {};
+  records.forEach((r) => {
+    const value = r[key] || 'unknown';
+    if (!groups[value]) groups[value] = [];
+    groups[value].push(r);
+  });
+
+  return Object.keys(groups)
+    .map((value) => ({ [key]: value, ...evaluate(groups[value]) }))
+    .sort((a, b) => b.evaluated - a.evaluated);
+}
+
+module.exports = {
+  evaluate,
+  evaluateBy,
+};
@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ANALYSIS PROMPT - Shared by every LLM provider
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SYSTEM_PROMPT =
+  'You are a sentiment analysis expert for banking feedback. You provide detailed, accurate analysis in JSON format. You understand Nigerian banking context and customer concerns.';
+
+/**
+ * Builds the user prompt sent to the LLM
+ * @param {string} feedbackText - The customer's feedback comment
+ * @param {number} rating - The rating given (1-5)
+ * @param {string} serviceType - Type of service (Mobile App, ATM, etc.)
+ * @returns {string} Prompt text
+ */
+function buildAnalysisPrompt(feedbackText, rating, serviceType = '') {
+  return `You are an expert sentiment analyst for a Nigerian banking institution. Analyze this customer feedback and provide a comprehensive analysis.
+
+CUSTOMER FEEDBACK:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Comment: "${feedbackText}"
+Rating: ${rating}/5 stars
+Service Type: ${serviceType || 'Not specified'}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Analyze this feedback and provide a JSON response with the following structure:
+
+{
+  "sentiment": "positive" | "neutral" | "negative",
+  "sentimentScore": <number 0-100>,
+  "categories": [<array of 1-3 categories>],
+  "emotions": [<array of 1-3 emotions>],
+  "urgency": "low" | "medium" | "high" | "critical",
+  "actionableInsights": "<specific recommendation>",
+  "confidenceScore": <number 0-100>
+}
+
+FIELD DEFINITIONS:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+1. sentiment: Overall sentiment
+   - "positive": Customer is satisfied, praising service
+   - "neutral": Mixed feelings or factual statement
+   - "negative": Customer is dissatisfied, complaining
+
+2. sentimentScore: Numeric sentiment (0-100)
+   - 0-30: Very negative (angry, extremely dissatisfied)
+   - 31-50: Negative (disappointed, unsatisfied)
+   - 51-60: Neutral (mixed feelings, no strong opinion)
+   - 61-80: Positive (satisfied, happy)
+   - 81-100: Very positive (extremely satisfied, delighted)
+
+3. categories: Choose 1-3 most relevant from:
+   - "service_quality": Overall service experience
+   - "wait_time": Queue or response time issues
+   - "staff_behavior": Employee interaction (helpful/rude)
+   - "product_features": Banking product functionality
+   - "pricing": Fees, charges, costs
+   - "technical_issues": App/website/system problems
+   - "security_concerns": Safety, fraud, account security
+   - "user_experience": Interface, ease of use
+   - "account_management": Account-related operations
+   - "transaction_issues": Payments, transfers, deposits
+
+4. emotions: Choose 1-3 most prominent from:
+   - "satisfied": Content with service
+   - "frustrated": Annoyed by problems
+   - "angry": Very upset or mad
+   - "happy": Pleased and joyful
+   - "disappointed": Let down by service
+   - "confused": Unclear or uncertain
+   - "impressed": Positively surprised
+   - "anxious": Worried or nervous
+   - "grateful": Thankful for service
+   - "concerned": Worried about issue
+   - "excited": Enthusiastic about feature
+   - "worried": Fearful about problem
+
+5. urgency: Priority level
+   - "critical": System down, security breach, account locked (respond <1 hour)
+   - "high": Major issue affecting service, very angry customer (respond <24 hours)
+   - "medium": General complaint, needs attention (respond <5 days)
+   - "low": Suggestion, praise, minor issue (respond <14 days)
+
+6. actionableInsights: Specific, brief recommendation (max 150 words)
+   - Be specific about which team/department should act
+   - Mention the exact issue to address
+   - If multiple customers mention same issue, note it
+   - For positive feedback, suggest what to continue/expand
+   - Example: "Technical team should investigate mobile app login issues on Android devices. Consider rolling back recent update."
+
+7. confidenceScore: Your confidence in this analysis (0-100)
+   - Consider clarity of feedback, amount of information provided
+
+IMPORTANT: Respond ONLY with valid JSON. No markdown, no explanation, just the JSON object.`;
+}
+
+/**
+ * Parses the JSON body of an LLM reply, tolerating markdown code fences
+ * @param {string} responseText - Raw text returned by the model
+ * @returns {Object} Parsed analysis
+ */
+function parseAnalysisJson(responseText) {
+  const cleanJson = responseText.replace(/```json\n?|```\n?/g, '').trim();
+  return JSON.parse(cleanJson);
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  buildAnalysisPrompt,
+  parseAnalysisJson,
+};
@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ANTHROPIC PROVIDER - Claude
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { SYSTEM_PROMPT, buildAnalysisPrompt, parseAnalysisJson } = require('./analysisPrompt');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * Creates the Anthropic provider. The client is built on first use so that a
+ * missing ANTHROPIC_API_KEY only matters when this provider actually runs.
+ * @param {Object} options - { model, apiKey, temperature, maxTokens }
+ * @returns {Object} Provider { name, model, analyze }
+ */
+function createAnthropicProvider(options = {}) {
+  const model = options.model || DEFAULT_MODEL;
+  let client;
+
+  async function analyze(feedbackText, rating, serviceType = '') {
+    if (!client) {
+      client = new Anthropic({ apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY });
+    }
+
+    const message = await client.messages.create({
+      model,
+      system: SYSTEM_PROMPT,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      messages: [{ role: 'user', content: buildAnalysisPrompt(feedbackText, rating, serviceType) }],
+    });
+
+    const textBlock = message.content.find((block) => block.type === 'text');
+    if (!textBlock) throw new Error('Claude returned no text content');
+
+    return parseAnalysisJson(textBlock.text);
+  }
+
+  return { name: 'anthropic', model, analyze };
+}
+
+module.exports = createAnthropicProvider;
@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// AI PROVIDER REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+// Maps a provider name (AI_PROVIDER) to a factory. Every provider exposes:
+//   { name, model, analyze(feedbackText, rating, serviceType) }
+// where analyze resolves to the raw analysis object described in
+// analysisPrompt.js. Validation happens in sentimentAnalysisService.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const createOpenAIProvider = require('./openaiProvider');
+const createAnthropicProvider = require('./anthropicProvider');
+const createLocalProvider = require('./localProvider');
+
+const factories = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  local: createLocalProvider,
+};
+
+// Instances are cached per name so LLM clients are only created once
+const instances = {};
+
+/**
+ * Registers an extra provider factory (e.g. a stub in a test environment)
+ * @param {string} name - Provider name used in AI_PROVIDER
+ * @param {Function} factory - (options) => provider
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Returns the configured provider instance for a name
+ * @param {string} name - Provider name (openai, anthropic, local)
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown AI provider "${name}". Available: ${Object.keys(factories).join(', ')}`);
+  }
+
+  if (!instances[name]) {
+    // AI_MODEL only applies to the primary provider, never to the fallback
+    const isPrimary = name === getPrimaryProviderName();
+
+    instances[name] = factories[name]({
+      model: isPrimary ? process.env.AI_MODEL : undefined,
+      temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.3,
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 1000,
+    });
+  }
+
+  return instances[name];
+}
+
+function getPrimaryProviderName() {
+  return (process.env.AI_PROVIDER || 'openai').toLowerCase();
+}
+
+function getFallbackProviderName() {
+  return (process.env.AI_FALLBACK_PROVIDER || 'local').toLowerCase();
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getPrimaryProviderName,
+  getFallbackProviderName,
+  availableProviders: () => Object.keys(factories),
+};
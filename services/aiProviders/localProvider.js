@@ -0,0 +1,98 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCAL PROVIDER - Deterministic keyword rules (no network)
+// ═══════════════════════════════════════════════════════════════════════════
+// Used as the fallback when an LLM call fails, and as the primary provider
+// in test or offline environments (AI_PROVIDER=local).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_MODEL = 'local-rules-v1';
+
+/**
+ * Simple rule-based analysis based on rating and keywords
+ * @param {string} feedbackText - The feedback text
+ * @param {number} rating - The rating (1-5)
+ * @returns {Object} Analysis
+ */
+function getFallbackAnalysis(feedbackText, rating) {
+  const text = feedbackText.toLowerCase();
+
+  // Determine sentiment from rating
+  let sentiment = 'neutral';
+  let sentimentScore = 50;
+
+  if (rating >= 4) {
+    sentiment = 'positive';
+    sentimentScore = rating * 20; // 4->80, 5->100
+  } else if (rating <= 2) {
+    sentiment = 'negative';
+    sentimentScore = rating * 20; // 1->20, 2->40
+  } else {
+    sentiment = 'neutral';
+    sentimentScore = 60;
+  }
+
+  // Detect categories based on keywords
+  const categories = [];
+  if (text.includes('app') || text.includes('website') || text.includes('online')) {
+    categories.push('technical_issues');
+  }
+  if (text.includes('staff') || text.includes('rude') || text.includes('helpful')) {
+    categories.push('staff_behavior');
+  }
+  if (text.includes('wait') || text.includes('queue') || text.includes('slow')) {
+    categories.push('wait_time');
+  }
+  if (text.includes('atm') || text.includes('transaction') || text.includes('transfer')) {
+    categories.push('transaction_issues');
+  }
+  if (categories.length === 0) {
+    categories.push('service_quality');
+  }
+
+  // Detect emotions based on keywords
+  const emotions = [];
+  if (text.includes('frustrat') || text.includes('annoying')) emotions.push('frustrated');
+  if (text.includes('angry') || text.includes('upset')) emotions.push('angry');
+  if (text.includes('happy') || text.includes('great')) emotions.push('happy');
+  if (text.includes('satisfied') || text.includes('good')) emotions.push('satisfied');
+  if (text.includes('disappoint')) emotions.push('disappointed');
+  if (emotions.length === 0) {
+    emotions.push(rating >= 4 ? 'satisfied' : 'disappointed');
+  }
+
+  // Determine urgency
+  let urgency = 'low';
+  if (rating === 1 || text.includes('urgent') || text.includes('immediately')) {
+    urgency = 'high';
+  } else if (rating === 2) {
+    urgency = 'medium';
+  }
+
+  return {
+    sentiment,
+    sentimentScore,
+    categories: categories.slice(0, 3),
+    emotions: emotions.slice(0, 3),
+    urgency,
+    actionableInsights: `Review this ${sentiment} feedback regarding ${categories[0]}. Customer rated ${rating}/5 stars.`,
+    confidenceScore: 60, // Lower confidence for rule-based analysis
+  };
+}
+
+/**
+ * Creates the local rule-based provider
+ * @param {Object} options - { model }
+ * @returns {Object} Provider { name, model, analyze }
+ */
+function createLocalProvider(options = {}) {
+  const model = options.model || DEFAULT_MODEL;
+
+  async function analyze(feedbackText, rating) {
+    return getFallbackAnalysis(feedbackText, rating);
+  }
+
+  return { name: 'local', model, analyze };
+}
+
+module.exports = createLocalProvider;
+module.exports.getFallbackAnalysis = getFallbackAnalysis;
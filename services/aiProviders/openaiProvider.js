@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OPENAI PROVIDER - GPT-4o (default)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const OpenAI = require('openai');
+const { SYSTEM_PROMPT, buildAnalysisPrompt, parseAnalysisJson } = require('./analysisPrompt');
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+/**
+ * Creates the OpenAI provider. The client is built on first use so that a
+ * missing OPENAI_API_KEY only matters when this provider actually runs.
+ * @param {Object} options - { model, apiKey, temperature, maxTokens }
+ * @returns {Object} Provider { name, model, analyze }
+ */
+function createOpenAIProvider(options = {}) {
+  const model = options.model || DEFAULT_MODEL;
+  let client;
+
+  async function analyze(feedbackText, rating, serviceType = '') {
+    if (!client) {
+      client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    }
+
+    const completion = await client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildAnalysisPrompt(feedbackText, rating, serviceType) },
+      ],
+      response_format: { type: 'json_object' },
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+    });
+
+    return parseAnalysisJson(completion.choices[0].message.content);
+  }
+
+  return { name: 'openai', model, analyze };
+}
+
+module.exports = createOpenAIProvider;
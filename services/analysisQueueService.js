@@ -0,0 +1,294 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ANALYSIS QUEUE SERVICE - Background AI analysis of submitted feedback
+// ═══════════════════════════════════════════════════════════════════════════
+// createFeedback saves the feedback immediately and enqueues a job here.
+// A single in-process worker polls MongoDB for due jobs and fills in
+// sentiment, categories, emotions, urgency and insights afterwards.
+//
+// - Jobs are claimed atomically (findOneAndUpdate) so several app instances
+//   can run workers against the same collection
+// - Failed attempts are retried with exponential backoff
+// - The final attempt is allowed to use the fallback provider; if even that
+//   fails the job is dead-lettered and the feedback marked analysisStatus=failed
+// - Jobs stuck in "processing" (crashed worker) are requeued after a timeout
+//
+// Configuration:
+// - ANALYSIS_WORKER_POLL_MS: idle poll interval (default 2000)
+// - ANALYSIS_MAX_ATTEMPTS: attempts before dead-lettering (default 5)
+// - ANALYSIS_RETRY_BASE_MS: first retry delay, doubled each time (default 5000)
+// - ANALYSIS_LOCK_TIMEOUT_MS: age after which a processing job is requeued
+//   (default 300000)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const os = require('os');
+const AnalysisJob = require('./../models/analysisJobModel');
+const Feedback = require('./../models/feedbackModel');
+const { analyzeFeedbackSentiment } = require('./sentimentAnalysisService');
+const { dispatchEvent } = require('./webhookService');
+const { notifyUrgentFeedback } = require('./notificationService');
+const { checkRatingSentiment } = require('./fraudDetectionService');
+const { assignToCluster } = require('./issueClusteringService');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const config = () => ({
+  pollInterval: parseInt(process.env.ANALYSIS_WORKER_POLL_MS) || 2000,
+  maxAttempts: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5,
+  retryBase: parseInt(process.env.ANALYSIS_RETRY_BASE_MS) || 5000,
+  lockTimeout: parseInt(process.env.ANALYSIS_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+});
+
+let timer = null;
+let running = false;
+
+/**
+ * Queues a feedback for background analysis
+ * @param {ObjectId|string} feedbackId - Feedback to analyze
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueAnalysis(feedbackId) {
+  return AnalysisJob.create({
+    feedback: feedbackId,
+    maxAttempts: config().maxAttempts,
+  });
+}
+
+/**
+ * Delay before the next attempt: retryBase * 2^(attempts - 1)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function getBackoffDelay(attempts) {
+  return config().retryBase * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Atomically claims the next due job
+ * @returns {Promise<Object|null>} Claimed job or null if the queue is idle
+ */
+async function claimNextJob() {
+  return AnalysisJob.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() } },
+    {
+      $set: { status: 'processing', lockedAt: new Date(), lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Puts jobs whose worker died mid-analysis back in the queue
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function requeueStaleJobs() {
+  const result = await AnalysisJob.updateMany(
+    {
+      status: 'processing',
+      lockedAt: { $lt: new Date(Date.now() - config().lockTimeout) },
+    },
+    { $set: { status: 'queued', runAt: new Date() }, $unset: { lockedAt: 1, lockedBy: 1 } }
+  );
+  return result.nModified || 0;
+}
+
+/**
+ * Runs the analysis for one claimed job and records the outcome
+ * @param {Object} job - Claimed AnalysisJob document
+ */
+async function processJob(job) {
+  const feedback = await Feedback.findById(job.feedback);
+
+  // Deleted or closed since it was queued: nothing left to analyze
+  if (!feedback) {
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = 'Feedback no longer exists or is closed';
+    await job.save();
+    return;
+  }
+
+  try {
+    feedback.analysisStatus = 'processing';
+    await feedback.save();
+
+    const isLastAttempt = job.attempts >= job.maxAttempts;
+    const aiAnalysis = await analyzeFeedbackSentiment(
+      feedback.comment,
+      feedback.rating,
+      feedback.serviceType,
+      { fallback: isLastAttempt }
+    );
+
+    feedback.applyAnalysis(aiAnalysis);
+    checkRatingSentiment(feedback);
+    feedback.analysisStatus = 'done';
+    await feedback.save();
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+
+    console.log(`✅ Analysis job done for ${feedback.referenceNumber} (${aiAnalysis.aiProvider}/${aiAnalysis.aiModel})`);
+  } catch (err) {
+    await recordFailure(job, feedback, err);
+    return;
+  }
+
+  // The job is complete from here on: a failing side effect is logged, never
+  // retried, or the analysis would run and alert again
+  try {
+    await assignToCluster(feedback);
+  } catch (err) {
+    console.error(`⚠️  Could not cluster ${feedback.referenceNumber}:`, err.message);
+  }
+
+  // Check if urgent action needed
+  if (feedback.isUrgent || feedback.needsImmediateAction) {
+    console.log('🚨 ALERT: High-priority feedback detected!');
+    console.log(`   Reference: ${feedback.referenceNumber}`);
+    console.log(`   Urgency: ${feedback.urgency}`);
+
+    try {
+      await dispatchEvent('feedback.urgent', feedback);
+    } catch (err) {
+      console.error(`⚠️  Could not queue the feedback.urgent webhook for ${feedback.referenceNumber}:`, err.message);
+    }
+    try {
+      await notifyUrgentFeedback(feedback);
+    } catch (err) {
+      console.error(`⚠️  Could not notify staff about ${feedback.referenceNumber}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Schedules a retry with backoff, or dead-letters the job when out of attempts
+ * @param {Object} job - AnalysisJob document
+ * @param {Object} feedback - Feedback document
+ * @param {Error} err - Failure cause
+ */
+async function recordFailure(job, feedback, err) {
+  const isDead = job.attempts >= job.maxAttempts;
+
+  job.lastError = err.message;
+  job.failures.push({ attempt: job.attempts, error: err.message });
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+
+  if (isDead) {
+    job.status = 'dead';
+    console.error(`☠️  Analysis job ${job._id} dead-lettered after ${job.attempts} attempts:`, err.message);
+  } else {
+    const delay = getBackoffDelay(job.attempts);
+    job.status = 'queued';
+    job.runAt = new Date(Date.now() + delay);
+    console.error(`⚠️  Analysis job ${job._id} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, err.message);
+  }
+  await job.save();
+
+  await Feedback.updateOne(
+    { _id: feedback._id },
+    { analysisStatus: isDead ? 'failed' : 'queued' }
+  );
+}
+
+/**
+ * Processes due jobs until the queue is empty, then waits for the next poll
+ */
+async function tick() {
+  if (!running) return;
+
+  try {
+    await requeueStaleJobs();
+
+    let job = await claimNextJob();
+    while (job && running) {
+      await processJob(job);
+      job = await claimNextJob();
+    }
+  } catch (err) {
+    console.error('❌ Analysis worker error:', err.message);
+  }
+
+  if (running) timer = setTimeout(tick, config().pollInterval);
+}
+
+/**
+ * Starts the in-process worker loop (call once the DB is connected)
+ */
+function startWorker() {
+  if (running) return;
+  running = true;
+  console.log(`🧵 Analysis worker started (${WORKER_ID})`);
+  tick();
+}
+
+/**
+ * Stops the worker loop after the current job finishes
+ */
+function stopWorker() {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Queue depth and dead-lettered jobs for the operations endpoint
+ * @param {Object} options - { limit } number of dead jobs to return
+ * @returns {Promise<Object>} Stats
+ */
+async function getQueueStats({ limit = 20 } = {}) {
+  const [counts, oldestQueued, deadJobs] = await Promise.all([
+    AnalysisJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    AnalysisJob.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('createdAt'),
+    AnalysisJob.find({ status: 'dead' })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate({ path: 'feedback', select: 'referenceNumber serviceType createdAt' }),
+  ]);
+
+  const byStatus = { queued: 0, processing: 0, completed: 0, dead: 0 };
+  counts.forEach((c) => {
+    byStatus[c._id] = c.count;
+  });
+
+  return {
+    depth: byStatus.queued + byStatus.processing,
+    byStatus,
+    oldestQueuedAgeSeconds: oldestQueued
+      ? Math.round((Date.now() - oldestQueued.createdAt) / 1000)
+      : 0,
+    workerRunning: running,
+    deadJobs,
+  };
+}
+
+/**
+ * Moves a dead-lettered job back into the queue with a fresh set of attempts
+ * @param {string} jobId - AnalysisJob id
+ * @returns {Promise<Object|null>} Requeued job, or null if not dead/not found
+ */
+async function retryDeadJob(jobId) {
+  const job = await AnalysisJob.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date() } },
+    { new: true }
+  );
+
+  if (job) await Feedback.updateOne({ _id: job.feedback }, { analysisStatus: 'queued' });
+  return job;
+}
+
+module.exports = {
+  enqueueAnalysis,
+  processJob,
+  startWorker,
+  stopWorker,
+  getQueueStats,
+  retryDeadJob,
+  getBackoffDelay,
+};
@@ -0,0 +1,334 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ANOMALY DETECTION SERVICE - Spikes in negative feedback
+// ═══════════════════════════════════════════════════════════════════════════
+// A scheduled in-process job compares the latest window (ANOMALY_WINDOW_HOURS)
+// of every serviceType, branch and category with the same-length windows of
+// the previous ANOMALY_BASELINE_DAYS:
+//
+// - negative_count: negative feedback in the window vs the baseline mean,
+//   z = (observed - mean) / max(stdDev, sqrt(mean), 1)
+// - negative_rate: share of negative feedback vs the pooled baseline share
+//   (binomial z-score)
+//
+// A z-score at or above ANOMALY_Z_THRESHOLD with at least ANOMALY_MIN_COUNT
+// negative feedbacks is recorded as an AnomalyEvent; severity grows with z
+// (threshold: low, +1 medium, +2 high, +4 critical). A spike that persists
+// across runs updates its open event instead of creating a new one, and
+// events whose window has passed are resolved automatically. Suspicious
+// feedback is left out so a spam burst does not read as a real spike.
+//
+// Staff whose notification preferences cover the branch/service type are
+// alerted once an event reaches ANOMALY_NOTIFY_SEVERITY (and again if it
+// escalates).
+//
+// Configuration:
+// - ANOMALY_CHECK_INTERVAL_MS: how often to scan (default 3600000 = 1 hour)
+// - ANOMALY_WINDOW_HOURS (default 24), ANOMALY_BASELINE_DAYS (default 28)
+// - ANOMALY_Z_THRESHOLD (default 3), ANOMALY_MIN_COUNT (default 5)
+// - ANOMALY_NOTIFY_SEVERITY: low | medium | high (default) | critical | none
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const AnomalyEvent = require('./../models/anomalyEventModel');
+const { buildTrustFilter } = require('./../utils/trustFilter');
+const { findRecipients, sendToRecipients } = require('./notificationService');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const DIMENSION_LABELS = { serviceType: 'Service', branch: 'Branch', category: 'Category' };
+const METRIC_LABELS = { negative_count: 'negative feedback', negative_rate: 'negative feedback share' };
+
+const config = () => ({
+  interval: parseInt(process.env.ANOMALY_CHECK_INTERVAL_MS) || 60 * 60 * 1000,
+  windowMs: (parseFloat(process.env.ANOMALY_WINDOW_HOURS) || 24) * 60 * 60 * 1000,
+  baselineDays: parseInt(process.env.ANOMALY_BASELINE_DAYS) || 28,
+  zThreshold: parseFloat(process.env.ANOMALY_Z_THRESHOLD) || 3,
+  minCount: parseInt(process.env.ANOMALY_MIN_COUNT) || 5,
+  notifySeverity: (process.env.ANOMALY_NOTIFY_SEVERITY || 'high').toLowerCase(),
+});
+
+let timer = null;
+let cycleRunning = false;
+
+const round = (value, places = 2) => parseFloat(value.toFixed(places));
+
+/**
+ * Severity for a z-score
+ * @param {number} z - z-score
+ * @returns {string|null} null below the threshold
+ */
+function severityFor(z) {
+  const { zThreshold } = config();
+  if (z >= zThreshold + 4) return 'critical';
+  if (z >= zThreshold + 2) return 'high';
+  if (z >= zThreshold + 1) return 'medium';
+  if (z >= zThreshold) return 'low';
+  return null;
+}
+
+/**
+ * Checks one slice's window counts for spikes
+ * @param {Array<number>} totals - Feedback per window, oldest first; the last is the current window
+ * @param {Array<number>} negatives - Negative feedback per window, same order
+ * @returns {Array} [{ metric, observed, baselineMean, baselineStdDev, zScore, ratio, severity }]
+ */
+function detectInSeries(totals, negatives) {
+  const { minCount } = config();
+  const baselineNeg = negatives.slice(0, -1);
+  const baselineTotal = totals.slice(0, -1);
+  const observed = negatives[negatives.length - 1];
+  const currentTotal = totals[totals.length - 1];
+  const findings = [];
+
+  if (observed < minCount || baselineNeg.length === 0) return findings;
+
+  // Negative count against its own history (Poisson floor for sparse slices)
+  const mean = baselineNeg.reduce((a, b) => a + b, 0) / baselineNeg.length;
+  const stdDev = Math.sqrt(baselineNeg.reduce((sum, n) => sum + (n - mean) * (n - mean), 0) / baselineNeg.length);
+  const countZ = (observed - mean) / Math.max(stdDev, Math.sqrt(mean), 1);
+  const countSeverity = severityFor(countZ);
+  if (countSeverity) {
+    findings.push({
+      metric: 'negative_count',
+      observed,
+      baselineMean: round(mean),
+      baselineStdDev: round(stdDev),
+      zScore: round(countZ),
+      ratio: mean > 0 ? round(observed / mean) : null,
+      severity: countSeverity,
+      feedbackCount: currentTotal,
+    });
+  }
+
+  // Negative share, only with enough history to know the usual share
+  const pooledTotal = baselineTotal.reduce((a, b) => a + b, 0);
+  if (pooledTotal >= 20) {
+    const p = Math.min(Math.max(baselineNeg.reduce((a, b) => a + b, 0) / pooledTotal, 0.01), 0.99);
+    const rate = observed / currentTotal;
+    const rateZ = (rate - p) / Math.sqrt((p * (1 - p)) / currentTotal);
+    const rateSeverity = severityFor(rateZ);
+    if (rateSeverity) {
+      findings.push({
+        metric: 'negative_rate',
+        observed: round(rate * 100, 1),
+        baselineMean: round(p * 100, 1),
+        baselineStdDev: round(Math.sqrt((p * (1 - p)) / currentTotal) * 100, 1),
+        zScore: round(rateZ),
+        ratio: round(rate / p),
+        severity: rateSeverity,
+        feedbackCount: currentTotal,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Feedback and negative counts per window for every slice
+ * @param {Date} start - Start of the oldest window
+ * @param {Date} end - End of the current window
+ * @param {number} windowCount - Windows between start and end
+ * @returns {Promise<Array>} [{ dimension, value, totals, negatives }]
+ */
+async function loadSeries(start, end, windowCount) {
+  const { windowMs } = config();
+  const group = (field) => ({
+    $group: {
+      _id: { value: field, window: '$window' },
+      total: { $sum: 1 },
+      negative: { $sum: '$isNegative' },
+    },
+  });
+
+  const [facets] = await Feedback.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: start, $lt: end },
+        ...buildTrustFilter({ excludeSuspicious: 'true' }).match,
+      },
+    },
+    {
+      $addFields: {
+        window: { $floor: { $divide: [{ $subtract: ['$createdAt', start] }, windowMs] } },
+        isNegative: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] },
+      },
+    },
+    {
+      $facet: {
+        serviceType: [{ $match: { serviceType: { $nin: [null, ''] } } }, group('$serviceType')],
+        branch: [{ $match: { branch: { $nin: [null, ''] } } }, group('$branch')],
+        category: [{ $unwind: '$categories' }, group('$categories')],
+      },
+    },
+  ]).option({ includeClosed: true });
+
+  const series = [];
+  Object.keys(facets).forEach((dimension) => {
+    const byValue = new Map();
+    facets[dimension].forEach((row) => {
+      if (!byValue.has(row._id.value)) {
+        byValue.set(row._id.value, {
+          dimension,
+          value: row._id.value,
+          totals: new Array(windowCount).fill(0),
+          negatives: new Array(windowCount).fill(0),
+        });
+      }
+      const entry = byValue.get(row._id.value);
+      entry.totals[row._id.window] = row.total;
+      entry.negatives[row._id.window] = row.negative;
+    });
+    series.push(...byValue.values());
+  });
+  return series;
+}
+
+/**
+ * Alerts staff about an event that reached the notification severity
+ * @param {Object} event - AnomalyEvent document
+ */
+async function notifyAnomaly(event) {
+  const { notifySeverity } = config();
+  if (!SEVERITY_RANK[notifySeverity] || SEVERITY_RANK[event.severity] < SEVERITY_RANK[notifySeverity]) return;
+  if (event.notifiedSeverity && SEVERITY_RANK[event.severity] <= SEVERITY_RANK[event.notifiedSeverity]) return;
+
+  try {
+    const recipients = await findRecipients({
+      branch: event.dimension === 'branch' ? event.value : undefined,
+      serviceType: event.dimension === 'serviceType' ? event.value : undefined,
+    });
+    const isRate = event.metric === 'negative_rate';
+
+    await sendToRecipients({
+      template: 'anomaly_detected',
+      recipients,
+      dedupeKey: `anomaly:${event._id}:${event.severity}`,
+      vars: {
+        severityLabel: event.severity.toUpperCase(),
+        metricLabel: METRIC_LABELS[event.metric],
+        dimensionLabel: DIMENSION_LABELS[event.dimension],
+        value: event.value,
+        windowStart: event.windowStart.toUTCString(),
+        windowEnd: event.windowEnd.toUTCString(),
+        observed: isRate ? `${event.observed}%` : event.observed,
+        baselineMean: isRate ? `${event.baselineMean}%` : event.baselineMean,
+        zScore: event.zScore,
+        ratio: event.ratio === null ? 'n/a' : event.ratio,
+        feedbackCount: event.feedbackCount,
+      },
+    });
+
+    event.notifiedSeverity = event.severity;
+    await event.save();
+  } catch (err) {
+    console.error(`❌ Could not send anomaly alert for ${event.value}:`, err.message);
+  }
+}
+
+/**
+ * Records a finding, extending the open event for the same slice if the
+ * spike is still going on
+ * @param {Object} slice - { dimension, value }
+ * @param {Object} finding - From detectInSeries
+ * @param {Date} windowStart - Current window start
+ * @param {Date} windowEnd - Current window end
+ * @returns {Promise<Object>} { event, created }
+ */
+async function recordFinding(slice, finding, windowStart, windowEnd) {
+  const existing = await AnomalyEvent.findOne({
+    dimension: slice.dimension,
+    value: slice.value,
+    metric: finding.metric,
+    status: { $ne: 'resolved' },
+    windowEnd: { $gte: windowStart },
+  }).sort({ windowEnd: -1 });
+
+  if (!existing) {
+    const event = await AnomalyEvent.create({ ...slice, ...finding, windowStart, windowEnd });
+    return { event, created: true };
+  }
+
+  // Keep the peak severity and stats of a continuing spike
+  const escalated = SEVERITY_RANK[finding.severity] > SEVERITY_RANK[existing.severity];
+  if (escalated || finding.zScore >= existing.zScore) Object.assign(existing, finding);
+  existing.windowEnd = windowEnd;
+  await existing.save();
+  return { event: existing, created: false };
+}
+
+/**
+ * One scan over all slices
+ * @returns {Promise<Object>} { checked, detected, created, resolved }
+ */
+async function runAnomalyDetection() {
+  const summary = { checked: 0, detected: 0, created: 0, resolved: 0 };
+  if (cycleRunning) return summary;
+  cycleRunning = true;
+
+  try {
+    const { windowMs, baselineDays } = config();
+    const HOUR = 60 * 60 * 1000;
+    // Align to the hour so consecutive runs compare the same windows
+    const end = new Date(Math.floor(Date.now() / HOUR) * HOUR);
+    const baselineWindows = Math.max(1, Math.floor((baselineDays * 24 * HOUR) / windowMs));
+    const windowCount = baselineWindows + 1;
+    const start = new Date(end.getTime() - windowCount * windowMs);
+    const windowStart = new Date(end.getTime() - windowMs);
+
+    const series = await loadSeries(start, end, windowCount);
+    summary.checked = series.length;
+
+    for (const slice of series) {
+      const findings = detectInSeries(slice.totals, slice.negatives);
+      for (const finding of findings) {
+        const { event, created } = await recordFinding(
+          { dimension: slice.dimension, value: slice.value },
+          finding,
+          windowStart,
+          end
+        );
+        summary.detected++;
+        if (created) summary.created++;
+        await notifyAnomaly(event);
+      }
+    }
+
+    // Spikes whose window has fully passed without recurring
+    const resolved = await AnomalyEvent.updateMany(
+      { status: { $in: ['open', 'acknowledged'] }, windowEnd: { $lt: windowStart } },
+      { $set: { status: 'resolved', updatedAt: new Date() } }
+    );
+    summary.resolved = resolved.nModified || 0;
+  } finally {
+    cycleRunning = false;
+  }
+
+  if (summary.detected || summary.resolved) {
+    console.log(`📈 Anomaly scan: ${summary.detected} spikes (${summary.created} new), ${summary.resolved} resolved`);
+  }
+  return summary;
+}
+
+/**
+ * Starts the scheduled anomaly scan (call once the DB is connected)
+ */
+function startAnomalyMonitor() {
+  if (timer) return;
+  timer = setInterval(() => {
+    runAnomalyDetection().catch((err) => console.error('❌ Anomaly monitor error:', err.message));
+  }, config().interval);
+  console.log(`📈 Anomaly monitor started (every ${Math.round(config().interval / 1000)}s)`);
+}
+
+function stopAnomalyMonitor() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  detectInSeries,
+  runAnomalyDetection,
+  startAnomalyMonitor,
+  stopAnomalyMonitor,
+};
@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATE DETECTION SERVICE - Near-duplicate clusters and campaigns
+// ═══════════════════════════════════════════════════════════════════════════
+// New submissions are checked one by one in fraudDetectionService. This scan
+// runs over a whole time window (scripts/detectDuplicates.js, no API needed)
+// and catches what the per-submission check cannot:
+//
+// - clusters whose members arrived before their bands existed, or that only
+//   connect through a third comment
+// - bursts: CAMPAIGN_MIN_SIZE or more near-identical comments within
+//   CAMPAIGN_WINDOW_HOURS, flagged coordinated_campaign
+//
+// The earliest feedback of a cluster is its canonical original; every other
+// member gets duplicateOf = canonical and the duplicate_text flag.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const { bandKeys, cluster, similarity } = require('./../utils/minHash');
+const { recordSignal } = require('./fraudDetectionService');
+
+const config = () => ({
+  threshold: parseFloat(process.env.FRAUD_DUPLICATE_SIMILARITY) || 0.8,
+  campaignMinSize: parseInt(process.env.CAMPAIGN_MIN_SIZE) || 5,
+  campaignWindowMs: (parseInt(process.env.CAMPAIGN_WINDOW_HOURS) || 24) * 60 * 60 * 1000,
+});
+
+// Fields the scan reads or writes; slaDueAt/urgency keep the save hook from
+// recomputing the SLA of a partially loaded document
+const SCAN_FIELDS =
+  'referenceNumber comment branch createdAt urgency slaDueAt duplicateOf duplicateSimilarity ' +
+  'fraudFlags trustScore authenticityScore verificationStatus submissionMetadata +similarityBands';
+
+/**
+ * Largest set of members that arrived within the campaign window
+ * @param {Array} members - Feedback documents sorted by createdAt
+ * @returns {Array} Members of the densest burst
+ */
+function densestBurst(members) {
+  const { campaignWindowMs } = config();
+  let best = [];
+  let start = 0;
+
+  for (let end = 0; end < members.length; end++) {
+    while (members[end].createdAt - members[start].createdAt > campaignWindowMs) start++;
+    if (end - start + 1 > best.length) best = members.slice(start, end + 1);
+  }
+  return best;
+}
+
+/**
+ * Clusters the feedback of a time window and links/flag duplicates
+ * @param {Object} options - { days = 30, rebuild = false, dryRun = false }
+ * @returns {Promise<Object>} Scan summary
+ */
+async function runDuplicateScan({ days = 30, rebuild = false, dryRun = false } = {}) {
+  const { threshold, campaignMinSize, campaignWindowMs } = config();
+
+  // Closed feedback is part of the clusters too
+  const feedbacks = await Feedback.find({
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    comment: { $exists: true, $ne: '' },
+  })
+    .setOptions({ includeClosed: true })
+    .sort({ createdAt: 1 })
+    .select(SCAN_FIELDS);
+
+  const summary = { scanned: feedbacks.length, bandsRebuilt: 0, clusters: 0, duplicatesLinked: 0, campaigns: 0, campaignMembers: 0 };
+  const changed = new Set();
+
+  feedbacks.forEach((feedback) => {
+    if (rebuild || !feedback.similarityBands || feedback.similarityBands.length === 0) {
+      feedback.similarityBands = bandKeys(feedback.comment);
+      summary.bandsRebuilt++;
+      changed.add(feedback);
+    }
+  });
+
+  const groups = cluster(
+    feedbacks.map((feedback) => ({ id: feedback._id, text: feedback.comment, bands: feedback.similarityBands, feedback })),
+    threshold
+  );
+
+  groups.forEach((group) => {
+    // Input was sorted by createdAt, so group order is chronological
+    const members = group.map((item) => item.feedback);
+    const canonical = members[0];
+    summary.clusters++;
+
+    members.slice(1).forEach((member) => {
+      const score = parseFloat(similarity(canonical.comment, member.comment).toFixed(3));
+      if (String(member.duplicateOf) !== String(canonical._id)) {
+        member.duplicateOf = canonical._id;
+        member.duplicateSimilarity = score;
+        recordSignal(member, {
+          flag: 'duplicate_text',
+          detail: `${Math.round(score * 100)}% similar to ${canonical.referenceNumber}`,
+          relatedFeedback: canonical._id,
+        });
+        summary.duplicatesLinked++;
+        changed.add(member);
+      }
+    });
+
+    const burst = densestBurst(members);
+    if (burst.length >= campaignMinSize) {
+      const branches = [...new Set(burst.map((m) => m.branch).filter(Boolean))];
+      const detail =
+        `${burst.length} near-identical comments within ${Math.round(campaignWindowMs / 3600000)}h` +
+        (branches.length ? ` (${branches.join(', ')})` : '');
+
+      summary.campaigns++;
+      burst.forEach((member) => {
+        if (!(member.fraudFlags || []).includes('coordinated_campaign')) {
+          recordSignal(member, { flag: 'coordinated_campaign', detail, relatedFeedback: canonical._id });
+          summary.campaignMembers++;
+          changed.add(member);
+        }
+      });
+    }
+  });
+
+  if (!dryRun) {
+    for (const feedback of changed) {
+      await feedback.save({ validateModifiedOnly: true });
+    }
+  }
+
+  summary.updated = dryRun ? 0 : changed.size;
+  return summary;
+}
+
+module.exports = {
+  runDuplicateScan,
+};
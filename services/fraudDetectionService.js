@@ -0,0 +1,287 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// FRAUD DETECTION SERVICE - Trust scoring for public submissions
+// ═══════════════════════════════════════════════════════════════════════════
+// createFeedback runs screenSubmission() before saving. Each check that fires
+// adds a fraudFlag and a penalty:
+//
+// - velocity_ip / velocity_device / velocity_email / velocity_phone: too many
+//   submissions from the same source within FRAUD_VELOCITY_WINDOW_MINUTES
+// - duplicate_text: comment nearly identical to a recent submission (MinHash,
+//   see utils/minHash); the feedback is linked to the original via duplicateOf
+// - coordinated_campaign: part of a burst of near-identical comments (set by
+//   the offline scan in duplicateDetectionService)
+// - disposable_email: throwaway email domain
+// - rating_sentiment_mismatch: star rating contradicts the analyzed sentiment
+//   (checked by the analysis worker once sentiment is known)
+//
+// trustScore = 100 - all penalties (+ FRAUD_VERIFIED_BONUS once the phone is
+// verified); authenticityScore = 100 - penalties of the content checks only
+// (duplicate text, campaign, rating/sentiment mismatch). A feedback that is not
+// verified is marked verificationStatus=suspicious while its trustScore is below
+// FRAUD_SUSPICIOUS_THRESHOLD, so analytics can exclude it, and goes back to
+// unverified when it rises above it again.
+//
+// The signals behind the scores are kept in submissionMetadata.fraudSignals
+// so the scores can be recomputed when a later check adds one.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const { bandKeys, shingles, similarity } = require('./../utils/minHash');
+
+const PENALTIES = {
+  velocity_ip: 25,
+  velocity_device: 30,
+  velocity_email: 25,
+  velocity_phone: 25,
+  duplicate_text: 35,
+  coordinated_campaign: 30,
+  disposable_email: 20,
+  rating_sentiment_mismatch: 15,
+};
+
+const CONTENT_FLAGS = ['duplicate_text', 'coordinated_campaign', 'rating_sentiment_mismatch'];
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  'mailinator.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'sharklasers.com',
+  '10minutemail.com',
+  'tempmail.com',
+  'temp-mail.org',
+  'throwawaymail.com',
+  'yopmail.com',
+  'getnada.com',
+  'trashmail.com',
+  'dispostable.com',
+  'maildrop.cc',
+  'fakeinbox.com',
+  'mintemail.com',
+  'mohmal.com',
+  'emailondeck.com',
+  'spamgourmet.com',
+];
+
+const config = () => ({
+  velocityWindowMs: (parseInt(process.env.FRAUD_VELOCITY_WINDOW_MINUTES) || 60) * 60 * 1000,
+  velocityLimits: {
+    ipAddress: parseInt(process.env.FRAUD_MAX_PER_IP) || 5,
+    deviceFingerprint: parseInt(process.env.FRAUD_MAX_PER_DEVICE) || 3,
+    email: parseInt(process.env.FRAUD_MAX_PER_EMAIL) || 3,
+    phone: parseInt(process.env.FRAUD_MAX_PER_PHONE) || 3,
+  },
+  duplicateWindowMs: (parseInt(process.env.FRAUD_DUPLICATE_WINDOW_DAYS) || 7) * 24 * 60 * 60 * 1000,
+  duplicateThreshold: parseFloat(process.env.FRAUD_DUPLICATE_SIMILARITY) || 0.8,
+  suspiciousThreshold: parseInt(process.env.FRAUD_SUSPICIOUS_THRESHOLD) || 50,
+  verifiedBonus: parseInt(process.env.FRAUD_VERIFIED_BONUS) || 30,
+  extraDisposableDomains: (process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+    .split(',')
+    .map((d) => d.trim().toLowerCase())
+    .filter(Boolean),
+});
+
+const VELOCITY_FLAGS = {
+  ipAddress: 'velocity_ip',
+  deviceFingerprint: 'velocity_device',
+  email: 'velocity_email',
+  phone: 'velocity_phone',
+};
+
+/**
+ * Submissions from the same source within the velocity window
+ * @param {Object} feedback - Unsaved feedback document
+ * @returns {Promise<Array>} Signals
+ */
+async function checkVelocity(feedback) {
+  const { velocityWindowMs, velocityLimits } = config();
+  const since = new Date(Date.now() - velocityWindowMs);
+  const signals = [];
+
+  for (const field of Object.keys(VELOCITY_FLAGS)) {
+    const value = feedback[field];
+    if (!value) continue;
+
+    // +1 for the submission being screened; closed feedback counts too
+    const count = (await Feedback.countDocuments({ [field]: value, createdAt: { $gte: since } })) + 1;
+    if (count > velocityLimits[field]) {
+      signals.push({
+        flag: VELOCITY_FLAGS[field],
+        detail: `${count} submissions in ${Math.round(velocityWindowMs / 60000)} minutes`,
+      });
+    }
+  }
+
+  return signals;
+}
+
+/**
+ * Near-identical comment among recent submissions. Candidates share an LSH
+ * band with the comment; the closest one above the threshold is the match,
+ * and the feedback is linked to the original of its cluster.
+ * @param {Object} feedback - Unsaved feedback document
+ * @returns {Promise<Array>} Signals
+ */
+async function checkDuplicateText(feedback) {
+  const { duplicateWindowMs, duplicateThreshold } = config();
+  const bands = bandKeys(feedback.comment);
+  if (bands.length === 0) return [];
+
+  const candidates = await Feedback.find({
+    similarityBands: { $in: bands },
+    createdAt: { $gte: new Date(Date.now() - duplicateWindowMs) },
+  })
+    .setOptions({ includeClosed: true })
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .select('comment referenceNumber duplicateOf');
+
+  const own = shingles(feedback.comment);
+  let best = null;
+  candidates.forEach((other) => {
+    const score = similarity(own, other.comment);
+    if (score >= duplicateThreshold && (!best || score > best.score)) best = { other, score };
+  });
+
+  if (!best) return [];
+
+  feedback.duplicateOf = best.other.duplicateOf || best.other._id;
+  feedback.duplicateSimilarity = parseFloat(best.score.toFixed(3));
+
+  return [
+    {
+      flag: 'duplicate_text',
+      detail: `${Math.round(best.score * 100)}% similar to ${best.other.referenceNumber}`,
+      relatedFeedback: best.other._id,
+    },
+  ];
+}
+
+/**
+ * Throwaway email domain
+ * @param {Object} feedback - Unsaved feedback document
+ * @returns {Array} Signals
+ */
+function checkDisposableEmail(feedback) {
+  if (!feedback.email) return [];
+  const domain = feedback.email.split('@').pop().toLowerCase();
+  const domains = DISPOSABLE_EMAIL_DOMAINS.concat(config().extraDisposableDomains);
+  const disposable = domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+  return disposable ? [{ flag: 'disposable_email', detail: domain }] : [];
+}
+
+/**
+ * Recomputes fraudFlags, trustScore, authenticityScore and verificationStatus
+ * from the signals recorded on a feedback
+ * @param {Object} feedback - Feedback document
+ * @param {Array} signals - All signals for the feedback
+ */
+function applySignals(feedback, signals) {
+  const penalty = (list) => list.reduce((sum, s) => sum + (PENALTIES[s.flag] || 0), 0);
+  const verified = ['verified', 'phone_verified'].includes(feedback.verificationStatus);
+
+  feedback.fraudFlags = [...new Set(signals.map((s) => s.flag))];
+  feedback.trustScore = Math.min(100, Math.max(0, 100 - penalty(signals) + (verified ? config().verifiedBonus : 0)));
+  feedback.authenticityScore = Math.max(0, 100 - penalty(signals.filter((s) => CONTENT_FLAGS.includes(s.flag))));
+
+  feedback.submissionMetadata = { ...(feedback.submissionMetadata || {}), fraudSignals: signals };
+  feedback.markModified('submissionMetadata');
+
+  // Worked out again every time, so a feedback stops being suspicious once
+  // the signals that made it so are cleared. Verified statuses are kept.
+  if (!verified) {
+    feedback.verificationStatus = feedback.trustScore < config().suspiciousThreshold ? 'suspicious' : 'unverified';
+  }
+}
+
+/**
+ * Runs the submission-time checks on a new feedback and sets its scores.
+ * Never throws: a failing check must not block a genuine customer.
+ * @param {Object} feedback - Unsaved feedback document
+ * @returns {Promise<Array>} Signals found
+ */
+async function screenSubmission(feedback) {
+  let signals = [];
+
+  try {
+    const results = await Promise.all([
+      checkVelocity(feedback),
+      checkDuplicateText(feedback),
+      checkDisposableEmail(feedback),
+    ]);
+    signals = results.flat();
+  } catch (err) {
+    console.error('⚠️  Fraud screening failed, feedback accepted unscored:', err.message);
+    return [];
+  }
+
+  signals.forEach((s) => {
+    s.checkedAt = new Date();
+  });
+  applySignals(feedback, signals);
+
+  if (signals.length > 0) {
+    console.log(`🕵️  Fraud signals: ${feedback.fraudFlags.join(', ')} (trust ${feedback.trustScore})`);
+  }
+  return signals;
+}
+
+/**
+ * Flags a star rating that contradicts the analyzed sentiment (e.g. 5 stars
+ * with a clearly negative comment). Call after analysis, before saving.
+ * @param {Object} feedback - Analyzed feedback document
+ * @returns {boolean} Whether the mismatch flag is now set
+ */
+function checkRatingSentiment(feedback) {
+  const mismatch =
+    (feedback.rating >= 4 && feedback.sentiment === 'negative') ||
+    (feedback.rating <= 2 && feedback.sentiment === 'positive');
+
+  if (mismatch) {
+    recordSignal(feedback, {
+      flag: 'rating_sentiment_mismatch',
+      detail: `${feedback.rating}-star rating with ${feedback.sentiment} sentiment`,
+    });
+  } else {
+    clearSignal(feedback, 'rating_sentiment_mismatch');
+  }
+  return mismatch;
+}
+
+/**
+ * Adds (or replaces) one signal on a feedback and recomputes its scores
+ * @param {Object} feedback - Feedback document (saved by the caller)
+ * @param {Object} signal - { flag, detail, relatedFeedback }
+ */
+function recordSignal(feedback, signal) {
+  const signals = ((feedback.submissionMetadata || {}).fraudSignals || []).filter((s) => s.flag !== signal.flag);
+  signals.push({ ...signal, checkedAt: new Date() });
+  applySignals(feedback, signals);
+}
+
+/**
+ * Removes a signal from a feedback and recomputes its scores
+ * @param {Object} feedback - Feedback document (saved by the caller)
+ * @param {string} flag - Flag to clear
+ */
+function clearSignal(feedback, flag) {
+  applySignals(feedback, ((feedback.submissionMetadata || {}).fraudSignals || []).filter((s) => s.flag !== flag));
+}
+
+/**
+ * Marks a feedback's phone as verified and raises its trust score. Lifts a
+ * suspicious status, since the submitter proved they own the number.
+ * @param {Object} feedback - Feedback document (saved by the caller)
+ */
+function markPhoneVerified(feedback) {
+  if (feedback.verificationStatus !== 'verified') feedback.verificationStatus = 'phone_verified';
+  applySignals(feedback, (feedback.submissionMetadata || {}).fraudSignals || []);
+}
+
+module.exports = {
+  screenSubmission,
+  checkRatingSentiment,
+  recordSignal,
+  markPhoneVerified,
+  PENALTIES,
+  DISPOSABLE_EMAIL_DOMAINS,
+};
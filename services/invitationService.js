@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// INVITATION SERVICE - Invitation-only onboarding of staff
+// ═══════════════════════════════════════════════════════════════════════════
+// Accounts are no longer created by public sign-up. A user with users:manage
+// invites an email address with a role (and branch scope); the invitee gets
+// a link with a one-time token and sets their own password.
+//
+// - Tokens are 32 random bytes; only their SHA-256 hash is stored
+// - An invitation expires after INVITATION_TTL_HOURS (default 72)
+// - Inviting the same email again replaces its pending invitation
+// - Nobody can invite into a role with permissions they don't have
+//
+// The link is APP_URL/accept-invitation?token=... (APP_URL defaults to
+// http://localhost:3000). Errors carry a statusCode for the controller.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const Invitation = require('./../models/invitationModel');
+const User = require('./../models/userModel');
+const { getEmailTransport } = require('./transports');
+const { render } = require('./notificationTemplates');
+const { roleExists, canGrantRole } = require('./permissionService');
+
+const config = () => ({
+  ttlMs: (parseInt(process.env.INVITATION_TTL_HOURS) || 72) * 60 * 60 * 1000,
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+});
+
+const invitationError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Invites an email address to create an account
+ * @param {Object} details - { email, name, role, branches, serviceTypes }
+ * @param {Object} inviter - User sending the invitation
+ * @returns {Promise<Object>} The pending invitation
+ */
+async function createInvitation({ email, name, role, branches, serviceTypes }, inviter) {
+  const { ttlMs, appUrl } = config();
+
+  if (!email) throw invitationError('Please provide the email address to invite', 400);
+  if (!role || !(await roleExists(role))) throw invitationError(`Unknown role: ${role}`, 400);
+  if (!(await canGrantRole(inviter.role, role))) {
+    throw invitationError(`You cannot invite users into the ${role} role`, 403);
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+  if (await User.exists({ email: normalizedEmail })) {
+    throw invitationError('A user with that email already exists', 409);
+  }
+
+  // One pending invitation per address
+  await Invitation.updateMany(
+    { email: normalizedEmail, status: 'pending' },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    name,
+    role,
+    branches,
+    serviceTypes,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    invitedBy: inviter._id,
+  });
+  await invitation.validate();
+
+  const message = render('user_invitation', 'email', {
+    recipientName: name || normalizedEmail,
+    inviterName: inviter.name,
+    role,
+    link: `${appUrl}/accept-invitation?token=${token}`,
+    expiresAt: invitation.expiresAt.toUTCString(),
+  });
+  await getEmailTransport().send({ to: normalizedEmail, subject: message.subject, text: message.text });
+  await invitation.save();
+
+  return invitation;
+}
+
+/**
+ * Creates the account for a valid invitation token
+ * @param {string} token - Token from the invitation link
+ * @param {Object} details - { name, password, passwordConfirm, phone }
+ * @returns {Promise<Object>} The new user
+ */
+async function acceptInvitation(token, { name, password, passwordConfirm, phone }) {
+  if (!token) throw invitationError('Invitation token is missing', 400);
+
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+  if (!invitation || invitation.status !== 'pending') {
+    throw invitationError('This invitation is invalid or has already been used', 400);
+  }
+  if (invitation.expiresAt < new Date()) {
+    throw invitationError('This invitation has expired. Ask for a new one', 400);
+  }
+
+  const user = await User.create({
+    name: name || invitation.name,
+    email: invitation.email,
+    password,
+    passwordConfirm,
+    phone,
+    role: invitation.role,
+    branches: invitation.branches,
+    serviceTypes: invitation.serviceTypes,
+    invitedBy: invitation.invitedBy,
+  });
+
+  invitation.status = 'accepted';
+  invitation.acceptedAt = new Date();
+  invitation.user = user._id;
+  await invitation.save();
+
+  return user;
+}
+
+/**
+ * Withdraws a pending invitation
+ * @param {string} id - Invitation id
+ * @returns {Promise<Object>} The revoked invitation
+ */
+async function revokeInvitation(id) {
+  const invitation = await Invitation.findById(id);
+  if (!invitation) throw invitationError('No invitation found with that ID', 404);
+  if (invitation.status !== 'pending') {
+    throw invitationError(`This invitation has already been ${invitation.status}`, 400);
+  }
+
+  invitation.status = 'revoked';
+  invitation.revokedAt = new Date();
+  await invitation.save();
+  return invitation;
+}
+
+module.exports = {
+  createInvitation,
+  acceptInvitation,
+  revokeInvitation,
+};
@@ -0,0 +1,490 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ISSUE CLUSTERING SERVICE - Groups related feedback into named issues
+// ═══════════════════════════════════════════════════════════════════════════
+// The fixed categories say *what kind* of problem a feedback is about; issue
+// clusters say *which* problem ("android app login loop" vs "ussd timeout").
+//
+// - Each comment becomes a term vector (stemmed words and two-word phrases, stop
+//   words removed, log-scaled and normalized)
+// - After analysis, a feedback joins the most similar active cluster of its
+//   primary category (cosine >= ISSUE_SIMILARITY_THRESHOLD against the
+//   cluster centroid) or starts a new one
+// - Clusters are named from their strongest terms until staff rename them
+// - Staff can merge clusters and split feedback out into a new one; feedback
+//   placed that way is never moved by the automatic assignment again
+//
+// Errors thrown for bad requests carry a statusCode for the controller.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const IssueCluster = require('./../models/issueClusterModel');
+
+const config = () => ({
+  threshold: parseFloat(process.env.ISSUE_SIMILARITY_THRESHOLD) || 0.3,
+  maxAgeDays: parseInt(process.env.ISSUE_CLUSTER_MAX_AGE_DAYS) || 90,
+});
+
+const CENTROID_TERMS = 40;
+
+const STOP_WORDS = new Set(
+  (
+    'a about above after again against all am an and any are as at be because been before being below between both ' +
+    'but by can could did do does doing down during each few for from further had has have having he her here hers ' +
+    'him his how i if in into is it its itself just me more most my no nor not now of off on once only or other our ' +
+    'out over own same she should so some such than that the their them then there these they this those through to ' +
+    'too under until up very was we were what when where which while who whom why will with would you your yours ' +
+    'also get got still even really please thank thanks sir madam hello hi since already yet ever never one two ' +
+    'bank customer customers service services time today yesterday day days week ago since dont didnt cant wont im ive'
+  ).split(' ')
+);
+
+const issueError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Light suffix stripping (Porter step 1) so "transferring", "transferred"
+ * and "transfers" all count as "transfer"
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  let w = word;
+  if (w.length > 5 && w.endsWith('ing')) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith('ed')) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+  else return w;
+
+  if (/([^aeiouslz])\1$/.test(w)) return w.slice(0, -1); // transferr -> transfer
+  if (/(at|bl|iz)$/.test(w)) return `${w}e`; // updat -> update
+  return w;
+}
+
+/**
+ * Content words of a text, stemmed
+ * @param {string} text - Comment
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem)
+    .filter((w) => !STOP_WORDS.has(w));
+}
+
+/**
+ * Normalized term vector: words and adjacent-word phrases, log-scaled
+ * @param {string} text - Comment
+ * @returns {Object} { term: weight }
+ */
+function termVector(text) {
+  const words = tokenize(text);
+  const counts = {};
+  words.forEach((w, i) => {
+    counts[w] = (counts[w] || 0) + 1;
+    if (i > 0) {
+      const phrase = `${words[i - 1]} ${w}`;
+      counts[phrase] = (counts[phrase] || 0) + 1.5;
+    }
+  });
+
+  const vector = {};
+  let norm = 0;
+  Object.keys(counts).forEach((term) => {
+    vector[term] = 1 + Math.log(counts[term]);
+    norm += vector[term] * vector[term];
+  });
+  norm = Math.sqrt(norm);
+  Object.keys(vector).forEach((term) => {
+    vector[term] /= norm;
+  });
+  return vector;
+}
+
+/**
+ * Cosine similarity of two term vectors
+ * @returns {number} 0-1
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  Object.keys(a).forEach((term) => {
+    normA += a[term] * a[term];
+    if (b[term]) dot += a[term] * b[term];
+  });
+  Object.keys(b).forEach((term) => {
+    normB += b[term] * b[term];
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Keeps the strongest terms so centroids stay small
+function prune(vector) {
+  const pruned = {};
+  Object.keys(vector)
+    .sort((x, y) => vector[y] - vector[x])
+    .slice(0, CENTROID_TERMS)
+    .forEach((term) => {
+      pruned[term] = parseFloat(vector[term].toFixed(4));
+    });
+  return pruned;
+}
+
+/**
+ * Average of a set of vectors
+ * @param {Array<Object>} vectors - Term vectors
+ * @returns {Object} Pruned centroid
+ */
+function averageVectors(vectors) {
+  const sum = {};
+  vectors.forEach((v) => {
+    Object.keys(v).forEach((term) => {
+      sum[term] = (sum[term] || 0) + v[term] / vectors.length;
+    });
+  });
+  return prune(sum);
+}
+
+/**
+ * Top keywords of a centroid, phrases first when they are strong
+ * @param {Object} centroid - { term: weight }
+ * @returns {Array<string>} Up to 5 keywords
+ */
+function topKeywords(centroid) {
+  const terms = Object.keys(centroid).sort((x, y) => centroid[y] - centroid[x]);
+  const keywords = [];
+  terms.forEach((term) => {
+    if (keywords.length >= 5) return;
+    // Skip a word already covered by a chosen phrase (and vice versa)
+    const overlaps = keywords.some((k) => k.split(' ').some((w) => term.split(' ').includes(w)));
+    if (!overlaps) keywords.push(term);
+  });
+  return keywords;
+}
+
+/**
+ * Readable name from keywords, e.g. "Login loop / android app"
+ * @param {Array<string>} keywords - Cluster keywords
+ * @param {string} category - Cluster category
+ * @returns {string}
+ */
+function nameFromKeywords(keywords, category) {
+  if (keywords.length === 0) return `Other ${category.replace(/_/g, ' ')}`;
+  const name = keywords.slice(0, 3).join(' / ');
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+const primaryCategory = (feedback) => (feedback.categories && feedback.categories[0]) || 'general';
+
+/**
+ * Refreshes keywords and (unless renamed by staff) the name of a cluster
+ * @param {Object} cluster - IssueCluster document
+ */
+function refreshLabels(cluster) {
+  cluster.keywords = topKeywords(cluster.centroid || {});
+  if (cluster.nameSource === 'auto') cluster.name = nameFromKeywords(cluster.keywords, cluster.category);
+}
+
+/**
+ * Rebuilds a cluster's centroid, counts and dates from its members
+ * @param {ObjectId} clusterId - IssueCluster id
+ * @returns {Promise<Object|null>} Updated cluster
+ */
+async function recomputeCluster(clusterId) {
+  const cluster = await IssueCluster.findById(clusterId);
+  if (!cluster) return null;
+
+  const members = await Feedback.find({ issueCluster: cluster._id })
+    .setOptions({ includeClosed: true })
+    .sort({ createdAt: 1 })
+    .select('comment createdAt');
+
+  cluster.feedbackCount = members.length;
+  cluster.centroid = members.length ? averageVectors(members.map((m) => termVector(m.comment))) : {};
+  cluster.firstSeenAt = members.length ? members[0].createdAt : undefined;
+  cluster.lastSeenAt = members.length ? members[members.length - 1].createdAt : undefined;
+  refreshLabels(cluster);
+  cluster.markModified('centroid');
+  await cluster.save();
+  return cluster;
+}
+
+/**
+ * Puts an analyzed feedback into the best matching issue cluster of its
+ * primary category, or starts a new cluster. Never throws: clustering must
+ * not fail the analysis that triggered it.
+ * @param {Object} feedback - Analyzed feedback document
+ * @returns {Promise<Object|null>} The cluster, or null if skipped/failed
+ */
+async function assignToCluster(feedback) {
+  try {
+    if (feedback.issueClusterManual || !feedback.comment) return null;
+
+    const { threshold, maxAgeDays } = config();
+    const category = primaryCategory(feedback);
+    const vector = termVector(feedback.comment);
+    if (Object.keys(vector).length === 0) return null;
+
+    // Still a good fit for its current cluster: nothing to do
+    if (feedback.issueCluster) {
+      const current = await IssueCluster.findById(feedback.issueCluster);
+      if (current && current.status === 'active' && current.category === category && cosine(vector, current.centroid) >= threshold) {
+        return current;
+      }
+    }
+    const previousCluster = feedback.issueCluster;
+
+    const candidates = await IssueCluster.find({
+      category,
+      status: 'active',
+      lastSeenAt: { $gte: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) },
+    })
+      .sort({ lastSeenAt: -1 })
+      .limit(300);
+
+    let best = null;
+    candidates.forEach((cluster) => {
+      const score = cosine(vector, cluster.centroid || {});
+      if (score >= threshold && (!best || score > best.score)) best = { cluster, score };
+    });
+
+    let cluster;
+    if (best) {
+      cluster = best.cluster;
+      const n = cluster.feedbackCount;
+      const merged = { ...cluster.centroid };
+      Object.keys(merged).forEach((term) => {
+        merged[term] = (merged[term] * n) / (n + 1);
+      });
+      Object.keys(vector).forEach((term) => {
+        merged[term] = (merged[term] || 0) + vector[term] / (n + 1);
+      });
+      cluster.centroid = prune(merged);
+      cluster.markModified('centroid');
+      cluster.feedbackCount = n + 1;
+    } else {
+      cluster = new IssueCluster({
+        category,
+        centroid: prune(vector),
+        feedbackCount: 1,
+        firstSeenAt: feedback.createdAt,
+      });
+    }
+
+    if (!cluster.lastSeenAt || feedback.createdAt > cluster.lastSeenAt) cluster.lastSeenAt = feedback.createdAt;
+    refreshLabels(cluster);
+    await cluster.save();
+
+    feedback.issueCluster = cluster._id;
+    await Feedback.updateOne({ _id: feedback._id }, { issueCluster: cluster._id });
+
+    if (previousCluster && String(previousCluster) !== String(cluster._id)) {
+      await recomputeCluster(previousCluster);
+    }
+
+    return cluster;
+  } catch (err) {
+    console.error(`❌ Could not cluster feedback ${feedback.referenceNumber}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Moves all feedback of the source clusters into the target
+ * @param {string} targetId - Cluster that remains
+ * @param {Array<string>} sourceIds - Clusters merged into it
+ * @returns {Promise<Object>} Updated target cluster
+ */
+async function mergeClusters(targetId, sourceIds) {
+  const ids = [...new Set((sourceIds || []).map(String))].filter((id) => id !== String(targetId));
+  if (ids.length === 0) throw issueError('Provide sourceIds: the clusters to merge into this one', 400);
+
+  const target = await IssueCluster.findById(targetId);
+  if (!target || target.status !== 'active') throw issueError('No active issue cluster found with that ID', 404);
+
+  const sources = await IssueCluster.find({ _id: { $in: ids }, status: 'active' });
+  if (sources.length !== ids.length) throw issueError('Some source clusters do not exist or were already merged', 400);
+
+  const otherCategory = sources.find((s) => s.category !== target.category);
+  if (otherCategory) {
+    throw issueError(`Only clusters of the same category can be merged (${otherCategory.category} vs ${target.category})`, 400);
+  }
+
+  await Feedback.updateMany(
+    { issueCluster: { $in: ids } },
+    { issueCluster: target._id, issueClusterManual: true }
+  );
+  await IssueCluster.updateMany(
+    { $or: [{ _id: { $in: ids } }, { mergedInto: { $in: ids } }] },
+    { status: 'merged', mergedInto: target._id, feedbackCount: 0 }
+  );
+
+  return recomputeCluster(target._id);
+}
+
+/**
+ * Moves some feedback out of a cluster into a new one
+ * @param {string} sourceId - Cluster to split
+ * @param {Array<string>} feedbackIds - Members to move
+ * @param {string} name - Optional name for the new cluster
+ * @returns {Promise<Object>} { source, cluster } both updated
+ */
+async function splitCluster(sourceId, feedbackIds, name) {
+  if (!Array.isArray(feedbackIds) || feedbackIds.length === 0) {
+    throw issueError('Provide feedbackIds: the feedback to move into the new cluster', 400);
+  }
+
+  const source = await IssueCluster.findById(sourceId);
+  if (!source || source.status !== 'active') throw issueError('No active issue cluster found with that ID', 404);
+
+  const moving = await Feedback.countDocuments({ _id: { $in: feedbackIds }, issueCluster: source._id });
+  if (moving === 0) throw issueError('None of those feedback belong to this cluster', 400);
+  if (moving === source.feedbackCount) throw issueError('A split must leave at least one feedback in the original cluster', 400);
+
+  const cluster = await IssueCluster.create({
+    category: source.category,
+    name: name && name.trim() ? name.trim() : undefined,
+    nameSource: name && name.trim() ? 'manual' : 'auto',
+  });
+
+  await Feedback.updateMany(
+    { _id: { $in: feedbackIds }, issueCluster: source._id },
+    { issueCluster: cluster._id, issueClusterManual: true }
+  );
+
+  return {
+    source: await recomputeCluster(source._id),
+    cluster: await recomputeCluster(cluster._id),
+  };
+}
+
+// Extra feedback conditions for a user's access scope (utils/accessScope)
+const scoped = (conditions, scope) => (scope ? { ...conditions, $and: [scope] } : conditions);
+
+/**
+ * Number of members per cluster, counting only feedback within a scope
+ * @param {Object} scope - Feedback conditions (scopeMatch)
+ * @returns {Promise<Map>} Cluster id (string) -> count
+ */
+async function countClusterMembers(scope) {
+  const counts = await Feedback.aggregate([
+    { $match: scoped({ issueCluster: { $exists: true, $ne: null } }, scope) },
+    { $group: { _id: '$issueCluster', count: { $sum: 1 } } },
+  ]).option({ includeClosed: true });
+  return new Map(counts.map((c) => [String(c._id), c.count]));
+}
+
+/**
+ * Whether any member of the clusters falls outside a scope
+ * @param {Array<string>} clusterIds - IssueCluster ids
+ * @param {Object} scope - Feedback conditions (scopeMatch)
+ * @returns {Promise<boolean>}
+ */
+async function hasMembersOutside(clusterIds, scope) {
+  return Feedback.exists({ issueCluster: { $in: clusterIds }, $nor: [scope] }, { includeClosed: true });
+}
+
+/**
+ * Clusters whose recent volume is new or well above their own baseline
+ * @param {Object} options - { days = 7, baselineDays = 28, category, minCount = 3, limit = 20, scope }
+ *   scope limits the counted feedback (scopeMatch)
+ * @returns {Promise<Array>} Emerging issues, fastest growing first
+ */
+async function getEmergingIssues({ days = 7, baselineDays = 28, category, minCount = 3, limit = 20, scope } = {}) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const recentStart = new Date(Date.now() - days * DAY);
+  const baselineStart = new Date(recentStart.getTime() - baselineDays * DAY);
+
+  const volumes = await Feedback.aggregate([
+    {
+      $match: scoped(
+        {
+          issueCluster: { $exists: true, $ne: null },
+          createdAt: { $gte: baselineStart },
+        },
+        scope
+      ),
+    },
+    {
+      $group: {
+        _id: '$issueCluster',
+        recent: { $sum: { $cond: [{ $gte: ['$createdAt', recentStart] }, 1, 0] } },
+        baseline: { $sum: { $cond: [{ $lt: ['$createdAt', recentStart] }, 1, 0] } },
+        negative: { $sum: { $cond: [{ $and: [{ $gte: ['$createdAt', recentStart] }, { $eq: ['$sentiment', 'negative'] }] }, 1, 0] } },
+      },
+    },
+    { $match: { recent: { $gte: minCount } } },
+  ]).option({ includeClosed: true });
+
+  const clusterFilter = { _id: { $in: volumes.map((v) => v._id) }, status: 'active' };
+  if (category) clusterFilter.category = category;
+  const clusters = new Map(
+    (await IssueCluster.find(clusterFilter).select('-centroid')).map((c) => [String(c._id), c])
+  );
+
+  return volumes
+    .filter((v) => clusters.has(String(v._id)))
+    .map((v) => {
+      const cluster = clusters.get(String(v._id));
+      const expected = (v.baseline / baselineDays) * days;
+      const isNew = cluster.firstSeenAt >= recentStart;
+      return {
+        cluster: { id: cluster._id, name: cluster.name, category: cluster.category, keywords: cluster.keywords, firstSeenAt: cluster.firstSeenAt },
+        recentCount: v.recent,
+        baselineCount: v.baseline,
+        expectedCount: parseFloat(expected.toFixed(1)),
+        // How many times the baseline rate ("new" issues have no baseline)
+        growth: expected > 0 ? parseFloat((v.recent / expected).toFixed(2)) : null,
+        negativePercentage: parseFloat(((v.negative / v.recent) * 100).toFixed(1)),
+        isNew,
+      };
+    })
+    .filter((issue) => issue.isNew || issue.growth === null || issue.growth >= 2)
+    .sort((a, b) => (b.growth === null ? Infinity : b.growth) - (a.growth === null ? Infinity : a.growth) || b.recentCount - a.recentCount)
+    .slice(0, limit);
+}
+
+/**
+ * Daily feedback volume of a cluster
+ * @param {ObjectId} clusterId - IssueCluster id
+ * @param {number} days - How far back
+ * @param {Object} scope - Optional feedback conditions (scopeMatch)
+ * @returns {Promise<Array>} [{ date, count, negative }]
+ */
+async function getClusterVolume(clusterId, days = 30, scope) {
+  return Feedback.aggregate([
+    {
+      $match: scoped(
+        {
+          issueCluster: clusterId,
+          createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+        },
+        scope
+      ),
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 },
+        negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } },
+      },
+    },
+    { $project: { _id: 0, date: '$_id', count: 1, negative: 1 } },
+    { $sort: { date: 1 } },
+  ]).option({ includeClosed: true });
+}
+
+module.exports = {
+  termVector,
+  cosine,
+  assignToCluster,
+  recomputeCluster,
+  mergeClusters,
+  splitCluster,
+  getEmergingIssues,
+  getClusterVolume,
+  countClusterMembers,
+  hasMembersOutside,
+};
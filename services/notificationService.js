@@ -0,0 +1,145 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTIFICATION SERVICE - Alerts staff about urgent feedback
+// ═══════════════════════════════════════════════════════════════════════════
+// Once analysis marks a feedback critical or needing immediate action, the
+// staff users whose notificationPreferences match its branch and service
+// type are alerted on each channel they enabled (email, sms), using the
+// templates in notificationTemplates.js and the transports configured in
+// services/transports. Every send is logged in the Notification collection,
+// which also prevents the same person being alerted twice for one event.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const User = require('./../models/userModel');
+const Notification = require('./../models/notificationModel');
+const { render } = require('./notificationTemplates');
+const { getEmailTransport, getSmsTransport } = require('./transports');
+const { inScope } = require('./../utils/accessScope');
+const { rolesWith } = require('./permissionService');
+
+/**
+ * Matches users whose preferences cover a value (empty list = everything)
+ * @param {string} field - Preference list path
+ * @param {string} value - Feedback value
+ * @returns {Object} MongoDB condition
+ */
+const preferenceCovers = (field, value) => ({
+  $or: [
+    { [field]: { $exists: false } },
+    { [field]: { $size: 0 } },
+    ...(value ? [{ [field]: value }] : []),
+  ],
+});
+
+/**
+ * Staff users who want alerts for a feedback's branch and service type and
+ * are allowed to see it (branch-admins only get their own branches)
+ * @param {Object} feedback - Feedback document (or { branch, serviceType })
+ * @returns {Promise<Array>} Users
+ */
+async function findRecipients(feedback) {
+  const users = await User.find({
+    role: { $in: await rolesWith('feedback:read') },
+    active: { $ne: false },
+    $and: [
+      preferenceCovers('notificationPreferences.branches', feedback.branch),
+      preferenceCovers('notificationPreferences.serviceTypes', feedback.serviceType),
+    ],
+  });
+  return users.filter((user) => inScope(user, feedback));
+}
+
+/**
+ * Sends a template to each recipient on every channel they enabled
+ * @param {Object} options - { template, recipients, vars, feedback, dedupeKey }
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+async function sendToRecipients({ template, recipients, vars, feedback, dedupeKey }) {
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const user of recipients) {
+    const prefs = user.notificationPreferences || {};
+    const channels = [];
+    if (prefs.email !== false && user.email) channels.push(['email', user.email]);
+    if (prefs.sms && user.phone) channels.push(['sms', user.phone]);
+
+    for (const [channel, to] of channels) {
+      if (dedupeKey) {
+        const already = await Notification.exists({ dedupeKey, recipient: user._id, channel, status: 'sent' });
+        if (already) {
+          counts.skipped++;
+          continue;
+        }
+      }
+
+      const transport = channel === 'email' ? getEmailTransport() : getSmsTransport();
+      const message = render(template, channel, { ...vars, recipientName: user.name });
+      const log = {
+        recipient: user._id,
+        channel,
+        transport: transport.name,
+        to,
+        template,
+        subject: message.subject,
+        body: message.text,
+        feedback: feedback && feedback._id,
+        dedupeKey,
+      };
+
+      try {
+        const result = await transport.send({ to, subject: message.subject, text: message.text });
+        await Notification.create({ ...log, status: 'sent', providerMessageId: result && result.id });
+        counts.sent++;
+      } catch (err) {
+        console.error(`❌ ${channel} notification to ${to} failed:`, err.message);
+        await Notification.create({ ...log, status: 'failed', error: err.message });
+        counts.failed++;
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Alerts the relevant staff when a feedback is critical or needs immediate
+ * action. Never throws: alerting must not fail the analysis that triggered it.
+ * @param {Object} feedback - Analyzed feedback document
+ * @returns {Promise<Object|null>} Send counts, or null if not urgent
+ */
+async function notifyUrgentFeedback(feedback) {
+  if (!(feedback.urgency === 'critical' || feedback.needsImmediateAction)) return null;
+
+  try {
+    const recipients = await findRecipients(feedback);
+    const counts = await sendToRecipients({
+      template: 'urgent_feedback',
+      recipients,
+      feedback,
+      dedupeKey: `urgent_feedback:${feedback._id}`,
+      vars: {
+        referenceNumber: feedback.referenceNumber,
+        urgency: feedback.urgency,
+        urgencyLabel: (feedback.urgency || '').toUpperCase(),
+        serviceType: feedback.serviceType || 'Unspecified service',
+        branch: feedback.branch || '',
+        rating: feedback.rating,
+        sentiment: feedback.sentiment,
+        comment: (feedback.comment || '').substring(0, 300),
+        actionableInsights: feedback.actionableInsights,
+        slaDueAt: feedback.slaDueAt ? feedback.slaDueAt.toUTCString() : 'N/A',
+      },
+    });
+
+    console.log(`📣 Urgent alert for ${feedback.referenceNumber}: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+    return counts;
+  } catch (err) {
+    console.error(`❌ Could not send urgent alerts for ${feedback.referenceNumber}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  findRecipients,
+  sendToRecipients,
+  notifyUrgentFeedback,
+};
@@ -0,0 +1,150 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTIFICATION TEMPLATES
+// ═══════════════════════════════════════════════════════════════════════════
+// Each template has an email and/or an sms variant. Placeholders use {{name}}
+// and are filled from the variables passed to render(); unknown
+// placeholders render as an empty string.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const templates = {
+  urgent_feedback: {
+    email: {
+      subject: '[{{urgencyLabel}}] {{serviceType}} feedback {{referenceNumber}} needs attention',
+      text: `Hello {{recipientName}},
+
+A {{urgency}}-urgency feedback needs immediate attention.
+
+Reference: {{referenceNumber}}
+Service: {{serviceType}}
+Branch: {{branch}}
+Rating: {{rating}}/5
+Sentiment: {{sentiment}}
+Respond by: {{slaDueAt}}
+
+Customer comment:
+"{{comment}}"
+
+AI recommendation:
+{{actionableInsights}}
+
+— FeedbackForge`,
+    },
+    sms: {
+      text: 'FeedbackForge {{urgencyLabel}}: {{serviceType}} {{branch}} feedback {{referenceNumber}} ({{rating}}/5). Respond by {{slaDueAt}}.',
+    },
+  },
+  anomaly_detected: {
+    email: {
+      subject: '[{{severityLabel}}] Spike in {{metricLabel}} for {{dimensionLabel}} "{{value}}"',
+      text: `Hello {{recipientName}},
+
+FeedbackForge detected an unusual spike in {{metricLabel}}.
+
+{{dimensionLabel}}: {{value}}
+Window: {{windowStart}} - {{windowEnd}}
+Observed: {{observed}}
+Usual for this window: {{baselineMean}}
+Deviation: {{zScore}} standard deviations ({{ratio}}x normal)
+Feedback in window: {{feedbackCount}}
+
+Review the anomaly under Analytics > Anomalies.
+
+— FeedbackForge`,
+    },
+    sms: {
+      text: 'FeedbackForge {{severityLabel}}: {{metricLabel}} spike for {{value}} ({{observed}} vs usual {{baselineMean}}).',
+    },
+  },
+  user_invitation: {
+    email: {
+      subject: '{{inviterName}} invited you to FeedbackForge',
+      text: `Hello {{recipientName}},
+
+{{inviterName}} invited you to join FeedbackForge as {{role}}.
+
+Set your password and activate your account here:
+{{link}}
+
+This link can be used once and expires on {{expiresAt}}. If you were not
+expecting this invitation, you can ignore this email.
+
+— FeedbackForge`,
+    },
+  },
+  password_reset: {
+    email: {
+      subject: 'Reset your FeedbackForge password',
+      text: `Hello {{recipientName}},
+
+Someone asked to reset the password of your FeedbackForge account. Choose a
+new password here:
+{{link}}
+
+This link can be used once and expires in {{minutes}} minutes. If you did not
+ask for it, you can ignore this email; your password stays the same.
+
+— FeedbackForge`,
+    },
+  },
+  password_changed: {
+    email: {
+      subject: 'Your FeedbackForge password was changed',
+      text: `Hello {{recipientName}},
+
+The password of your FeedbackForge account was changed on {{changedAt}}.
+
+If this wasn't you, reset your password straight away and tell an
+administrator.
+
+— FeedbackForge`,
+    },
+  },
+  phone_verification_code: {
+    sms: {
+      text: 'Your FeedbackForge verification code for feedback {{referenceNumber}} is {{code}}. It expires in {{minutes}} minutes. Do not share it with anyone.',
+    },
+  },
+};
+
+/**
+ * Replaces {{placeholders}} in a string
+ * @param {string} text - Template text
+ * @param {Object} vars - Values
+ * @returns {string} Rendered text
+ */
+function fill(text, vars) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? '' : String(vars[key])
+  );
+}
+
+/**
+ * Renders a template for a channel
+ * @param {string} name - Template name
+ * @param {string} channel - email | sms
+ * @param {Object} vars - Template variables
+ * @returns {Object} { subject, text }
+ */
+function render(name, channel, vars) {
+  const template = templates[name] && templates[name][channel];
+  if (!template) throw new Error(`No ${channel} template named "${name}"`);
+
+  return {
+    subject: template.subject ? fill(template.subject, vars) : undefined,
+    text: fill(template.text, vars),
+  };
+}
+
+/**
+ * Registers or replaces a template
+ * @param {string} name - Template name
+ * @param {Object} definition - { email: { subject, text }, sms: { text } }
+ */
+function registerTemplate(name, definition) {
+  templates[name] = definition;
+}
+
+module.exports = {
+  render,
+  registerTemplate,
+};
@@ -0,0 +1,195 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PASSWORD SERVICE - Login checks, lockout, reset and change of passwords
+// ═══════════════════════════════════════════════════════════════════════════
+// - LOGIN_MAX_ATTEMPTS (default 5) wrong passwords in a row lock the account
+//   for LOGIN_LOCK_MINUTES (default 15). A successful login or a password
+//   reset clears the count.
+// - A forgotten password is reset through an emailed one-time link,
+//   APP_URL/reset-password?token=... (EMAIL_TRANSPORT, see
+//   services/transports). Only a SHA-256 hash of the token is stored and it
+//   expires after PASSWORD_RESET_TTL_MINUTES (default 30).
+// - Setting a new password moves passwordChangedAt, which invalidates every
+//   token issued before it (see protect in authController).
+//
+// Errors carry a statusCode (and retryAfter seconds while locked) for the
+// controller to answer with.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const User = require('./../models/userModel');
+const { getEmailTransport } = require('./transports');
+const { render } = require('./notificationTemplates');
+
+const config = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000,
+  resetTtlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000,
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+});
+
+const passwordError = (message, statusCode, retryAfter) =>
+  Object.assign(new Error(message), { statusCode, retryAfter });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const lockedError = (lockUntil) => {
+  const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+  const minutes = Math.ceil(retryAfter / 60);
+  return passwordError(
+    `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    429,
+    retryAfter
+  );
+};
+
+/**
+ * Sends a security email without letting a delivery failure undo the change
+ * that triggered it
+ */
+async function sendSecurityEmail(user, template, vars) {
+  try {
+    const message = render(template, 'email', { recipientName: user.name, ...vars });
+    await getEmailTransport().send({ to: user.email, subject: message.subject, text: message.text });
+  } catch (err) {
+    console.error(`❌ Could not send ${template} email to ${user.email}:`, err.message);
+  }
+}
+
+/**
+ * Stores a new password; validation checks it against passwordConfirm
+ */
+async function setPassword(user, password, passwordConfirm) {
+  user.password = password;
+  user.passwordConfirm = passwordConfirm;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+
+  user.password = undefined;
+  await sendSecurityEmail(user, 'password_changed', { changedAt: new Date().toUTCString() });
+  return user;
+}
+
+/**
+ * Checks an email and password, counting failures towards a lockout
+ * @param {string} email - Login email
+ * @param {string} password - Plain password
+ * @returns {Promise<Object>} The user
+ */
+async function verifyLogin(email, password) {
+  const { maxAttempts, lockMs } = config();
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select(
+    '+password +failedLoginAttempts'
+  );
+  if (!user) throw passwordError('Incorrect email or password', 401);
+
+  // Locked accounts are refused before the password is even compared
+  if (user.lockUntil && user.lockUntil > Date.now()) throw lockedError(user.lockUntil);
+
+  if (!(await user.correctPassword(password, user.password))) {
+    // Counted atomically so parallel guesses can't slip past the limit
+    const { failedLoginAttempts } = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select('+failedLoginAttempts');
+
+    if (failedLoginAttempts >= maxAttempts) {
+      const lockUntil = new Date(Date.now() + lockMs);
+      await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil });
+      throw lockedError(lockUntil);
+    }
+    throw passwordError('Incorrect email or password', 401);
+  }
+
+  if (user.active === false) throw passwordError('This account has been deactivated.', 401);
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+  }
+
+  user.password = undefined;
+  user.failedLoginAttempts = undefined;
+  return user;
+}
+
+/**
+ * Emails a reset link to an active account. Says nothing about whether the
+ * email is registered.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const { resetTtlMs, appUrl } = config();
+
+  if (!email) throw passwordError('Please provide your email address', 400);
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || user.active === false) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  user.passwordResetToken = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + resetTtlMs);
+  await user.save({ validateModifiedOnly: true });
+
+  try {
+    const message = render('password_reset', 'email', {
+      recipientName: user.name,
+      link: `${appUrl}/reset-password?token=${token}`,
+      minutes: Math.round(resetTtlMs / 60000),
+    });
+    await getEmailTransport().send({ to: user.email, subject: message.subject, text: message.text });
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateModifiedOnly: true });
+    throw passwordError('There was an error sending the email. Try again later', 500);
+  }
+}
+
+/**
+ * Sets a new password from a reset link
+ * @param {string} token - Token from the reset link
+ * @param {Object} details - { password, passwordConfirm }
+ * @returns {Promise<Object>} The user
+ */
+async function resetPassword(token, { password, passwordConfirm }) {
+  if (!token) throw passwordError('Reset token is missing', 400);
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: Date.now() },
+  });
+  if (!user || user.active === false) {
+    throw passwordError('This reset link is invalid or has expired', 400);
+  }
+
+  return setPassword(user, password, passwordConfirm);
+}
+
+/**
+ * Changes the password of a signed-in user
+ * @param {ObjectId} userId - User id
+ * @param {Object} details - { passwordCurrent, password, passwordConfirm }
+ * @returns {Promise<Object>} The user
+ */
+async function changePassword(userId, { passwordCurrent, password, passwordConfirm }) {
+  const user = await User.findById(userId).select('+password');
+  if (!user) throw passwordError('The user belonging to this token does no longer exist.', 401);
+
+  if (!passwordCurrent || !(await user.correctPassword(passwordCurrent, user.password))) {
+    throw passwordError('Your current password is wrong', 401);
+  }
+
+  return setPassword(user, password, passwordConfirm);
+}
+
+module.exports = {
+  verifyLogin,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PERMISSION SERVICE - Role definitions stored in the database
+// ═══════════════════════════════════════════════════════════════════════════
+// Each role (Role collection) grants a list of permissions such as
+// feedback:read or analytics:view (Role.PERMISSIONS). The whole table is
+// small, so it is read once and cached for PERMISSION_CACHE_SECONDS
+// (default 60); edits through the role endpoints clear the cache at once.
+//
+// Built-in roles (Role.DEFAULT_ROLES) are created on startup if missing, and
+// stand in for a role that has no document yet so a fresh install is usable
+// before the seed runs.
+//
+// A role can also be scoped: its users only reach the feedback of their own
+// branches and service types (utils/accessScope.js).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Role = require('./../models/roleModel');
+
+const config = () => ({
+  cacheMs: (parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60) * 1000,
+});
+
+const toEntry = (role) => ({ permissions: new Set(role.permissions), scoped: Boolean(role.scoped) });
+
+let cache = null;
+// Last table loaded; unlike the cache it survives invalidation, so the
+// synchronous isScopedRole always has something to answer from
+let snapshot = new Map(Object.entries(Role.DEFAULT_ROLES).map(([name, role]) => [name, toEntry(role)]));
+
+/**
+ * Role name -> { permissions: Set, scoped }, from the cache when fresh
+ * @returns {Promise<Map>}
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < config().cacheMs) return cache.roles;
+
+  const roles = new Map(Object.entries(Role.DEFAULT_ROLES).map(([name, role]) => [name, toEntry(role)]));
+  const stored = await Role.find().select('name permissions scoped');
+  stored.forEach((role) => roles.set(role.name, toEntry(role)));
+
+  cache = { roles, loadedAt: Date.now() };
+  snapshot = roles;
+  return roles;
+}
+
+/**
+ * Forgets the cached table (call after a role is changed)
+ */
+function invalidatePermissions() {
+  cache = null;
+}
+
+/**
+ * Permissions granted to a role
+ * @param {string} roleName - Role name
+ * @returns {Promise<Set<string>>} Empty for an unknown role
+ */
+async function getRolePermissions(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName) ? roles.get(roleName).permissions : new Set();
+}
+
+/**
+ * Names of the roles that grant a permission
+ * @param {string} permission - e.g. feedback:respond
+ * @param {Object} options - { scoped: true|false } to keep only scoped or unscoped roles
+ * @returns {Promise<Array<string>>}
+ */
+async function rolesWith(permission, { scoped } = {}) {
+  const roles = await loadRoles();
+  return [...roles.entries()]
+    .filter(([, role]) => role.permissions.has(permission) && (scoped === undefined || role.scoped === scoped))
+    .map(([name]) => name);
+}
+
+/**
+ * Whether a role is limited to its users' branches and service types. Reads
+ * the last loaded table without waiting; every request has loaded it in
+ * requirePermission by the time scope is checked. Unknown roles count as
+ * scoped, so a role missing from the table never sees everything.
+ * @param {string} roleName - Role name
+ * @returns {boolean}
+ */
+function isScopedRole(roleName) {
+  const role = snapshot.get(roleName);
+  return role ? role.scoped : true;
+}
+
+/**
+ * Whether a role exists (stored or built in)
+ * @param {string} roleName - Role name
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+}
+
+/**
+ * Whether a user of one role may give another role to someone: only if the
+ * granted role has no permission the granting role lacks, and, for a scoped
+ * granter, only if the granted role is scoped too
+ * @param {string} granterRole - Role of the user granting
+ * @param {string} roleName - Role being granted
+ * @returns {Promise<boolean>}
+ */
+async function canGrantRole(granterRole, roleName) {
+  const roles = await loadRoles();
+  // Unknown roles have no permissions and count as scoped (see isScopedRole)
+  const unknown = { permissions: new Set(), scoped: true };
+  const granted = roles.get(roleName) || unknown;
+  const own = roles.get(granterRole) || unknown;
+  if (own.scoped && !granted.scoped) return false;
+  return [...granted.permissions].every((permission) => own.permissions.has(permission));
+}
+
+/**
+ * Creates the built-in roles that have no document yet. Existing roles are
+ * left as they are, so edits survive restarts.
+ * @returns {Promise<number>} Roles created
+ */
+async function seedDefaultRoles() {
+  let created = 0;
+  for (const [name, role] of Object.entries(Role.DEFAULT_ROLES)) {
+    const result = await Role.updateOne(
+      { name },
+      { $setOnInsert: { name, ...role, system: true, createdAt: new Date() } },
+      { upsert: true }
+    );
+    if (result.upserted && result.upserted.length) created++;
+
+    // Roles stored before scoping moved onto the role record
+    await Role.updateOne({ name, scoped: { $exists: false } }, { scoped: Boolean(role.scoped) });
+  }
+  invalidatePermissions();
+  if (created > 0) console.log(`🔑 Created ${created} built-in roles`);
+  return created;
+}
+
+module.exports = {
+  getRolePermissions,
+  rolesWith,
+  isScopedRole,
+  roleExists,
+  canGrantRole,
+  invalidatePermissions,
+  seedDefaultRoles,
+};
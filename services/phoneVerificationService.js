@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PHONE VERIFICATION SERVICE - One-time codes for feedback submitters
+// ═══════════════════════════════════════════════════════════════════════════
+// A submitter proves they own the phone on their feedback by entering a
+// code sent to it by SMS (services/transports, SMS_TRANSPORT; the console
+// transport stands in locally). On success the feedback becomes
+// verificationStatus=phone_verified and its trust score goes up.
+//
+// - Codes are random, stored only as an HMAC keyed with OTP_SECRET and
+//   expire after OTP_TTL_MINUTES
+// - OTP_MAX_ATTEMPTS wrong guesses lock the code; a new one must be requested
+// - A new code can be sent once every OTP_RESEND_SECONDS, and at most
+//   OTP_MAX_SENDS times per feedback
+//
+// Errors carry a statusCode (and retryAfter seconds when throttled) for the
+// controller to answer with.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const PhoneVerification = require('./../models/phoneVerificationModel');
+const { markPhoneVerified } = require('./fraudDetectionService');
+const { getSmsTransport } = require('./transports');
+const { render } = require('./notificationTemplates');
+
+const config = () => ({
+  codeLength: parseInt(process.env.OTP_LENGTH) || 6,
+  ttlMs: (parseInt(process.env.OTP_TTL_MINUTES) || 10) * 60 * 1000,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendMs: (parseInt(process.env.OTP_RESEND_SECONDS) || 60) * 1000,
+  maxSends: parseInt(process.env.OTP_MAX_SENDS) || 5,
+  secret: process.env.OTP_SECRET || process.env.JWT_SECRET,
+});
+
+const verificationError = (message, statusCode, retryAfter) =>
+  Object.assign(new Error(message), { statusCode, retryAfter });
+
+/**
+ * Keyed hash of a code, bound to its verification record
+ * @param {ObjectId} id - PhoneVerification id
+ * @param {string} code - Plain code
+ * @returns {string} Hex digest
+ */
+function hashCode(id, code) {
+  if (!config().secret) throw new Error('OTP_SECRET (or JWT_SECRET) must be set to send verification codes');
+  return crypto.createHmac('sha256', config().secret).update(`${id}:${code}`).digest('hex');
+}
+
+function generateCode() {
+  const length = config().codeLength;
+  return String(crypto.randomInt(0, Math.pow(10, length))).padStart(length, '0');
+}
+
+// 08031234567 -> 080****4567
+const maskPhone = (phone) => phone.replace(/^(\d{3})\d+(\d{4})$/, '$1****$2');
+
+/**
+ * Sends (or re-sends) a verification code to the phone on a feedback
+ * @param {Object} feedback - Feedback document
+ * @returns {Promise<Object>} { phone (masked), expiresAt, resendAfter }
+ */
+async function requestCode(feedback) {
+  const { ttlMs, resendMs, maxSends } = config();
+
+  if (!feedback.phone) throw verificationError('This feedback has no phone number to verify', 400);
+  if (['verified', 'phone_verified'].includes(feedback.verificationStatus)) {
+    throw verificationError('This feedback has already been verified', 400);
+  }
+
+  let verification = await PhoneVerification.findOne({
+    feedback: feedback._id,
+    phone: feedback.phone,
+    status: { $ne: 'verified' },
+  }).sort({ createdAt: -1 });
+
+  if (verification) {
+    const waitMs = verification.lastSentAt.getTime() + resendMs - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      throw verificationError(`Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before requesting another code`, 429, retryAfter);
+    }
+    if (verification.sendCount >= maxSends) {
+      throw verificationError('Too many codes have been requested for this feedback', 429);
+    }
+  } else {
+    verification = new PhoneVerification({ feedback: feedback._id, phone: feedback.phone });
+  }
+
+  const code = generateCode();
+  const minutes = Math.round(ttlMs / 60000);
+
+  // A new code replaces the previous one and its failed attempts
+  verification.codeHash = hashCode(verification._id, code);
+  verification.status = 'pending';
+  verification.attempts = 0;
+  verification.expiresAt = new Date(Date.now() + ttlMs);
+  verification.lastSentAt = new Date();
+  verification.sendCount += 1;
+
+  const message = render('phone_verification_code', 'sms', { code, minutes, referenceNumber: feedback.referenceNumber });
+  await getSmsTransport().send({ to: feedback.phone, text: message.text });
+  await verification.save();
+
+  return {
+    phone: maskPhone(feedback.phone),
+    expiresAt: verification.expiresAt,
+    resendAfter: new Date(verification.lastSentAt.getTime() + resendMs),
+  };
+}
+
+/**
+ * Checks a code and, if it matches, marks the feedback phone-verified
+ * @param {Object} feedback - Feedback document
+ * @param {string} code - Code entered by the submitter
+ * @returns {Promise<Object>} The updated feedback
+ */
+async function confirmCode(feedback, code) {
+  const { maxAttempts } = config();
+
+  const verification = await PhoneVerification.findOne({
+    feedback: feedback._id,
+    phone: feedback.phone,
+    status: { $ne: 'verified' },
+  })
+    .sort({ createdAt: -1 })
+    .select('+codeHash');
+
+  if (!verification) throw verificationError('No verification code has been requested for this feedback', 400);
+  if (verification.status === 'locked' || verification.attempts >= maxAttempts) {
+    throw verificationError('Too many incorrect attempts. Please request a new code', 429);
+  }
+  if (verification.expiresAt < new Date()) {
+    throw verificationError('This code has expired. Please request a new one', 400);
+  }
+
+  // Spend the attempt before comparing. The $lt guard makes the count
+  // atomic, so a burst of parallel guesses can't exceed OTP_MAX_ATTEMPTS.
+  const claimed = await PhoneVerification.findOneAndUpdate(
+    { _id: verification._id, status: 'pending', attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+  if (!claimed) throw verificationError('Too many incorrect attempts. Please request a new code', 429);
+
+  const expected = Buffer.from(claimed.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(verification._id, String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = maxAttempts - claimed.attempts;
+    if (remaining <= 0) {
+      await PhoneVerification.updateOne({ _id: verification._id, status: 'pending' }, { status: 'locked' });
+    }
+
+    throw verificationError(
+      remaining > 0
+        ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left`
+        : 'Too many incorrect attempts. Please request a new code',
+      remaining > 0 ? 400 : 429
+    );
+  }
+
+  const verified = await PhoneVerification.updateOne(
+    { _id: verification._id, status: 'pending' },
+    { status: 'verified', verifiedAt: new Date(), $unset: { codeHash: 1 } }
+  );
+  // A parallel request with the same code already verified it
+  if (verified.nModified === 0) throw verificationError('This feedback has already been verified', 400);
+
+  markPhoneVerified(feedback);
+  await feedback.save();
+
+  console.log(`📱 Phone verified for ${feedback.referenceNumber} (trust ${feedback.trustScore})`);
+  return feedback;
+}
+
+module.exports = {
+  requestCode,
+  confirmCode,
+};
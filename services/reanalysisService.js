@@ -0,0 +1,204 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// RE-ANALYSIS SERVICE - Backfill and refresh AI analysis in bulk
+// ═══════════════════════════════════════════════════════════════════════════
+// Feedback analyzed while the LLM was down keeps the keyword-rule fallback
+// result; feedback from before the analysis queue may have none at all.
+// This service selects such feedback, runs it through batchAnalyzeFeedbacks
+// as a tracked background job and writes the results back. The analysis
+// being replaced is archived in feedback.analysisHistory (applyAnalysis).
+//
+// Selection criteria (at least one selector is required):
+// - Selectors, OR'ed together:
+//   - missingAnalysis: true   -> no aiAnalysisTimestamp
+//   - maxConfidence: <n>      -> aiConfidenceScore below n
+//   - aiModel: <name>         -> produced by that model (e.g. local-rules-v1)
+// - Scope, AND'ed with the selectors:
+//   - startDate / endDate     -> createdAt range
+//   - serviceType
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const ReanalysisJob = require('./../models/reanalysisJobModel');
+const { batchAnalyzeFeedbacks } = require('./sentimentAnalysisService');
+const { checkRatingSentiment } = require('./fraudDetectionService');
+const { assignToCluster } = require('./issueClusteringService');
+
+const CHUNK_SIZE = 25;
+const MAX_RECORDED_FAILURES = 50;
+
+const config = () => ({
+  maxFeedbacks: parseInt(process.env.REANALYSIS_MAX_FEEDBACKS) || 5000,
+  delayMs: process.env.REANALYSIS_DELAY_MS !== undefined
+    ? parseInt(process.env.REANALYSIS_DELAY_MS)
+    : 1000,
+});
+
+/**
+ * Normalizes request criteria into the shape stored on the job
+ * @param {Object} body - Raw request body
+ * @returns {Object} Criteria
+ */
+function parseCriteria(body = {}) {
+  const criteria = {};
+
+  if (body.missingAnalysis === true || body.missingAnalysis === 'true') criteria.missingAnalysis = true;
+  if (body.maxConfidence !== undefined && body.maxConfidence !== '') {
+    const maxConfidence = parseFloat(body.maxConfidence);
+    if (Number.isNaN(maxConfidence)) throw new Error('maxConfidence must be a number');
+    criteria.maxConfidence = maxConfidence;
+  }
+  if (body.aiModel) criteria.aiModel = body.aiModel;
+  if (body.serviceType) criteria.serviceType = body.serviceType;
+  if (body.startDate) criteria.startDate = new Date(body.startDate);
+  if (body.endDate) criteria.endDate = new Date(body.endDate);
+
+  const { maxFeedbacks } = config();
+  criteria.limit = Math.min(parseInt(body.limit) || maxFeedbacks, maxFeedbacks);
+
+  if (!criteria.missingAnalysis && criteria.maxConfidence === undefined && !criteria.aiModel) {
+    throw new Error('Provide at least one of missingAnalysis, maxConfidence or aiModel');
+  }
+
+  return criteria;
+}
+
+/**
+ * Builds the MongoDB filter for a set of criteria
+ * @param {Object} criteria - Output of parseCriteria
+ * @returns {Object} Feedback filter
+ */
+function buildReanalysisFilter(criteria) {
+  const selectors = [];
+  if (criteria.missingAnalysis) selectors.push({ aiAnalysisTimestamp: { $exists: false } });
+  if (criteria.maxConfidence !== undefined) {
+    selectors.push({ aiConfidenceScore: { $lt: criteria.maxConfidence } });
+  }
+  if (criteria.aiModel) selectors.push({ aiModel: criteria.aiModel });
+
+  const filter = { $or: selectors };
+
+  if (criteria.serviceType) filter.serviceType = criteria.serviceType;
+  if (criteria.startDate || criteria.endDate) {
+    filter.createdAt = {};
+    if (criteria.startDate) filter.createdAt.$gte = criteria.startDate;
+    if (criteria.endDate) filter.createdAt.$lte = criteria.endDate;
+  }
+
+  return filter;
+}
+
+/**
+ * Creates a job for the criteria and starts it in the background
+ * @param {Object} criteria - Output of parseCriteria
+ * @param {Object} user - User starting the run
+ * @returns {Promise<Object>} The created job (already counting its total)
+ */
+async function startReanalysis(criteria, user) {
+  const filter = buildReanalysisFilter(criteria);
+  const ids = (
+    await Feedback.find(filter).sort({ createdAt: 1 }).limit(criteria.limit).select('_id')
+  ).map((f) => f._id);
+
+  const job = await ReanalysisJob.create({
+    criteria,
+    total: ids.length,
+    startedBy: user && user._id,
+  });
+
+  // Fire and forget: progress is tracked on the job document
+  runJob(job, ids).catch((err) => {
+    console.error(`❌ Re-analysis job ${job._id} crashed:`, err.message);
+  });
+
+  return job;
+}
+
+/**
+ * Processes a job's feedback in chunks, updating progress as it goes
+ * @param {Object} job - ReanalysisJob document
+ * @param {Array} ids - Feedback ids to process
+ */
+async function runJob(job, ids) {
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  console.log(`🔁 Re-analysis job ${job._id} started for ${ids.length} feedbacks`);
+
+  try {
+    for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+      const chunk = await Feedback.find({ _id: { $in: ids.slice(i, i + CHUNK_SIZE) } });
+      const byId = new Map(chunk.map((f) => [String(f._id), f]));
+
+      await batchAnalyzeFeedbacks(chunk, {
+        fallback: false,
+        delayMs: config().delayMs,
+        onResult: (result) => applyResult(job, byId.get(String(result.feedbackId)), result),
+      });
+
+      // Feedback deleted or closed since selection still counts as processed
+      const skipped = Math.min(CHUNK_SIZE, ids.length - i) - chunk.length;
+      if (skipped > 0) job.processed += skipped;
+
+      await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (err) {
+    job.status = 'failed';
+    job.lastError = err.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+
+  console.log(`✅ Re-analysis job ${job._id} ${job.status}: ${job.succeeded} succeeded, ${job.failed} failed`);
+}
+
+/**
+ * Writes one batch result back to its feedback and updates job counters
+ * @param {Object} job - ReanalysisJob document
+ * @param {Object} feedback - Feedback document
+ * @param {Object} result - { success, analysis, error } from batchAnalyzeFeedbacks
+ */
+async function applyResult(job, feedback, result) {
+  job.processed += 1;
+
+  try {
+    if (!result.success) throw new Error(result.error);
+
+    feedback.applyAnalysis(result.analysis);
+    checkRatingSentiment(feedback);
+    feedback.analysisStatus = 'done';
+    await feedback.save();
+    await assignToCluster(feedback);
+    job.succeeded += 1;
+  } catch (err) {
+    job.failed += 1;
+    if (job.failures.length < MAX_RECORDED_FAILURES) {
+      job.failures.push({ feedback: result.feedbackId, error: err.message });
+    }
+  }
+
+  // Persist progress every few results so pollers see movement
+  if (job.processed % 5 === 0) await job.save();
+}
+
+/**
+ * Marks jobs left "running" by a previous process as failed
+ * @returns {Promise<number>} Number of jobs marked
+ */
+async function failInterruptedJobs() {
+  const result = await ReanalysisJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { status: 'failed', lastError: 'Interrupted by server restart', finishedAt: new Date() }
+  );
+  return result.nModified || 0;
+}
+
+module.exports = {
+  parseCriteria,
+  buildReanalysisFilter,
+  startReanalysis,
+  failInterruptedJobs,
+};
@@ -0,0 +1,252 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION SERVICE - Short-lived access tokens and rotating refresh tokens
+// ═══════════════════════════════════════════════════════════════════════════
+// Logging in opens a Session (one per device) and returns two tokens:
+// - an access token: a JWT carrying the user and session ids, valid for
+//   ACCESS_TOKEN_EXPIRES_IN (default 15m). protect also checks that its
+//   session is still open, so revoking a session locks the device out at once.
+// - a refresh token: 48 random bytes, stored only as a SHA-256 hash and valid
+//   for REFRESH_TOKEN_TTL_DAYS (default 30) after its last use. Every refresh
+//   replaces it with a new one; presenting a replaced token again means it
+//   was copied, and the whole session is revoked.
+//
+// Tokens are also set as httpOnly cookies unless AUTH_COOKIES=false.
+// AUTH_COOKIE_SAMESITE (default strict) must be "none" when the frontend is
+// on another site; AUTH_COOKIE_SECURE defaults to true in production.
+// A browser sends cookies with cross-site requests too, so a request that
+// authenticates by cookie and changes something (anything but GET/HEAD/OPTIONS)
+// must also carry the session's CSRF token in the X-CSRF-Token header. The
+// token is returned in the body on login and refresh; another site cannot
+// read it.
+//
+// Errors carry a statusCode for the controller to answer with.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('./../models/sessionModel');
+const User = require('./../models/userModel');
+
+const ACCESS_COOKIE = 'jwt';
+const REFRESH_COOKIE = 'refreshToken';
+// Only the refresh and logout endpoints need the refresh cookie
+const REFRESH_COOKIE_PATH = '/api/v1/users';
+const CSRF_HEADER = 'x-csrf-token';
+
+const config = () => ({
+  accessExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  refreshTtlMs: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  cookies: process.env.AUTH_COOKIES !== 'false',
+  sameSite: (process.env.AUTH_COOKIE_SAMESITE || 'strict').toLowerCase(),
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+});
+
+const sessionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip,
+});
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: config().accessExpiresIn,
+  });
+}
+
+/**
+ * CSRF token of a session: an HMAC of its id, so nothing extra is stored
+ * @param {string} sessionId - Session id
+ * @returns {string}
+ */
+function csrfTokenFor(sessionId) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`csrf:${sessionId}`).digest('hex');
+}
+
+/**
+ * Whether a CSRF token belongs to a session
+ * @param {string} sessionId - Session id
+ * @param {string} token - Token from the X-CSRF-Token header
+ * @returns {boolean}
+ */
+function verifyCsrfToken(sessionId, token) {
+  if (!sessionId || typeof token !== 'string') return false;
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Opens a session for a user who just proved who they are
+ * @param {Object} user - User document
+ * @param {Object} req - Request (for the user agent and IP)
+ * @returns {Promise<Object>} { accessToken, refreshToken, csrfToken, session }
+ */
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + config().refreshTtlMs),
+  });
+
+  return {
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken,
+    csrfToken: csrfTokenFor(session._id),
+    session,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @param {Object} req - Request (for the user agent and IP)
+ * @returns {Promise<Object>} { accessToken, refreshToken, csrfToken, session, user }
+ */
+async function refreshSession(refreshToken, req) {
+  if (!refreshToken) throw sessionError('No refresh token provided. Please log in.', 401);
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString('hex');
+
+  // Matching on the current hash makes the swap atomic: of two requests
+  // racing with the same token, only one gets a new token
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      ...clientInfo(req),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + config().refreshTtlMs),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replaced = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (replaced) await revokeSession(replaced._id, 'token_reuse');
+    throw sessionError('Your session has expired or was revoked. Please log in again.', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.active === false) {
+    await revokeSession(session._id, 'deactivated');
+    throw sessionError('This account is no longer active.', 401);
+  }
+
+  return {
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: nextToken,
+    csrfToken: csrfTokenFor(session._id),
+    session,
+    user,
+  };
+}
+
+/**
+ * Whether the session behind an access token is still open
+ * @param {string} sessionId - Session id from the token
+ * @param {string} userId - User id from the token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  if (!sessionId) return false;
+  return Boolean(
+    await Session.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  );
+}
+
+/**
+ * Closes one session
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Session.revokedReason value
+ * @returns {Promise<boolean>} Whether an open session was closed
+ */
+async function revokeSession(sessionId, reason) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.nModified > 0;
+}
+
+/**
+ * Closes the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} options - { csrfToken } to require the session's CSRF token
+ *   (when the refresh token came from a cookie)
+ * @returns {Promise<boolean>} Whether an open session was closed
+ */
+async function revokeSessionByToken(refreshToken, { csrfToken } = {}) {
+  if (!refreshToken) return false;
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) return false;
+  if (csrfToken !== undefined && !verifyCsrfToken(session._id, csrfToken)) {
+    throw sessionError('Missing or invalid CSRF token.', 403);
+  }
+  return revokeSession(session._id, 'logout');
+}
+
+/**
+ * Closes every open session of a user
+ * @param {string} userId - User id
+ * @param {string} reason - Session.revokedReason value
+ * @returns {Promise<number>} Sessions closed
+ */
+async function revokeUserSessions(userId, reason) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.nModified;
+}
+
+/**
+ * Open sessions of a user, most recently used first
+ * @param {string} userId - User id
+ * @returns {Promise<Array>}
+ */
+async function listSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort('-lastUsedAt');
+}
+
+/**
+ * Options for res.cookie, or null when tokens are only sent in the body
+ * @param {string} name - ACCESS_COOKIE or REFRESH_COOKIE
+ * @returns {Object|null}
+ */
+function cookieOptions(name) {
+  const { cookies, sameSite, secure, refreshTtlMs } = config();
+  if (!cookies) return null;
+
+  const options = { httpOnly: true, sameSite, secure: secure || sameSite === 'none' };
+  if (name === REFRESH_COOKIE) {
+    return { ...options, path: REFRESH_COOKIE_PATH, maxAge: refreshTtlMs };
+  }
+  // Outlives the JWT on purpose: an expired token is answered with 401, which
+  // tells the client to refresh
+  return { ...options, path: '/', maxAge: refreshTtlMs };
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_HEADER,
+  verifyCsrfToken,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  listSessions,
+  cookieOptions,
+};
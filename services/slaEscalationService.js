@@ -0,0 +1,185 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SLA ESCALATION SERVICE - Acts on cases that breach their SLA
+// ═══════════════════════════════════════════════════════════════════════════
+// slaDueAt is set on every feedback from its urgency (1/2/5/14 days). A
+// scheduled in-process job escalates open cases that run past it:
+//
+// - Level 1: as soon as slaDueAt passes, the case is reassigned to the
+//   least-loaded user of a scoped role with feedback:respond (e.g.
+//   branch-admin) who manages its branch/service type (see
+//   utils/accessScope) and slaBreachedAt is stamped
+// - Level 2: if still open ESCALATION_LEVEL2_AFTER_HOURS after the breach,
+//   it is reassigned to the least-loaded user of an unscoped role with
+//   feedback:assign (e.g. admin, super-admin)
+//
+// Every escalation is recorded in feedback.escalations, and the first one
+// fires the feedback.sla_breached webhook event.
+//
+// Configuration:
+// - SLA_CHECK_INTERVAL_MS: how often to scan (default 300000 = 5 minutes)
+// - ESCALATION_LEVEL2_AFTER_HOURS: breach age before level 2 (default 24)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Feedback = require('./../models/feedbackModel');
+const User = require('./../models/userModel');
+const { dispatchEvent } = require('./webhookService');
+const { inScope } = require('./../utils/accessScope');
+const { rolesWith } = require('./permissionService');
+
+// Who each level goes to, by permission so custom roles take part
+const ESCALATION_TARGETS = {
+  1: { permission: 'feedback:respond', scoped: true },
+  2: { permission: 'feedback:assign', scoped: false },
+};
+
+const config = () => ({
+  interval: parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 5 * 60 * 1000,
+  level2AfterMs: (parseFloat(process.env.ESCALATION_LEVEL2_AFTER_HOURS) || 24) * 60 * 60 * 1000,
+});
+
+let timer = null;
+let cycleRunning = false;
+
+/**
+ * Picks the user who has the fewest open cases among those of an escalation
+ * level allowed to handle the feedback
+ * @param {Object} target - ESCALATION_TARGETS entry
+ * @param {Object} feedback - Case being escalated
+ * @returns {Promise<Object|null>} User or null if nobody is eligible
+ */
+async function findLeastLoadedUser(target, feedback) {
+  const excludeId = feedback.assignedTo;
+  const roles = await rolesWith(target.permission, { scoped: target.scoped });
+  const candidates = await User.find({ role: { $in: roles }, active: { $ne: false } }).select('_id name email role branches serviceTypes');
+  const eligible = candidates.filter(
+    (u) => (!excludeId || String(u._id) !== String(excludeId)) && inScope(u, feedback)
+  );
+  if (eligible.length === 0) return null;
+
+  const loads = await Feedback.aggregate([
+    {
+      $match: {
+        status: { $in: Feedback.OPEN_STATUSES },
+        assignedTo: { $in: eligible.map((u) => u._id) },
+      },
+    },
+    { $group: { _id: '$assignedTo', open: { $sum: 1 } } },
+  ]);
+
+  const openById = new Map(loads.map((l) => [String(l._id), l.open]));
+  return eligible.reduce((best, u) =>
+    (openById.get(String(u._id)) || 0) < (openById.get(String(best._id)) || 0) ? u : best
+  );
+}
+
+/**
+ * Escalates one case to the given level
+ * @param {Object} feedback - Feedback document
+ * @param {number} level - Target escalation level
+ * @returns {Promise<Object>} The escalation entry recorded
+ */
+async function escalate(feedback, level) {
+  // Fall through to the next level if nobody is eligible for this one
+  let target = null;
+  let appliedLevel = level;
+  for (let candidateLevel = level; candidateLevel <= 2; candidateLevel++) {
+    target = await findLeastLoadedUser(ESCALATION_TARGETS[candidateLevel], feedback);
+    if (target) {
+      appliedLevel = candidateLevel;
+      break;
+    }
+  }
+
+  const hoursLate = Math.round((Date.now() - feedback.slaDueAt.getTime()) / (60 * 60 * 1000));
+  const entry = {
+    level: appliedLevel,
+    reason: `SLA breached (${feedback.urgency} urgency, ${hoursLate}h past due)`,
+    escalatedTo: target ? target._id : undefined,
+    previousAssignee: feedback.assignedTo,
+  };
+
+  const firstBreach = !feedback.slaBreachedAt;
+  if (firstBreach) feedback.slaBreachedAt = new Date();
+  feedback.escalationLevel = appliedLevel;
+  feedback.escalations.push(entry);
+
+  if (target) {
+    feedback.assignedTo = target._id;
+    feedback.assignedAt = new Date();
+  }
+
+  await feedback.save();
+
+  if (firstBreach) {
+    await dispatchEvent('feedback.sla_breached', feedback, { escalation: entry });
+  }
+
+  console.log(
+    `⏰ Escalated ${feedback.referenceNumber} to level ${appliedLevel}` +
+      (target ? ` (${target.role} ${target.name})` : ' (no eligible user found)')
+  );
+
+  return entry;
+}
+
+/**
+ * One scan: escalates every open case that is due for its next level
+ * @returns {Promise<Object>} { level1, level2 } counts
+ */
+async function runEscalationCycle() {
+  if (cycleRunning) return { level1: 0, level2: 0 };
+  cycleRunning = true;
+
+  const now = Date.now();
+  const counts = { level1: 0, level2: 0 };
+
+  try {
+    const breached = await Feedback.find({
+      status: { $in: Feedback.OPEN_STATUSES },
+      slaDueAt: { $lt: new Date(now) },
+      escalationLevel: { $lt: 2 },
+    }).sort({ slaDueAt: 1 });
+
+    for (const feedback of breached) {
+      const level2Due = feedback.slaDueAt.getTime() + config().level2AfterMs < now;
+      const nextLevel = feedback.escalationLevel === 0 ? 1 : level2Due ? 2 : null;
+      if (!nextLevel) continue;
+
+      try {
+        const entry = await escalate(feedback, nextLevel);
+        counts[`level${entry.level}`]++;
+      } catch (err) {
+        console.error(`❌ Could not escalate ${feedback.referenceNumber}:`, err.message);
+      }
+    }
+  } finally {
+    cycleRunning = false;
+  }
+
+  if (counts.level1 || counts.level2) {
+    console.log(`⏰ SLA cycle: ${counts.level1} escalated to level 1, ${counts.level2} to level 2`);
+  }
+  return counts;
+}
+
+/**
+ * Starts the scheduled SLA check (call once the DB is connected)
+ */
+function startSlaMonitor() {
+  if (timer) return;
+  timer = setInterval(() => {
+    runEscalationCycle().catch((err) => console.error('❌ SLA monitor error:', err.message));
+  }, config().interval);
+  console.log(`⏰ SLA monitor started (every ${Math.round(config().interval / 1000)}s)`);
+}
+
+function stopSlaMonitor() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runEscalationCycle,
+  startSlaMonitor,
+  stopSlaMonitor,
+};
@@ -0,0 +1,23 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSOLE TRANSPORT - Prints messages instead of sending them (development)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a console transport for a channel
+ * @param {string} channel - email | sms
+ * @returns {Object} Transport { name, channel, send }
+ */
+function createConsoleTransport(channel) {
+  let counter = 0;
+
+  async function send({ to, subject, text }) {
+    counter += 1;
+    console.log(`📨 [${channel} → ${to}]${subject ? ` ${subject}` : ''}`);
+    console.log(`   ${text.split('\n').join('\n   ')}`);
+    return { id: `console-${channel}-${Date.now()}-${counter}` };
+  }
+
+  return { name: 'console', channel, send };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,28 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE TRANSPORT - Appends messages to a JSON-lines outbox (dev / test)
+// ═══════════════════════════════════════════════════════════════════════════
+// Configuration: NOTIFICATION_OUTBOX_FILE (default ./outbox.log)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a file transport for a channel
+ * @param {string} channel - email | sms
+ * @returns {Object} Transport { name, channel, send }
+ */
+function createFileTransport(channel) {
+  async function send(message) {
+    const file = path.resolve(process.env.NOTIFICATION_OUTBOX_FILE || 'outbox.log');
+    const id = `file-${channel}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const line = JSON.stringify({ id, channel, sentAt: new Date(), ...message });
+
+    await fs.promises.appendFile(file, `${line}\n`);
+    return { id };
+  }
+
+  return { name: 'file', channel, send };
+}
+
+module.exports = createFileTransport;
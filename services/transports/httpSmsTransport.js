@@ -0,0 +1,48 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP SMS TRANSPORT - Generic SMS gateway over HTTP
+// ═══════════════════════════════════════════════════════════════════════════
+// POSTs { to, from, message } as JSON to SMS_GATEWAY_URL with
+// "Authorization: Bearer SMS_GATEWAY_API_KEY". Any 2xx response is treated
+// as accepted; an "id" or "messageId" field in the reply is recorded.
+//
+// Configuration: SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_SENDER_ID
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { post } = require('./../../utils/httpClient');
+
+/**
+ * Creates the HTTP SMS gateway transport
+ * @returns {Object} Transport { name, channel, send }
+ */
+function createHttpSmsTransport() {
+  async function send({ to, text }) {
+    if (!process.env.SMS_GATEWAY_URL) throw new Error('SMS_GATEWAY_URL is not configured');
+
+    const response = await post(
+      process.env.SMS_GATEWAY_URL,
+      { to, from: process.env.SMS_SENDER_ID || 'FeedbackForge', message: text },
+      {
+        headers: process.env.SMS_GATEWAY_API_KEY
+          ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` }
+          : {},
+      }
+    );
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`SMS gateway responded with HTTP ${response.statusCode}`);
+    }
+
+    let reply = {};
+    try {
+      reply = JSON.parse(response.body);
+    } catch (err) {
+      // Gateways that answer in plain text are fine too
+    }
+
+    return { id: reply.id || reply.messageId };
+  }
+
+  return { name: 'http', channel: 'sms', send };
+}
+
+module.exports = createHttpSmsTransport;
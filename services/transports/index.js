@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MESSAGE TRANSPORTS - Email and SMS delivery adapters
+// ═══════════════════════════════════════════════════════════════════════════
+// Every transport exposes:
+//   { name, channel, send({ to, subject, text, html }) -> Promise<{ id }> }
+//
+// Configuration:
+// - EMAIL_TRANSPORT: smtp | console (default) | file
+// - SMS_TRANSPORT: http | console (default) | file
+// ═══════════════════════════════════════════════════════════════════════════
+
+const createSmtpTransport = require('./smtpTransport');
+const createHttpSmsTransport = require('./httpSmsTransport');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+
+const factories = {
+  email: {
+    smtp: createSmtpTransport,
+    console: () => createConsoleTransport('email'),
+    file: () => createFileTransport('email'),
+  },
+  sms: {
+    http: createHttpSmsTransport,
+    console: () => createConsoleTransport('sms'),
+    file: () => createFileTransport('sms'),
+  },
+};
+
+const instances = {};
+
+/**
+ * Returns the configured transport for a channel
+ * @param {string} channel - email | sms
+ * @returns {Object} Transport
+ */
+function getTransport(channel) {
+  const envName = channel === 'email' ? 'EMAIL_TRANSPORT' : 'SMS_TRANSPORT';
+  const name = (process.env[envName] || 'console').toLowerCase();
+  const key = `${channel}:${name}`;
+
+  if (!factories[channel] || !factories[channel][name]) {
+    throw new Error(`Unknown ${channel} transport "${name}"`);
+  }
+
+  if (!instances[key]) instances[key] = factories[channel][name]();
+  return instances[key];
+}
+
+/**
+ * Overrides a channel's transport (e.g. a stand-in for tests)
+ * @param {string} channel - email | sms
+ * @param {string} name - Transport name to register
+ * @param {Function} factory - () => transport
+ */
+function registerTransport(channel, name, factory) {
+  factories[channel][name] = factory;
+  delete instances[`${channel}:${name}`];
+}
+
+module.exports = {
+  getEmailTransport: () => getTransport('email'),
+  getSmsTransport: () => getTransport('sms'),
+  registerTransport,
+};
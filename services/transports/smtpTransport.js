@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SMTP TRANSPORT - Email through any SMTP server (nodemailer)
+// ═══════════════════════════════════════════════════════════════════════════
+// Configuration: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD,
+// EMAIL_FROM
+// ═══════════════════════════════════════════════════════════════════════════
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates the SMTP email transport
+ * @returns {Object} Transport { name, channel, send }
+ */
+function createSmtpTransport() {
+  let mailer;
+
+  async function send({ to, subject, text, html }) {
+    if (!mailer) {
+      mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+    }
+
+    const info = await mailer.sendMail({
+      from: process.env.EMAIL_FROM || 'FeedbackForge <no-reply@feedbackforge.local>',
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    return { id: info.messageId };
+  }
+
+  return { name: 'smtp', channel: 'email', send };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// WEBHOOK SERVICE - Outbound notifications for feedback lifecycle events
+// ═══════════════════════════════════════════════════════════════════════════
+// dispatchEvent() records one WebhookDelivery per active subscription; an
+// in-process worker POSTs them, retrying failures with exponential backoff.
+//
+// Every request carries:
+// - X-FeedbackForge-Event: event name (e.g. feedback.created)
+// - X-FeedbackForge-Delivery: delivery id (stable across retries)
+// - X-FeedbackForge-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+//   "<t>.<raw body>" keyed with the webhook secret>
+//
+// Receivers should recompute the HMAC, compare in constant time and reject
+// stale timestamps.
+//
+// Configuration:
+// - WEBHOOK_WORKER_POLL_MS: idle poll interval (default 2000)
+// - WEBHOOK_TIMEOUT_MS: per-request timeout (default 10000)
+// - WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is marked failed (default 6)
+// - WEBHOOK_RETRY_BASE_MS: first retry delay, doubled each time (default 10000)
+//
+// Outside development (NODE_ENV=development), receivers on loopback or private
+// addresses are refused, both when the URL is saved and when it is resolved
+// at delivery.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const Webhook = require('./../models/webhookModel');
+const WebhookDelivery = require('./../models/webhookDeliveryModel');
+const { post } = require('./../utils/httpClient');
+
+const config = () => ({
+  pollInterval: parseInt(process.env.WEBHOOK_WORKER_POLL_MS) || 2000,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBase: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000,
+  lockTimeout: 5 * 60 * 1000,
+});
+
+const MAX_LOGGED_BODY = 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Fields of a feedback that are sent to webhook receivers. Fraud signals,
+ * IP/device data and internal notes are never included.
+ * @param {Object} feedback - Feedback document
+ * @returns {Object} Payload-safe feedback
+ */
+function serializeFeedback(feedback) {
+  return {
+    id: feedback._id,
+    referenceNumber: feedback.referenceNumber,
+    customerName: feedback.customerName,
+    email: feedback.email,
+    phone: feedback.phone,
+    serviceType: feedback.serviceType,
+    branch: feedback.branch,
+    rating: feedback.rating,
+    comment: feedback.comment,
+    sentiment: feedback.sentiment,
+    sentimentScore: feedback.sentimentScore,
+    categories: feedback.categories,
+    urgency: feedback.urgency,
+    actionableInsights: feedback.actionableInsights,
+    status: feedback.status,
+    assignedTo: feedback.assignedTo,
+    slaDueAt: feedback.slaDueAt,
+    escalationLevel: feedback.escalationLevel,
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt,
+  };
+}
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} "t=<timestamp>,v1=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Queues an event for every active subscriber. Never throws: a webhook
+ * problem must not break the request that triggered the event.
+ * @param {string} event - One of Webhook.WEBHOOK_EVENTS
+ * @param {Object} feedback - Feedback document the event is about
+ * @param {Object} extra - Additional event data (e.g. { from, to })
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function dispatchEvent(event, feedback, extra = {}) {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+    if (webhooks.length === 0) return 0;
+
+    const data = { feedback: serializeFeedback(feedback), ...extra };
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        event,
+        maxAttempts: config().maxAttempts,
+        payload: { event, occurredAt: new Date(), data },
+      }))
+    );
+
+    console.log(`🔔 Queued ${event} for ${deliveries.length} webhook(s)`);
+    wakeWorker();
+    return deliveries.length;
+  } catch (err) {
+    console.error(`❌ Could not queue ${event} webhooks:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Sends one delivery and records the attempt
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ */
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.attemptLog.push({ error: 'Webhook deleted or deactivated' });
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = {};
+
+  try {
+    const response = await post(webhook.url, body, {
+      timeout: config().timeout,
+      maxBodyBytes: MAX_LOGGED_BODY,
+      blockPrivateHosts: !Webhook.allowPrivateHosts(),
+      headers: {
+        'User-Agent': 'FeedbackForge-Webhooks/1.0',
+        'X-FeedbackForge-Event': delivery.event,
+        'X-FeedbackForge-Delivery': String(delivery._id),
+        'X-FeedbackForge-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+    });
+
+    attempt.statusCode = response.statusCode;
+    attempt.responseBody = (response.body || '').substring(0, MAX_LOGGED_BODY);
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      attempt.error = `Receiver responded with HTTP ${response.statusCode}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attemptLog.push(attempt);
+  delivery.lockedAt = undefined;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    console.error(`☠️  Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${attempt.error}`);
+  } else {
+    const delay = config().retryBase * Math.pow(2, delivery.attempts - 1);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  await delivery.save();
+}
+
+/**
+ * Atomically claims the next due delivery
+ * @returns {Promise<Object|null>} Delivery or null when idle
+ */
+async function claimNextDelivery() {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        // Worker died mid-request
+        { status: 'delivering', lockedAt: { $lt: new Date(Date.now() - config().lockTimeout) } },
+      ],
+    },
+    { $set: { status: 'delivering', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function tick() {
+  if (!running) return;
+  timer = null;
+
+  try {
+    let delivery = await claimNextDelivery();
+    while (delivery && running) {
+      await attemptDelivery(delivery);
+      delivery = await claimNextDelivery();
+    }
+  } catch (err) {
+    console.error('❌ Webhook worker error:', err.message);
+  }
+
+  if (running && !timer) timer = setTimeout(tick, config().pollInterval);
+}
+
+// Process new deliveries right away instead of waiting for the next poll
+function wakeWorker() {
+  if (!running || !timer) return;
+  clearTimeout(timer);
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Starts the delivery worker (call once the DB is connected)
+ */
+function startWebhookWorker() {
+  if (running) return;
+  running = true;
+  console.log('🔔 Webhook worker started');
+  tick();
+}
+
+function stopWebhookWorker() {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Sends a past delivery's payload again as a new delivery
+ * @param {string} deliveryId - WebhookDelivery id
+ * @returns {Promise<Object|null>} New delivery, or null if not found
+ */
+async function redeliver(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+
+  const delivery = await WebhookDelivery.create({
+    webhook: original.webhook,
+    event: original.event,
+    payload: original.payload,
+    maxAttempts: config().maxAttempts,
+    redeliveryOf: original._id,
+  });
+
+  wakeWorker();
+  return delivery;
+}
+
+module.exports = {
+  dispatchEvent,
+  signPayload,
+  serializeFeedback,
+  redeliver,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
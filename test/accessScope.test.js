@@ -0,0 +1,90 @@
+// Row-level scoping for users of scoped roles (utils/accessScope.js), and
+// that no query parameter can lift it on the feedback listing.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { scopeMatch, withScope, inScope } = require('./../utils/accessScope');
+const { getAllFeedback } = require('./../controllers/feedbackController');
+
+mongoose.set('bufferCommands', false);
+
+const branchAdmin = (scope) => ({ role: 'branch-admin', branches: [], serviceTypes: [], ...scope });
+const admin = { role: 'admin', branches: [], serviceTypes: [] };
+
+test('unscoped roles are not limited', () => {
+  assert.strictEqual(scopeMatch(admin), null);
+  assert.deepStrictEqual(withScope({ user: admin }, { status: 'pending' }), { status: 'pending' });
+  assert.ok(inScope(admin, { branch: 'Ikeja', serviceType: 'ATM' }));
+});
+
+test('a scoped user sees their branches, service types or both', () => {
+  assert.deepStrictEqual(scopeMatch(branchAdmin({ branches: ['Ikeja'] })), { branch: { $in: ['Ikeja'] } });
+  assert.deepStrictEqual(scopeMatch(branchAdmin({ serviceTypes: ['ATM'] })), { serviceType: { $in: ['ATM'] } });
+
+  const both = branchAdmin({ branches: ['Ikeja'], serviceTypes: ['ATM'] });
+  assert.ok(inScope(both, { branch: 'Ikeja', serviceType: 'ATM' }));
+  assert.ok(!inScope(both, { branch: 'Ikeja', serviceType: 'Mobile App' }));
+  assert.ok(!inScope(both, { branch: 'Lekki', serviceType: 'ATM' }));
+});
+
+test('a scoped user with no branches or service types sees nothing', () => {
+  const user = branchAdmin();
+  assert.deepStrictEqual(scopeMatch(user), { branch: { $in: [] } });
+  assert.ok(!inScope(user, { branch: 'Ikeja', serviceType: 'ATM' }));
+});
+
+test('unknown roles count as scoped', () => {
+  assert.deepStrictEqual(scopeMatch({ role: 'no-such-role', branches: ['Ikeja'] }), { branch: { $in: ['Ikeja'] } });
+});
+
+test('withScope keeps filters the caller already set', () => {
+  const req = { user: branchAdmin({ branches: ['Ikeja'] }) };
+  assert.deepStrictEqual(withScope(req, { branch: 'Lekki', $and: [{ rating: 1 }] }), {
+    branch: 'Lekki',
+    $and: [{ rating: 1 }, { branch: { $in: ['Ikeja'] } }],
+  });
+});
+
+// Runs getAllFeedback and returns the filter it queried with
+const listingFilter = async (t, user, query) => {
+  let filter;
+  t.mock.method(mongoose.Query.prototype, 'exec', async function () {
+    filter = this.getFilter();
+    return [];
+  });
+
+  let statusCode;
+  const res = {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    json() {},
+  };
+  await getAllFeedback({ user, query }, res);
+  assert.strictEqual(statusCode, 200);
+  return filter;
+};
+
+test('query parameters cannot replace the scope of the feedback listing', async (t) => {
+  const user = branchAdmin({ branches: ['Ikeja'] });
+  const filter = await listingFilter(t, user, {
+    $and: [{ branch: 'Lekki' }],
+    $or: [{ branch: 'Lekki' }],
+    rating: { gte: '4' },
+  });
+
+  assert.deepStrictEqual(filter, {
+    rating: { $gte: '4' },
+    $and: [{ branch: { $in: ['Ikeja'] } }],
+  });
+});
+
+test('a branch filter on the listing is narrowed by the scope, not widened', async (t) => {
+  const user = branchAdmin({ branches: ['Ikeja'] });
+  const filter = await listingFilter(t, user, { branch: 'Lekki' });
+
+  assert.deepStrictEqual(filter, { branch: 'Lekki', $and: [{ branch: { $in: ['Ikeja'] } }] });
+});
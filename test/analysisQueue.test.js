@@ -0,0 +1,101 @@
+// Retry and dead-letter handling of the analysis worker. Database calls are
+// replaced with in-memory stand-ins; the AI runs on stub and local providers.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.AI_PROVIDER = 'flaky';
+process.env.AI_FALLBACK_PROVIDER = 'local';
+process.env.ANALYSIS_RETRY_BASE_MS = '1000';
+
+// Clustering needs the database; replace it before the queue service loads it
+const issueClusteringService = require('./../services/issueClusteringService');
+test.mock.method(issueClusteringService, 'assignToCluster', async () => null);
+
+const AnalysisJob = require('./../models/analysisJobModel');
+const Feedback = require('./../models/feedbackModel');
+const { registerProvider } = require('./../services/aiProviders');
+const { processJob, getBackoffDelay } = require('./../services/analysisQueueService');
+
+mongoose.set('bufferCommands', false);
+
+registerProvider('flaky', () => ({
+  name: 'flaky',
+  model: 'flaky-1',
+  analyze: async () => {
+    throw new Error('rate limited');
+  },
+}));
+
+// A claimed job on its attempt-th try, and the feedback it analyzes
+const setup = (t, { attempts, maxAttempts = 3 }) => {
+  const feedback = new Feedback({ comment: 'The mobile app keeps logging me out', rating: 3, serviceType: 'Mobile App' });
+  const job = new AnalysisJob({ feedback: feedback._id, status: 'processing', attempts, maxAttempts });
+  const statusUpdates = [];
+
+  t.mock.method(feedback, 'save', async () => feedback);
+  t.mock.method(job, 'save', async () => job);
+  t.mock.method(Feedback, 'findById', async () => feedback);
+  t.mock.method(Feedback, 'updateOne', async (filter, update) => {
+    statusUpdates.push(update.analysisStatus);
+    return { nModified: 1 };
+  });
+
+  return { feedback, job, statusUpdates };
+};
+
+test('backoff doubles with every attempt', () => {
+  assert.deepStrictEqual([1, 2, 3, 4].map(getBackoffDelay), [1000, 2000, 4000, 8000]);
+});
+
+test('a failed attempt is queued again after the backoff delay', async (t) => {
+  const { job, statusUpdates } = setup(t, { attempts: 2 });
+  const before = Date.now();
+
+  await processJob(job);
+
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.lastError, 'rate limited');
+  assert.strictEqual(job.failures.length, 1);
+  assert.strictEqual(job.failures[0].attempt, 2);
+  assert.ok(job.runAt.getTime() >= before + 2000);
+  assert.strictEqual(job.lockedBy, undefined);
+  assert.deepStrictEqual(statusUpdates, ['queued']);
+});
+
+test('the last attempt may use the fallback provider', async (t) => {
+  const { feedback, job } = setup(t, { attempts: 3 });
+
+  await processJob(job);
+
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(feedback.analysisStatus, 'done');
+  assert.strictEqual(feedback.aiProvider, 'local');
+  assert.strictEqual(feedback.analysisHistory.length, 1);
+});
+
+test('a job that fails its last attempt is dead-lettered', async (t) => {
+  process.env.AI_FALLBACK_PROVIDER = 'flaky';
+  t.after(() => {
+    process.env.AI_FALLBACK_PROVIDER = 'local';
+  });
+  const { feedback, job, statusUpdates } = setup(t, { attempts: 3 });
+
+  await processJob(job);
+
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(job.failures.length, 1);
+  assert.strictEqual(feedback.analysisHistory.length, 0);
+  assert.deepStrictEqual(statusUpdates, ['failed']);
+});
+
+test('a job whose feedback is gone is completed without analysis', async (t) => {
+  const { job } = setup(t, { attempts: 1 });
+  t.mock.method(Feedback, 'findById', async () => null);
+
+  await processJob(job);
+
+  assert.strictEqual(job.status, 'completed');
+  assert.match(job.lastError, /no longer exists/);
+});
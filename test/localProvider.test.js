@@ -0,0 +1,63 @@
+// The local provider lets the whole analysis pipeline run with no network
+// (AI_PROVIDER=local), and is the fallback when an LLM call fails.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_PROVIDER = 'local';
+process.env.AI_FALLBACK_PROVIDER = 'local';
+
+const createLocalProvider = require('./../services/aiProviders/localProvider');
+const { registerProvider } = require('./../services/aiProviders');
+const { analyzeFeedbackSentiment } = require('./../services/sentimentAnalysisService');
+
+test('local provider classifies from the rating and keywords', async () => {
+  const provider = createLocalProvider();
+  const analysis = await provider.analyze('The app is slow and the staff were rude. Fix it immediately', 1, 'Mobile App');
+
+  assert.strictEqual(provider.name, 'local');
+  assert.strictEqual(provider.model, 'local-rules-v1');
+  assert.strictEqual(analysis.sentiment, 'negative');
+  assert.strictEqual(analysis.urgency, 'high');
+  assert.deepStrictEqual(analysis.categories, ['technical_issues', 'staff_behavior', 'wait_time']);
+});
+
+test('local provider gives the same answer for the same input', async () => {
+  const provider = createLocalProvider();
+  const first = await provider.analyze('Great service, very helpful', 5);
+  const second = await provider.analyze('Great service, very helpful', 5);
+
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.sentiment, 'positive');
+});
+
+test('analysis runs end to end with AI_PROVIDER=local', async () => {
+  const analysis = await analyzeFeedbackSentiment('Waited in the queue for an hour', 2, 'Branch Service');
+
+  assert.strictEqual(analysis.aiProvider, 'local');
+  assert.strictEqual(analysis.aiModel, 'local-rules-v1');
+  assert.strictEqual(analysis.sentiment, 'negative');
+  assert.ok(analysis.categories.includes('wait_time'));
+});
+
+test('a failing primary provider falls back to the local one', async (t) => {
+  registerProvider('broken', () => ({
+    name: 'broken',
+    model: 'broken-1',
+    analyze: async () => {
+      throw new Error('provider unavailable');
+    },
+  }));
+  process.env.AI_PROVIDER = 'broken';
+  t.after(() => {
+    process.env.AI_PROVIDER = 'local';
+  });
+
+  const analysis = await analyzeFeedbackSentiment('Good experience', 4, 'ATM');
+  assert.strictEqual(analysis.aiProvider, 'local');
+
+  await assert.rejects(
+    analyzeFeedbackSentiment('Good experience', 4, 'ATM', { fallback: false }),
+    /provider unavailable/
+  );
+});
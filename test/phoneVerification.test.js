@@ -0,0 +1,149 @@
+// One-time code limits (services/phoneVerificationService.js). PhoneVerification
+// is backed by an in-memory record whose conditional updates apply atomically,
+// as MongoDB's do, so parallel guesses race the way they would in production.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.OTP_SECRET = 'test-secret';
+process.env.OTP_MAX_ATTEMPTS = '5';
+process.env.SMS_TRANSPORT = 'memory';
+
+const PhoneVerification = require('./../models/phoneVerificationModel');
+const Feedback = require('./../models/feedbackModel');
+const { registerTransport } = require('./../services/transports');
+const { requestCode, confirmCode } = require('./../services/phoneVerificationService');
+
+const sent = [];
+registerTransport('sms', 'memory', () => ({
+  name: 'memory',
+  channel: 'sms',
+  send: async ({ to, text }) => {
+    sent.push({ to, text });
+    return { id: `memory-${sent.length}` };
+  },
+}));
+
+// Query stand-in: chainable like a mongoose query, resolved on a later tick
+const query = (run) => ({
+  sort() {
+    return this;
+  },
+  select() {
+    return this;
+  },
+  then(resolve, reject) {
+    return new Promise((r) => setImmediate(r)).then(run).then(resolve, reject);
+  },
+});
+
+const useStore = (t) => {
+  let record = null;
+  const load = () => (record ? PhoneVerification.hydrate({ ...record }) : null);
+  const matches = (filter) =>
+    record &&
+    (!filter.status || (typeof filter.status === 'string' ? record.status === filter.status : record.status !== filter.status.$ne)) &&
+    (!filter.attempts || record.attempts < filter.attempts.$lt);
+
+  t.mock.method(PhoneVerification.prototype, 'save', async function () {
+    record = this.toObject();
+    return this;
+  });
+  t.mock.method(PhoneVerification, 'findOne', (filter) => query(() => (matches(filter) ? load() : null)));
+  t.mock.method(PhoneVerification, 'findOneAndUpdate', (filter, update) =>
+    query(() => {
+      if (!matches(filter)) return null;
+      record.attempts += update.$inc.attempts;
+      return load();
+    })
+  );
+  t.mock.method(PhoneVerification, 'updateOne', async (filter, update) => {
+    await new Promise((r) => setImmediate(r));
+    if (!matches(filter)) return { nModified: 0 };
+    const { $unset, ...changes } = update;
+    Object.assign(record, changes);
+    if ($unset) Object.keys($unset).forEach((key) => delete record[key]);
+    return { nModified: 1 };
+  });
+
+  return { record: () => record };
+};
+
+const newFeedback = (t) => {
+  const feedback = new Feedback({ comment: 'Card swallowed by the ATM', rating: 1, phone: '08031234567' });
+  t.mock.method(feedback, 'save', async () => feedback);
+  return feedback;
+};
+
+const lastCode = () => sent[sent.length - 1].text.match(/\d{6}/)[0];
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+// Settles every promise and returns the statusCode of each (200 for success)
+const outcomes = async (promises) =>
+  (await Promise.allSettled(promises)).map((p) => (p.status === 'fulfilled' ? 200 : p.reason.statusCode));
+
+test('the right code marks the feedback phone-verified', async (t) => {
+  const store = useStore(t);
+  const feedback = newFeedback(t);
+
+  const result = await requestCode(feedback);
+  assert.strictEqual(result.phone, '080****4567');
+  assert.strictEqual(sent[sent.length - 1].to, '08031234567');
+
+  await confirmCode(feedback, lastCode());
+  assert.strictEqual(feedback.verificationStatus, 'phone_verified');
+  assert.strictEqual(store.record().status, 'verified');
+  assert.strictEqual(store.record().codeHash, undefined);
+});
+
+test('wrong guesses count down and then lock the code', async (t) => {
+  const store = useStore(t);
+  const feedback = newFeedback(t);
+  await requestCode(feedback);
+  const code = lastCode();
+
+  for (let left = 4; left >= 1; left--) {
+    await assert.rejects(confirmCode(feedback, wrongCode(code)), {
+      statusCode: 400,
+      message: `Incorrect code. ${left} attempt${left === 1 ? '' : 's'} left`,
+    });
+  }
+  await assert.rejects(confirmCode(feedback, wrongCode(code)), { statusCode: 429 });
+  assert.strictEqual(store.record().status, 'locked');
+
+  // Even the right code is refused once locked
+  await assert.rejects(confirmCode(feedback, code), { statusCode: 429 });
+  assert.strictEqual(feedback.verificationStatus, 'unverified');
+});
+
+test('parallel guesses cannot exceed the attempt limit', async (t) => {
+  const store = useStore(t);
+  const feedback = newFeedback(t);
+  await requestCode(feedback);
+  const code = lastCode();
+
+  const guesses = Array.from({ length: 20 }, (_, i) => wrongCode(String((Number(code) + i) % 1000000)));
+  const statuses = await outcomes(guesses.map((guess) => confirmCode(feedback, guess)));
+
+  assert.strictEqual(store.record().attempts, 5);
+  assert.strictEqual(statuses.filter((s) => s === 400).length, 4);
+  assert.strictEqual(statuses.filter((s) => s === 429).length, 16);
+});
+
+test('the same code sent twice in parallel verifies once', async (t) => {
+  useStore(t);
+  const feedback = newFeedback(t);
+  await requestCode(feedback);
+  const code = lastCode();
+
+  const statuses = await outcomes([confirmCode(feedback, code), confirmCode(feedback, code)]);
+  assert.deepStrictEqual(statuses.sort(), [200, 400]);
+});
+
+test('a new code cannot be requested before the resend delay', async (t) => {
+  useStore(t);
+  const feedback = newFeedback(t);
+  await requestCode(feedback);
+
+  await assert.rejects(requestCode(feedback), (err) => err.statusCode === 429 && err.retryAfter > 0);
+});
@@ -0,0 +1,71 @@
+// Reference number format and check digit (utils/referenceNumber.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Counter = require('./../models/counterModel');
+const {
+  generateReferenceNumber,
+  isValidReferenceNumber,
+  isLegacyReferenceNumber,
+  checkDigit,
+  branchPrefix,
+} = require('./../utils/referenceNumber');
+
+const VALID = 'FB20250000018';
+
+test('the check digit is a Luhn digit over the reference', () => {
+  assert.strictEqual(checkDigit('FB2025000001'), 8);
+  assert.ok(isValidReferenceNumber(VALID));
+  assert.ok(isValidReferenceNumber(` ${VALID.toLowerCase()} `));
+});
+
+test('any single mistyped digit is caught', () => {
+  for (let i = 2; i < VALID.length; i++) {
+    for (let d = 0; d <= 9; d++) {
+      if (String(d) === VALID[i]) continue;
+      const typo = VALID.slice(0, i) + d + VALID.slice(i + 1);
+      assert.ok(!isValidReferenceNumber(typo), `${typo} should be rejected`);
+    }
+  }
+});
+
+test('a dropped digit is not mistaken for a valid number', () => {
+  for (let i = 2; i < VALID.length; i++) {
+    const typo = VALID.slice(0, i) + VALID.slice(i + 1);
+    assert.ok(!isValidReferenceNumber(typo), `${typo} should be rejected`);
+  }
+});
+
+test('legacy numbers are recognised but need a lookup to count as valid', () => {
+  assert.ok(isLegacyReferenceNumber('FB2024123456'));
+  assert.ok(!isValidReferenceNumber('FB2024123456'));
+  assert.ok(!isLegacyReferenceNumber(VALID));
+});
+
+test('branch prefixes are the first three letters of the branch name', () => {
+  assert.strictEqual(branchPrefix('Victoria Island'), 'VIC');
+  assert.strictEqual(branchPrefix('V.I.'), '');
+});
+
+test('generated numbers carry a valid check digit', async (t) => {
+  const sequences = [];
+  t.mock.method(Counter, 'next', async (name) => {
+    sequences.push(name);
+    return 421;
+  });
+
+  const plain = await generateReferenceNumber({ date: new Date('2025-03-01') });
+  assert.strictEqual(plain, `FB2025000421${checkDigit('FB2025000421')}`);
+  assert.ok(isValidReferenceNumber(plain));
+
+  process.env.REFERENCE_BRANCH_PREFIX = 'true';
+  t.after(() => {
+    delete process.env.REFERENCE_BRANCH_PREFIX;
+  });
+  const prefixed = await generateReferenceNumber({ date: new Date('2025-03-01'), branch: 'Ikeja' });
+  assert.match(prefixed, /^FBIKE2025000421\d$/);
+  assert.ok(isValidReferenceNumber(prefixed));
+
+  assert.deepStrictEqual(sequences, ['feedback:ALL:2025', 'feedback:IKE:2025']);
+});
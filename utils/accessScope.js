@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ACCESS SCOPE - Row-level limits for users of scoped roles
+// ═══════════════════════════════════════════════════════════════════════════
+// A user whose role is marked scoped (Role.scoped, e.g. the built-in
+// branch-admin) only sees and changes feedback of the branches and service
+// types assigned to them (user.branches, user.serviceTypes):
+//   branches only       -> feedback of those branches
+//   serviceTypes only   -> feedback of those service types, any branch
+//   both                -> feedback matching both lists
+//   neither             -> nothing
+//
+// Other roles (admin, super-admin) are not scoped. Out-of-scope feedback is reported as
+// not found, so its existence is not revealed.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { isScopedRole } = require('./../services/permissionService')
+
+// Whether the user's role is marked scoped (Role.scoped)
+const isScoped = user => Boolean(user) && isScopedRole(user.role)
+
+/**
+ * Conditions limiting a user to their feedback
+ * @param {Object} user - User document
+ * @returns {Object|null} MongoDB conditions, null for unscoped users
+ */
+const scopeMatch = user => {
+    if (!isScoped(user)) return null
+
+    const branches = user.branches || []
+    const serviceTypes = user.serviceTypes || []
+    // $in: [] matches nothing
+    if (branches.length === 0 && serviceTypes.length === 0) return { branch: { $in: [] } }
+
+    const match = {}
+    if (branches.length > 0) match.branch = { $in: branches }
+    if (serviceTypes.length > 0) match.serviceType = { $in: serviceTypes }
+    return match
+}
+
+/**
+ * Adds the request user's scope to a find filter / match stage. The scope
+ * goes into $and so it never replaces a branch or serviceType filter the
+ * caller already set.
+ * @param {Object} req - Request that went through protect
+ * @param {Object} conditions - Conditions to extend (not modified)
+ * @returns {Object} Combined conditions
+ */
+const withScope = (req, conditions = {}) => {
+    const match = scopeMatch(req.user)
+    if (!match) return conditions
+    return { ...conditions, $and: [...(conditions.$and || []), match] }
+}
+
+/**
+ * Whether a feedback (or anything with branch/serviceType) is in a user's scope
+ * @param {Object} user - User document
+ * @param {Object} doc - { branch, serviceType }
+ * @returns {boolean}
+ */
+const inScope = (user, doc) => {
+    const match = scopeMatch(user)
+    if (!match) return true
+    if (match.branch && !match.branch.$in.includes(doc.branch)) return false
+    if (match.serviceType && !match.serviceType.$in.includes(doc.serviceType)) return false
+    return true
+}
+
+module.exports = {
+    isScoped,
+    scopeMatch,
+    withScope,
+    inScope
+}
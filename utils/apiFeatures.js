@@ -8,6 +8,9 @@ class APIFeatures {
         const queryObj = { ...this.queryString }
         const excludedFields = ['page', 'sort', 'limit', 'fields']
         excludedFields.forEach(el => delete queryObj[el])
+        // Top-level operators ($and, $or, $where...) would replace conditions
+        // the controller already put on the query
+        Object.keys(queryObj).filter(key => key.startsWith('$')).forEach(key => delete queryObj[key])
 
         // 1B) Advanced Filtering
         let queryStr = JSON.stringify(queryObj)
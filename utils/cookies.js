@@ -0,0 +1,26 @@
+/**
+ * Reads one cookie from the request's Cookie header.
+ * Only the auth cookies are needed, so this avoids a cookie-parser dependency.
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Decoded value
+ */
+const readCookie = (req, name) => {
+    const header = req.headers.cookie
+    if (!header) return undefined
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=')
+        if (index === -1 || part.slice(0, index).trim() !== name) continue
+
+        const value = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1')
+        try {
+            return decodeURIComponent(value)
+        } catch (err) {
+            return value
+        }
+    }
+    return undefined
+}
+
+module.exports = readCookie
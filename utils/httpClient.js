@@ -0,0 +1,121 @@
+const http = require('http')
+const https = require('https')
+const dns = require('dns')
+const net = require('net')
+
+// Bytes of response body kept by default; the rest is not read
+const MAX_BODY_BYTES = 64 * 1024
+
+// Addresses that reach this host, its network or cloud metadata rather than
+// the internet: loopback, private, link-local, CGNAT, unspecified, multicast
+// and reserved ranges
+const PRIVATE_V4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]
+
+const ipv4ToInt = ip => ip.split('.').reduce((acc, part) => acc * 256 + parseInt(part), 0)
+
+/**
+ * Whether an IP address is loopback, private or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = address => {
+    if (net.isIPv4(address)) {
+        const value = ipv4ToInt(address)
+        return PRIVATE_V4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4ToInt(base) / 2 ** (32 - bits)))
+    }
+    if (!net.isIPv6(address)) return false
+
+    const ip = address.toLowerCase()
+    // IPv4-mapped, dotted (::ffff:127.0.0.1) or as URL normalizes it (::ffff:7f00:1)
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (mapped) return isPrivateAddress(mapped[1])
+    const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+    if (mappedHex) {
+        const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16))
+        return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'))
+    }
+    return ip === '::' || ip === '::1' ||
+        /^f[cd]/.test(ip) ||        // fc00::/7 unique local
+        /^fe[89ab]/.test(ip) ||     // fe80::/10 link-local
+        /^ff/.test(ip)              // multicast
+}
+
+// dns.lookup that refuses to connect to a private address, so a public
+// hostname that resolves to one (or is re-pointed later) is caught too
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err)
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address]
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`${hostname} resolves to a private address`))
+        }
+        callback(null, address, family)
+    })
+}
+
+/**
+ * Minimal HTTP POST used for outbound integrations (webhooks, SMS gateway).
+ * Resolves with the response for any status code; rejects only on network
+ * errors and timeouts. Only the first maxBodyBytes of the response are read.
+ * @param {string} url - Target URL (http or https)
+ * @param {string|Object} body - Request body; objects are JSON encoded
+ * @param {Object} options - { headers, timeout, maxBodyBytes, blockPrivateHosts }
+ *   timeout in ms (default 10000); blockPrivateHosts refuses loopback and
+ *   private addresses (for URLs that users configure)
+ * @returns {Promise<Object>} { statusCode, headers, body, truncated }
+ */
+const post = (url, body, options = {}) => {
+    const { headers = {}, timeout = 10000, maxBodyBytes = MAX_BODY_BYTES, blockPrivateHosts = false } = options
+    const payload = typeof body === 'string' ? body : JSON.stringify(body)
+    const target = new URL(url)
+    const client = target.protocol === 'https:' ? https : http
+
+    if (blockPrivateHosts && isPrivateAddress(target.hostname.replace(/^\[|\]$/g, ''))) {
+        return Promise.reject(new Error(`${target.hostname} is a private address`))
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            },
+            ...(blockPrivateHosts ? { lookup: publicOnlyLookup } : {})
+        }, res => {
+            const chunks = []
+            let size = 0
+            let truncated = false
+            const finish = () => resolve({
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks).toString('utf8'),
+                truncated
+            })
+
+            res.on('data', chunk => {
+                if (truncated) return
+                chunks.push(chunk.subarray(0, Math.max(0, maxBodyBytes - size)))
+                size += chunk.length
+                if (size > maxBodyBytes) {
+                    truncated = true
+                    res.destroy()
+                    finish()
+                }
+            })
+            res.on('end', finish)
+        })
+
+        req.setTimeout(timeout, () => req.destroy(new Error(`Request timed out after ${timeout}ms`)))
+        req.on('error', reject)
+        req.write(payload)
+        req.end()
+    })
+}
+
+module.exports = { post, isPrivateAddress }
@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MINHASH - Near-duplicate text detection
+// ═══════════════════════════════════════════════════════════════════════════
+// Comments are normalized and split into 5-character shingles. A MinHash
+// signature of NUM_HASHES values estimates the Jaccard similarity of two
+// shingle sets; locality-sensitive hashing splits it into BANDS bands whose
+// keys are stored on each feedback (similarityBands), so candidates for a
+// new comment are found with one indexed query instead of a full scan.
+// Candidates sharing a band are then confirmed with the exact Jaccard score.
+//
+// With 16 bands of 4 rows, pairs above ~0.5 similarity almost always share a
+// band. Changing any of these constants changes every band key, so stored
+// bands must be rebuilt (scripts/detectDuplicates.js --rebuild).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SHINGLE_SIZE = 5
+const NUM_HASHES = 64
+const BANDS = 16
+const ROWS = NUM_HASHES / BANDS
+const MIN_LENGTH = 20
+
+// 32-bit FNV-1a
+const fnv1a = str => {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+
+// MurmurHash3 finalizer: cheap, well-mixed 32-bit permutation
+const fmix32 = h => {
+    h ^= h >>> 16
+    h = Math.imul(h, 0x85ebca6b)
+    h ^= h >>> 13
+    h = Math.imul(h, 0xc2b2ae35)
+    h ^= h >>> 16
+    return h >>> 0
+}
+
+// Fixed seeds (one per hash function) so signatures are stable across runs
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(0x9e3779b9 + i * 0x632be5ab))
+
+/**
+ * Lowercase, strip punctuation, collapse whitespace
+ * @param {string} text - Comment
+ * @returns {string}
+ */
+const normalize = text => (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+
+/**
+ * Set of hashed character shingles
+ * @param {string} text - Comment
+ * @returns {Set<number>} Empty for comments too short to compare
+ */
+const shingles = text => {
+    const value = normalize(text)
+    const set = new Set()
+    if (value.length < MIN_LENGTH) return set
+
+    for (let i = 0; i <= value.length - SHINGLE_SIZE; i++) {
+        set.add(fnv1a(value.substring(i, i + SHINGLE_SIZE)))
+    }
+    return set
+}
+
+/**
+ * MinHash signature of a shingle set
+ * @param {Set<number>} set - Shingles
+ * @returns {Array<number>} NUM_HASHES values ([] for an empty set)
+ */
+const signature = set => {
+    if (set.size === 0) return []
+    const mins = new Array(NUM_HASHES).fill(0xffffffff)
+    set.forEach(shingle => {
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const h = fmix32(shingle ^ SEEDS[i])
+            if (h < mins[i]) mins[i] = h
+        }
+    })
+    return mins
+}
+
+/**
+ * LSH band keys of a comment, e.g. ["0:1a2b3c4d", "1:...", ...]
+ * @param {string} text - Comment
+ * @returns {Array<string>} BANDS keys ([] for short comments)
+ */
+const bandKeys = text => {
+    const sig = signature(shingles(text))
+    if (sig.length === 0) return []
+
+    const keys = []
+    for (let b = 0; b < BANDS; b++) {
+        const rows = sig.slice(b * ROWS, (b + 1) * ROWS).join(',')
+        keys.push(`${b}:${fnv1a(rows).toString(16)}`)
+    }
+    return keys
+}
+
+/**
+ * Exact Jaccard similarity of two comments' shingle sets
+ * @param {string|Set} a - Comment or shingle set
+ * @param {string|Set} b - Comment or shingle set
+ * @returns {number} 0-1
+ */
+const similarity = (a, b) => {
+    const setA = a instanceof Set ? a : shingles(a)
+    const setB = b instanceof Set ? b : shingles(b)
+    if (setA.size === 0 || setB.size === 0) return 0
+
+    let intersection = 0
+    setA.forEach(s => {
+        if (setB.has(s)) intersection++
+    })
+    return intersection / (setA.size + setB.size - intersection)
+}
+
+/**
+ * Groups near-identical texts. Candidates come from shared LSH bands and are
+ * kept only if their exact similarity reaches the threshold; groups are the
+ * connected components of those pairs (union-find).
+ * @param {Array} items - [{ id, text, bands? }]
+ * @param {number} threshold - Minimum Jaccard similarity (0-1)
+ * @returns {Array<Array>} Groups of 2+ items, in input order
+ */
+const cluster = (items, threshold) => {
+    const parent = items.map((_, i) => i)
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+    const sets = items.map(item => shingles(item.text))
+
+    const buckets = new Map()
+    items.forEach((item, i) => {
+        const keys = item.bands && item.bands.length ? item.bands : bandKeys(item.text)
+        keys.forEach(key => {
+            if (!buckets.has(key)) buckets.set(key, [])
+            buckets.get(key).push(i)
+        })
+    })
+
+    const checked = new Set()
+    buckets.forEach(members => {
+        for (let x = 0; x < members.length; x++) {
+            for (let y = x + 1; y < members.length; y++) {
+                const i = members[x]
+                const j = members[y]
+                const pair = `${i}:${j}`
+                if (checked.has(pair) || find(i) === find(j)) continue
+                checked.add(pair)
+                if (similarity(sets[i], sets[j]) >= threshold) parent[find(j)] = find(i)
+            }
+        }
+    })
+
+    const groups = new Map()
+    items.forEach((item, i) => {
+        const root = find(i)
+        if (!groups.has(root)) groups.set(root, [])
+        groups.get(root).push(item)
+    })
+
+    return [...groups.values()].filter(group => group.length > 1)
+}
+
+module.exports = {
+    normalize,
+    shingles,
+    signature,
+    bandKeys,
+    similarity,
+    cluster
+}
@@ -0,0 +1,161 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PERIOD COMPARISON - Same metrics for an earlier window, with deltas
+// ═══════════════════════════════════════════════════════════════════════════
+// Query params understood by the analytics endpoints that support it:
+//   compareTo=previous   -> window of the same length just before the current one
+//   compareTo=yoy        -> the current window one year earlier
+//   compareTo=custom&compareStartDate=2025-01-01&compareEndDate=2025-01-31
+//
+// Each compared metric becomes
+//   { current, previous, change, changePercent, trend, significant }
+// change is absolute (percentage points for rates, e.g. CSAT 78% vs 73.8%
+// -> change 4.2). significant is a two-sided z-test at 95%: two-proportion
+// for rates, Poisson for counts, per-respondent variance for NPS; averages
+// report the delta only (significant: null).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const COMPARE_MODES = ['previous', 'yoy', 'custom']
+
+const Z_95 = 1.96
+
+/**
+ * Middleware: validates the comparison params into req.comparison
+ * (null when no comparison was asked for, 400 on invalid values)
+ */
+const parseComparison = (req, res, next) => {
+    const { compareTo, compareStartDate, compareEndDate } = req.query
+    req.comparison = null
+    if (!compareTo) return next()
+
+    if (!COMPARE_MODES.includes(compareTo)) {
+        return res.status(400).json({
+            status: 'fail',
+            message: `Unknown compareTo: ${compareTo}. Use ${COMPARE_MODES.join(', ')}`
+        })
+    }
+
+    if (compareTo === 'custom') {
+        const start = new Date(compareStartDate)
+        const end = new Date(compareEndDate)
+        if (!compareStartDate || !compareEndDate || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+            return res.status(400).json({
+                status: 'fail',
+                message: 'compareTo=custom needs a valid compareStartDate and compareEndDate'
+            })
+        }
+        req.comparison = { mode: compareTo, startDate: start, endDate: end }
+    } else {
+        req.comparison = { mode: compareTo }
+    }
+
+    next()
+}
+
+/**
+ * Comparison window for a request's current window
+ * @param {Object} req - Request that went through parseComparison
+ * @param {Object} createdAt - Current window condition ({ $gte, $lte })
+ * @returns {Object|null} createdAt condition for the comparison window
+ * @throws {Error} statusCode 400 when the current window has no start
+ */
+const comparisonRange = (req, createdAt = {}) => {
+    if (!req.comparison) return null
+    const { mode, startDate, endDate } = req.comparison
+    if (mode === 'custom') return { $gte: startDate, $lte: endDate }
+
+    if (!createdAt.$gte) {
+        throw Object.assign(new Error(`compareTo=${mode} needs a startDate or days`), { statusCode: 400 })
+    }
+    const start = new Date(createdAt.$gte)
+    const end = createdAt.$lte ? new Date(createdAt.$lte) : new Date()
+
+    if (mode === 'yoy') {
+        const yearStart = new Date(start)
+        const yearEnd = new Date(end)
+        yearStart.setFullYear(yearStart.getFullYear() - 1)
+        yearEnd.setFullYear(yearEnd.getFullYear() - 1)
+        return { $gte: yearStart, $lte: yearEnd }
+    }
+
+    // previous: same length, ending where the current window starts
+    return { $gte: new Date(start.getTime() - (end - start)), $lt: start }
+}
+
+/**
+ * z-score of the difference between two periods
+ * @param {number} current - Current value
+ * @param {number} previous - Comparison value
+ * @param {Object} test - { type: 'proportion', n: [n1, n2] } (values in %)
+ *                        | { type: 'count' }
+ *                        | { type: 'nps', n: [n1, n2], shares: [[promoter%, detractor%], [...]] }
+ * @returns {number|null} null when there is not enough data to test
+ */
+const zScore = (current, previous, test) => {
+    if (test.type === 'count') {
+        return current + previous > 0 ? (current - previous) / Math.sqrt(current + previous) : null
+    }
+
+    const [n1, n2] = test.n
+    if (!n1 || !n2) return null
+
+    if (test.type === 'proportion') {
+        const p1 = current / 100
+        const p2 = previous / 100
+        const pooled = (p1 * n1 + p2 * n2) / (n1 + n2)
+        const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2))
+        return se > 0 ? (p1 - p2) / se : null
+    }
+
+    if (test.type === 'nps') {
+        // Each respondent scores +1 / 0 / -1
+        const variance = ([promoters, detractors]) => {
+            const pp = promoters / 100
+            const pd = detractors / 100
+            return pp + pd - (pp - pd) * (pp - pd)
+        }
+        const se = Math.sqrt(variance(test.shares[0]) / n1 + variance(test.shares[1]) / n2)
+        return se > 0 ? (current - previous) / 100 / se : null
+    }
+
+    return null
+}
+
+/**
+ * Delta between a metric's current and comparison value
+ * @param {number} current - Current value
+ * @param {number} previous - Comparison value
+ * @param {Object} [test] - Significance test (see zScore); omit for averages
+ * @returns {Object} { current, previous, change, changePercent, trend, significant }
+ */
+const compareMetric = (current, previous, test) => {
+    const missing = value => value === null || value === undefined || Number.isNaN(value)
+    if (missing(current) || missing(previous)) {
+        return {
+            current: missing(current) ? null : current,
+            previous: missing(previous) ? null : previous,
+            change: null,
+            changePercent: null,
+            trend: null,
+            significant: null
+        }
+    }
+
+    const change = parseFloat((current - previous).toFixed(2))
+    const z = test ? zScore(current, previous, test) : null
+
+    return {
+        current,
+        previous,
+        change,
+        changePercent: previous !== 0 ? parseFloat(((change / Math.abs(previous)) * 100).toFixed(1)) : null,
+        trend: change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+        significant: z === null ? null : Math.abs(z) >= Z_95
+    }
+}
+
+module.exports = {
+    COMPARE_MODES,
+    parseComparison,
+    comparisonRange,
+    compareMetric
+}
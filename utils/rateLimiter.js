@@ -0,0 +1,55 @@
+/**
+ * In-memory fixed-window rate limiter middleware.
+ * Counts requests per key (client IP by default) and answers 429 once
+ * `max` requests were made within `windowMs`. State is per process, which
+ * is enough for a single instance; put a shared store behind it if the API
+ * is ever scaled out.
+ * @param {Object} options - { windowMs, max, message, keyGenerator }
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (options = {}) => {
+    const {
+        windowMs = 15 * 60 * 1000,
+        max = 10,
+        message = 'Too many requests, please try again later.',
+        keyGenerator = req => req.ip
+    } = options
+
+    const hits = new Map()
+
+    // Drop expired windows so the map doesn't grow forever
+    const sweeper = setInterval(() => {
+        const now = Date.now()
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key)
+        })
+    }, windowMs)
+    sweeper.unref()
+
+    return (req, res, next) => {
+        const key = keyGenerator(req)
+        const now = Date.now()
+        let entry = hits.get(key)
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs }
+            hits.set(key, entry)
+        }
+
+        entry.count += 1
+        res.set('X-RateLimit-Limit', String(max))
+        res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)))
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)))
+            return res.status(429).json({
+                status: 'fail',
+                message
+            })
+        }
+
+        next()
+    }
+}
+
+module.exports = rateLimit
@@ -0,0 +1,99 @@
+const Counter = require('./../models/counterModel')
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FEEDBACK REFERENCE NUMBERS
+// ═══════════════════════════════════════════════════════════════════════════
+// Format: FB[PREFIX]YYYYNNNNNNC
+//   PREFIX  optional 3-letter branch code (REFERENCE_BRANCH_PREFIX=true)
+//   YYYY    year of submission
+//   NNNNNN  per-year (and per-prefix) sequence from an atomic counter,
+//           zero-padded to 6 digits (grows beyond that if needed)
+//   C       Luhn check digit over the whole reference (letters mapped to
+//           10-35 as in ISIN codes), so most typos are detected
+//
+// e.g. FB20250000017, FBIKE20250000421
+//
+// Legacy numbers (FB + year + last 6 digits of Date.now(), 12 characters)
+// remain valid; scripts/migrateReferenceNumbers.js reissues them. They have no
+// check digit and look exactly like a current number with one digit missing,
+// so one only counts as valid once it is found on a feedback (see
+// trackingController).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CURRENT_FORMAT = /^FB([A-Z]{3})?(\d{4})(\d{6,})(\d)$/
+const LEGACY_FORMAT = /^FB\d{4}\d{6}$/
+
+// Letters become two-digit numbers (A=10 ... Z=35), digits stay as they are
+const toDigits = value => value
+    .split('')
+    .map(ch => (/[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch))
+    .join('')
+
+/**
+ * Luhn check digit for a string of letters and digits
+ * @param {string} value - Reference without its check digit
+ * @returns {number} 0-9
+ */
+const checkDigit = value => {
+    const digits = toDigits(value)
+    let sum = 0
+    // Double every second digit starting from the rightmost
+    for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+        let d = parseInt(digits[i], 10)
+        if (double) {
+            d *= 2
+            if (d > 9) d -= 9
+        }
+        sum += d
+    }
+    return (10 - (sum % 10)) % 10
+}
+
+/**
+ * 3-letter prefix derived from a branch name ("Victoria Island" -> "VIC")
+ * @param {string} branch - Branch name
+ * @returns {string} Prefix or '' if the name has fewer than 3 letters
+ */
+const branchPrefix = branch => {
+    const letters = (branch || '').toUpperCase().replace(/[^A-Z]/g, '')
+    return letters.length >= 3 ? letters.substring(0, 3) : ''
+}
+
+/**
+ * Issues the next reference number
+ * @param {Object} options - { branch, date } date decides the year
+ * @returns {Promise<string>} Reference number
+ */
+const generateReferenceNumber = async (options = {}) => {
+    const year = new Date(options.date || Date.now()).getFullYear()
+    const prefix = process.env.REFERENCE_BRANCH_PREFIX === 'true' ? branchPrefix(options.branch) : ''
+
+    const seq = await Counter.next(`feedback:${prefix || 'ALL'}:${year}`)
+    const body = `FB${prefix}${year}${String(seq).padStart(6, '0')}`
+
+    return `${body}${checkDigit(body)}`
+}
+
+/**
+ * Whether a reference number is in the current format and its check digit
+ * matches. Legacy numbers are not: check them with isLegacyReferenceNumber
+ * and look them up.
+ * @param {string} reference - Reference number as typed by a customer
+ * @returns {boolean}
+ */
+const isValidReferenceNumber = reference => {
+    const value = (reference || '').trim().toUpperCase()
+    if (!CURRENT_FORMAT.test(value)) return false
+
+    return checkDigit(value.slice(0, -1)) === parseInt(value.slice(-1), 10)
+}
+
+const isLegacyReferenceNumber = reference => LEGACY_FORMAT.test((reference || '').trim().toUpperCase())
+
+module.exports = {
+    generateReferenceNumber,
+    isValidReferenceNumber,
+    isLegacyReferenceNumber,
+    checkDigit,
+    branchPrefix
+}
@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// TRUST FILTER - Keep untrusted feedback out of analytics
+// ═══════════════════════════════════════════════════════════════════════════
+// Query params understood by every analytics endpoint that uses it:
+//   minTrustScore=60                        -> trustScore >= 60
+//   verificationStatus=verified,phone_verified
+//   excludeSuspicious=true                  -> verificationStatus != suspicious
+//
+// ANALYTICS_MIN_TRUST_SCORE sets a default minTrustScore for requests that
+// don't pass one. Feedback saved before fraud scoring has no trustScore or
+// verificationStatus; it counts as trustScore 100 and unverified.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VERIFICATION_STATUSES = ['verified', 'phone_verified', 'unverified', 'suspicious']
+
+/**
+ * Builds the trust conditions for a request's query string
+ * @param {Object} query - req.query
+ * @returns {Object} { filter, match } filter echoes the applied settings,
+ *                   match holds MongoDB conditions (empty if none apply)
+ * @throws {Error} On an out-of-range score or unknown status
+ */
+const buildTrustFilter = (query = {}) => {
+    const filter = {}
+    const match = {}
+
+    const rawScore = query.minTrustScore !== undefined ? query.minTrustScore : process.env.ANALYTICS_MIN_TRUST_SCORE
+    if (rawScore !== undefined && rawScore !== '') {
+        const minTrustScore = Number(rawScore)
+        if (Number.isNaN(minTrustScore) || minTrustScore < 0 || minTrustScore > 100) {
+            throw new Error('minTrustScore must be a number between 0 and 100')
+        }
+        filter.minTrustScore = minTrustScore
+        // $not also matches feedback without a score
+        match.trustScore = { $not: { $lt: minTrustScore } }
+    }
+
+    if (query.verificationStatus) {
+        const statuses = String(query.verificationStatus).split(',').map(s => s.trim()).filter(Boolean)
+        const unknown = statuses.filter(s => !VERIFICATION_STATUSES.includes(s))
+        if (unknown.length > 0) {
+            throw new Error(`Unknown verificationStatus: ${unknown.join(', ')}. Use ${VERIFICATION_STATUSES.join(', ')}`)
+        }
+        filter.verificationStatus = statuses
+        match.verificationStatus = { $in: statuses.includes('unverified') ? [...statuses, null] : statuses }
+    } else if (query.excludeSuspicious === 'true') {
+        filter.excludeSuspicious = true
+        match.verificationStatus = { $ne: 'suspicious' }
+    }
+
+    return { filter, match }
+}
+
+/**
+ * Middleware: parses the trust params once into req.trustFilter
+ * (400 on invalid values)
+ */
+const parseTrustFilter = (req, res, next) => {
+    try {
+        req.trustFilter = buildTrustFilter(req.query)
+        next()
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message })
+    }
+}
+
+/**
+ * Adds the request's trust conditions to a match stage / find filter
+ * @param {Object} req - Request that went through parseTrustFilter
+ * @param {Object} matchStage - Conditions to extend (not modified)
+ * @returns {Object} Combined conditions
+ */
+const withTrustFilter = (req, matchStage = {}) => ({
+    ...matchStage,
+    ...((req.trustFilter && req.trustFilter.match) || {})
+})
+
+module.exports = {
+    VERIFICATION_STATUSES,
+    buildTrustFilter,
+    parseTrustFilter,
+    withTrustFilter
+}